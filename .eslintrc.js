@@ -70,7 +70,8 @@ module.exports = {
       },
       globals: {
         createMockContext: 'readonly',
-        createMockRequest: 'readonly'
+        createMockRequest: 'readonly',
+        getLogEntries: 'readonly'
       },
       rules: {
         'no-unused-expressions': 'off'
@@ -1,7 +1,28 @@
 // wwwroot/auth-callback/index.js
 const https = require('https');
-const http = require('http');
 const { getOidcConfiguration } = require('../shared/oidc-helper');
+const { createOrUpdateUserInAPIM, getSharedAccessToken } = require('../shared/apim-helper');
+const { STATE_TTL_MS, decodeState } = require('../shared/state-helper');
+const { getStateStore } = require('../shared/state-store');
+const { getPortalUrl, normalizeReturnUrl, resolveReturnUrl } = require('../shared/redirect-helper');
+const { validateIdToken } = require('../shared/id-token-validator');
+const { initLogger, hashId } = require('../shared/logger');
+const { setApimInstance } = require('../shared/apim-instances');
+const { mapUserAttributes } = require('../shared/claim-mapper');
+const { getApimUserId } = require('../shared/user-id');
+const { resolveApimUser, linkIdentity } = require('../shared/user-link');
+const { syncUserGroups } = require('../shared/group-sync');
+const { provisionSubscriptions } = require('../shared/auto-subscriptions');
+const { evaluateAccessPolicy } = require('../shared/access-policy');
+const {
+  escapeHtml,
+  renderPage,
+  renderSupportContact,
+  htmlResponse
+} = require('../shared/html-helper');
+const { errorResponse } = require('../shared/error-page');
+const { setLocale, getLocale, t } = require('../shared/i18n');
+const { mergeSignInProfile } = require('../shared/profile');
 
 const tlsAgent = new https.Agent({
   keepAlive: true,
@@ -50,233 +71,36 @@ function httpPost(url, postData, headers = {}) {
   });
 }
 
-// Helper function to get Azure access token (Managed Identity or manual)
-async function getAzureAccessToken(context) {
-  const manualToken = process.env.APIM_ACCESS_TOKEN;
-
-  // If manual token is provided (cross-subscription scenario), use it
-  if (manualToken) {
-    context.log('Using provided APIM_ACCESS_TOKEN for authentication');
-    return manualToken;
-  }
-
-  // Otherwise, use Managed Identity (same-subscription scenario)
-  context.log('Using Managed Identity for authentication');
-  const identityEndpoint = process.env.IDENTITY_ENDPOINT;
-  const identityHeader = process.env.IDENTITY_HEADER;
-
-  if (!identityEndpoint || !identityHeader) {
-    throw new Error(
-      'Managed Identity not available. Either provide APIM_ACCESS_TOKEN or ensure Function App has System-Assigned Managed Identity enabled.'
-    );
+// Name of the identity provider for claim mapping templates: the provider ID,
+// or the issuer's host name with a single provider
+function getIdpName(oidcConfig) {
+  if (oidcConfig.provider) {
+    return oidcConfig.provider;
   }
-
-  const tokenUrl = `${identityEndpoint}?resource=https://management.azure.com/&api-version=2019-08-01`;
-
-  return new Promise((resolve, reject) => {
-    const urlObj = new URL(tokenUrl);
-
-    // Detect protocol from URL and use appropriate module
-    const isHttps = urlObj.protocol === 'https:';
-    const httpModule = isHttps ? https : http;
-
-    // Log connection details for troubleshooting
-    context.log('IDENTITY_ENDPOINT details:', {
-      protocol: urlObj.protocol,
-      hostname: urlObj.hostname,
-      port: urlObj.port || (isHttps ? 443 : 80)
-    });
-
-    const options = {
-      hostname: urlObj.hostname,
-      port: urlObj.port || (isHttps ? 443 : 80),
-      path: urlObj.pathname + urlObj.search,
-      method: 'GET',
-      headers: {
-        'X-IDENTITY-HEADER': identityHeader
-      }
-    };
-
-    // Only add TLS/SNI options for HTTPS requests
-    if (isHttps) {
-      options.servername = urlObj.hostname;
-      options.minVersion = 'TLSv1.2';
-      options.maxVersion = 'TLSv1.3';
-      options.agent = tlsAgent;
-    }
-
-    httpModule
-      .get(options, res => {
-        let data = '';
-        res.on('data', chunk => {
-          data += chunk;
-        });
-        res.on('end', () => {
-          try {
-            const response = JSON.parse(data);
-            if (response.access_token) {
-              context.log('Successfully obtained managed identity token');
-              resolve(response.access_token);
-            } else {
-              reject(new Error(`Failed to get managed identity token: ${data}`));
-            }
-          } catch (e) {
-            reject(new Error(`Failed to parse managed identity response: ${data}`));
-          }
-        });
-      })
-      .on('error', err => {
-        context.log.error('Managed identity request failed:', err);
-        reject(err);
-      });
-  });
-}
-
-// Helper function to create or update user in APIM
-async function createOrUpdateUserInAPIM(userId, userData, context) {
-  const subscriptionId = process.env.APIM_SUBSCRIPTION_ID;
-  const resourceGroup = process.env.APIM_RESOURCE_GROUP;
-  const serviceName = process.env.APIM_SERVICE_NAME;
-
-  if (!subscriptionId || !resourceGroup || !serviceName) {
-    throw new Error(
-      'Missing APIM configuration: APIM_SUBSCRIPTION_ID, APIM_RESOURCE_GROUP, APIM_SERVICE_NAME'
-    );
+  try {
+    return new URL(oidcConfig.issuer).hostname;
+  } catch (e) {
+    return '';
   }
-
-  const accessToken = await getAzureAccessToken(context);
-
-  const url = `https://management.azure.com/subscriptions/${subscriptionId}/resourceGroups/${resourceGroup}/providers/Microsoft.ApiManagement/service/${serviceName}/users/${userId}?api-version=2021-08-01`;
-
-  const userPayload = {
-    properties: {
-      firstName: userData.firstName,
-      lastName: userData.lastName,
-      email: userData.email,
-      state: 'active',
-      note: userData.note
-    }
-  };
-
-  return httpPutJson(url, userPayload, {
-    Authorization: `Bearer ${accessToken}`,
-    'Content-Type': 'application/json'
-  });
 }
 
-// Helper function to get shared access token from APIM
-async function getSharedAccessToken(userId, context) {
-  const subscriptionId = process.env.APIM_SUBSCRIPTION_ID;
-  const resourceGroup = process.env.APIM_RESOURCE_GROUP;
-  const serviceName = process.env.APIM_SERVICE_NAME;
-
-  const accessToken = await getAzureAccessToken(context);
-
-  const url = `https://management.azure.com/subscriptions/${subscriptionId}/resourceGroups/${resourceGroup}/providers/Microsoft.ApiManagement/service/${serviceName}/users/${userId}/generateSsoUrl?api-version=2021-08-01`;
-
-  const response = await httpPostJson(
-    url,
-    {},
-    {
-      Authorization: `Bearer ${accessToken}`,
-      'Content-Type': 'application/json'
-    }
+// Explain which access policy check failed, in the user's language
+function renderAccessDenied(context, reason, portalUrl) {
+  const supportHtml = renderSupportContact(
+    process.env.ACCESS_SUPPORT_CONTACT || process.env.BRAND_SUPPORT_CONTACT,
+    t(context, 'accessDenied.supportContact'),
+    t(context, 'accessDenied.supportAdministrator')
   );
 
-  return response.value; // The SSO URL contains the token
-}
-
-// Helper function to make HTTP PUT requests with JSON
-function httpPutJson(url, data, headers = {}) {
-  return new Promise((resolve, reject) => {
-    const urlObj = new URL(url);
-    const postData = JSON.stringify(data);
-
-    const options = {
-      hostname: urlObj.hostname,
-      port: urlObj.port || 443,
-      path: urlObj.pathname + urlObj.search,
-      method: 'PUT',
-      servername: urlObj.hostname, // Enable SNI for custom domains
-      minVersion: 'TLSv1.2', // Support TLS 1.2 and above (including 1.3)
-      maxVersion: 'TLSv1.3', // Allow up to TLS 1.3
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData),
-        ...headers
-      },
-      agent: tlsAgent
-    };
-
-    const req = https.request(options, res => {
-      let responseData = '';
-      res.on('data', chunk => {
-        responseData += chunk;
-      });
-      res.on('end', () => {
-        try {
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            resolve(JSON.parse(responseData || '{}'));
-          } else {
-            reject(new Error(`HTTP ${res.statusCode}: ${responseData}`));
-          }
-        } catch (e) {
-          reject(new Error(`Failed to parse response: ${responseData}`));
-        }
-      });
-    });
-
-    req.on('error', reject);
-    req.write(postData);
-    req.end();
-  });
+  return renderPage(
+    t(context, 'accessDenied.title'),
+    `<p>${escapeHtml(t(context, `accessDenied.${reason}`))}</p>
+${supportHtml}
+<p><a href="${escapeHtml(portalUrl)}">${escapeHtml(t(context, 'common.returnToPortal'))}</a></p>`,
+    getLocale(context)
+  );
 }
 
-// Helper function to make HTTP POST requests with JSON
-function httpPostJson(url, data, headers = {}) {
-  return new Promise((resolve, reject) => {
-    const urlObj = new URL(url);
-    const postData = JSON.stringify(data);
-
-    const options = {
-      hostname: urlObj.hostname,
-      port: urlObj.port || 443,
-      path: urlObj.pathname + urlObj.search,
-      method: 'POST',
-      servername: urlObj.hostname, // Enable SNI for custom domains
-      minVersion: 'TLSv1.2', // Support TLS 1.2 and above (including 1.3)
-      maxVersion: 'TLSv1.3', // Allow up to TLS 1.3
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData),
-        ...headers
-      },
-      agent: tlsAgent
-    };
-
-    const req = https.request(options, res => {
-      let responseData = '';
-      res.on('data', chunk => {
-        responseData += chunk;
-      });
-      res.on('end', () => {
-        try {
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            resolve(JSON.parse(responseData || '{}'));
-          } else {
-            reject(new Error(`HTTP ${res.statusCode}: ${responseData}`));
-          }
-        } catch (e) {
-          reject(new Error(`Failed to parse response: ${responseData}`));
-        }
-      });
-    });
-
-    req.on('error', reject);
-    req.write(postData);
-    req.end();
-  });
-}
 function httpGetWithAuth(url, accessToken) {
   return new Promise((resolve, reject) => {
     const urlObj = new URL(url);
@@ -314,131 +138,319 @@ function httpGetWithAuth(url, accessToken) {
 }
 
 module.exports = async function (context, req) {
-  context.log('Auth callback endpoint called');
+  const log = initLogger(context, req, 'auth-callback');
+  log.info('Auth callback endpoint called');
+  setLocale(context, req);
 
   try {
     const code = req.query.code;
     const encodedState = req.query.state;
 
-    context.log('Received code:', code ? 'present' : 'missing');
-    context.log('Received state:', encodedState ? 'present' : 'missing');
+    log.info('Received code:', code ? 'present' : 'missing');
+    log.info('Received state:', encodedState ? 'present' : 'missing');
 
     if (!code || !encodedState) {
-      context.log.error('Missing code or state parameter');
-      context.res = {
-        status: 400,
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: { error: 'Missing code or state parameter' }
-      };
+      log.error('Missing code or state parameter');
+      context.res = errorResponse(context, req, 400, { error: 'Missing code or state parameter' });
       return;
     }
 
-    // Decode state data
+    // Decrypt and verify state data issued by the delegation function
     let stateData;
     try {
-      stateData = JSON.parse(Buffer.from(encodedState, 'base64').toString());
-      context.log('State data decoded successfully');
+      stateData = decodeState(encodedState);
+      log.info('State data decoded successfully');
+      // Keep the language the user started the delegation in
+      setLocale(context, req, stateData.locale);
     } catch (error) {
-      context.log.error('Failed to decode state:', error);
-      context.res = {
-        status: 400,
-        body: { error: 'Invalid state parameter' }
-      };
+      log.error('Failed to decode state:', error.message);
+
+      if (!error.code) {
+        context.res = errorResponse(context, req, 500, { error: 'Server configuration error' });
+        return;
+      }
+
+      context.res = errorResponse(context, req, 400, {
+        error:
+          error.code === 'STATE_MALFORMED'
+            ? 'Invalid state parameter'
+            : 'State parameter was tampered with or not issued by this service'
+      });
       return;
     }
 
     // Check state timestamp (expire after 10 minutes)
-    if (Date.now() - stateData.timestamp > 600000) {
-      context.log.error('State parameter expired');
-      context.res = {
-        status: 400,
-        body: { error: 'State parameter expired' }
-      };
+    if (Date.now() - stateData.timestamp > STATE_TTL_MS) {
+      log.error('State parameter expired');
+      context.res = errorResponse(
+        context,
+        req,
+        400,
+        { error: 'State parameter expired' },
+        stateData.operation
+      );
       return;
     }
 
+    // Each state is single use: consume its server-side record before going on
+    const stateRecord = stateData.sid ? await getStateStore().consume(stateData.sid) : null;
+    if (!stateRecord) {
+      log.error('State parameter was already used or has no server-side record');
+      context.res = errorResponse(
+        context,
+        req,
+        400,
+        { error: 'State parameter has already been used' },
+        stateData.operation
+      );
+      return;
+    }
+
+    log.info('Completing operation:', stateData.operation || 'SignIn');
+
+    // Sign the user in to the APIM instance the delegation request came from
+    setApimInstance(context, stateData.instance);
+
     // Get OIDC configuration with endpoint discovery
     let oidcConfig;
     try {
-      oidcConfig = await getOidcConfiguration(context);
-      context.log('OIDC configuration loaded successfully');
+      // The state names the provider the user signed in with (none with a single provider)
+      oidcConfig = await getOidcConfiguration(context, stateData.provider);
+      log.info('OIDC configuration loaded successfully');
     } catch (error) {
-      context.log.error('Failed to load OIDC configuration:', error.message);
-      context.res = {
-        status: 500,
-        body: { error: 'Server configuration error' }
-      };
+      log.error('Failed to load OIDC configuration:', error.message);
+      context.res = errorResponse(
+        context,
+        req,
+        500,
+        { error: 'Server configuration error' },
+        stateData.operation
+      );
+      return;
+    }
+
+    if (oidcConfig.pkceRequired && !stateData.codeVerifier) {
+      log.error('PKCE is required but the state carries no code verifier');
+      context.res = errorResponse(
+        context,
+        req,
+        400,
+        { error: 'Missing PKCE code verifier' },
+        stateData.operation
+      );
       return;
     }
 
     // Exchange code for token
-    context.log('Exchanging code for token...');
-    const tokenData = new URLSearchParams({
+    log.info('Exchanging code for token...');
+    const tokenParams = new URLSearchParams({
       grant_type: 'authorization_code',
       code: code,
       redirect_uri: oidcConfig.redirectUri,
-      client_id: oidcConfig.clientId,
-      client_secret: oidcConfig.clientSecret
-    }).toString();
+      client_id: oidcConfig.clientId
+    });
+
+    // Public clients authenticate with the PKCE verifier alone
+    if (!oidcConfig.publicClient) {
+      tokenParams.set('client_secret', oidcConfig.clientSecret);
+    }
+    if (stateData.codeVerifier) {
+      tokenParams.set('code_verifier', stateData.codeVerifier);
+    }
+
+    const tokenData = tokenParams.toString();
 
     const tokenUrl = oidcConfig.endpoints.token_endpoint;
-    context.log('Token URL:', tokenUrl);
+    log.info('Token URL:', tokenUrl);
 
     const tokenResponse = await httpPost(tokenUrl, tokenData);
 
     if (tokenResponse.error) {
-      context.log.error('Token exchange failed:', tokenResponse.error_description);
+      log.error('Token exchange failed:', tokenResponse.error_description);
       throw new Error(`Token exchange failed: ${tokenResponse.error_description}`);
     }
 
-    context.log('Token exchange successful');
-    context.log('Access token present:', !!tokenResponse.access_token);
+    log.info('Token exchange successful');
+    log.info('Access token present:', !!tokenResponse.access_token);
+
+    // Verify the ID token before trusting anything about the user
+    let idTokenClaims;
+    try {
+      idTokenClaims = await validateIdToken(
+        tokenResponse.id_token,
+        { oidcConfig, nonce: stateData.nonce },
+        context
+      );
+      log.info('ID token validated for subject:', idTokenClaims.sub);
+    } catch (error) {
+      if (error.code !== 'ID_TOKEN_INVALID') {
+        throw error;
+      }
+
+      log.error('ID token validation failed:', error.message);
+      context.res = errorResponse(
+        context,
+        req,
+        401,
+        { error: 'ID token validation failed' },
+        stateData.operation
+      );
+      return;
+    }
 
     // Get user info using Authorization header (more reliable than query param)
-    context.log('Fetching user info...');
+    log.info('Fetching user info...');
     const userInfoUrl = oidcConfig.endpoints.userinfo_endpoint;
-    context.log('User info URL:', userInfoUrl);
+    log.info('User info URL:', userInfoUrl);
 
     // Use Authorization header instead of query parameter
     const userInfo = await httpGetWithAuth(userInfoUrl, tokenResponse.access_token);
 
-    context.log('User info retrieved:', {
-      sub: userInfo.sub,
-      email: userInfo.email,
-      name: userInfo.name
-    });
+    // Profile attributes are personal data; log the subject only
+    log.info('User info retrieved for subject:', userInfo.sub);
+
+    // Userinfo must describe the same subject as the verified ID token (OIDC Core 5.3.2)
+    if (userInfo.sub !== idTokenClaims.sub) {
+      log.error('Userinfo subject does not match the ID token subject');
+      context.res = errorResponse(
+        context,
+        req,
+        401,
+        { error: 'ID token validation failed' },
+        stateData.operation
+      );
+      return;
+    }
+
+    const claims = { ...idTokenClaims, ...userInfo };
+
+    // Map the claims to APIM user attributes using the provider's claim mapping
+    let attributes;
+    try {
+      attributes = mapUserAttributes(claims, oidcConfig.claimMapping, {
+        idp: getIdpName(oidcConfig),
+        issuer: oidcConfig.issuer,
+        operation: stateData.operation || 'SignIn',
+        action: stateData.operation === 'SignUp' ? 'registered' : 'authenticated'
+      });
+    } catch (error) {
+      if (error.code !== 'MISSING_USER_ATTRIBUTES') {
+        throw error;
+      }
+
+      log.error('Identity provider did not return required user attributes:', error.attributes);
+      context.res = errorResponse(
+        context,
+        req,
+        400,
+        { error: 'Missing required user attributes', attributes: error.attributes },
+        stateData.operation
+      );
+      return;
+    }
+
+    // Only users the access policy allows are provisioned in APIM
+    const access = evaluateAccessPolicy({ email: attributes.email, claims }, context);
+    if (!access.allowed) {
+      log.warn('Sign-in denied by the access policy:', access.reason);
+      context.res = htmlResponse(
+        403,
+        renderAccessDenied(context, access.reason, getPortalUrl(context))
+      );
+      return;
+    }
 
     // Prepare user data for APIM
     const userData = {
-      userId: userInfo.sub,
-      email: userInfo.email,
-      firstName: userInfo.given_name || userInfo.name?.split(' ')[0] || '',
-      lastName: userInfo.family_name || userInfo.name?.split(' ').slice(1).join(' ') || '',
-      registrationDate: new Date().toISOString(),
-      note: 'User authenticated via Okta'
+      userId: claims.sub,
+      ...attributes,
+      registrationDate: new Date().toISOString()
     };
 
-    context.log('User data for APIM:', userData);
+    log.info('User data for APIM prepared with attributes:', Object.keys(userData));
 
     // According to Microsoft docs, we need to:
     // 1. Create/update user in APIM via REST API
     // 2. Request a shared access token from APIM
     // 3. Redirect to the SSO URL with the token
 
+    // The returnUrl was validated when the state was issued; check it again in
+    // case the allowed origins changed in between
+    const returnUrl = normalizeReturnUrl(stateData.returnUrl, context);
+
+    // APIM_USER_ID_STRATEGY decides the ID of users who are not linked yet
+    const identity = { issuer: claims.iss || oidcConfig.issuer, subject: claims.sub };
+    let defaultUserId;
+    try {
+      defaultUserId = getApimUserId(
+        { email: userData.email, claims, issuer: identity.issuer },
+        context
+      );
+    } catch (error) {
+      if (error.code !== 'USER_ID_UNAVAILABLE') {
+        throw error;
+      }
+
+      log.error('Cannot derive the APIM user ID:', error.message);
+      context.res = errorResponse(
+        context,
+        req,
+        400,
+        { error: 'Missing user identifier' },
+        stateData.operation
+      );
+      return;
+    }
+
     try {
-      // Step 1: Create or update user in APIM
-      const apimUserId = userData.email.replace('@', '_').replace(/\./g, '_'); // APIM-safe user ID
+      // Step 1: Create or update user in APIM, unless its ID belongs to someone else
+      const { userId: apimUserId, existingUser } = await resolveApimUser(
+        { defaultUserId, userData, identity },
+        context
+      );
+
+      // Closed (or otherwise blocked) accounts stay closed: updating them would
+      // reactivate the user
+      if (existingUser?.properties?.state === 'blocked') {
+        log.warn('Sign-in refused for blocked APIM user:', hashId(apimUserId));
+        context.res = errorResponse(
+          context,
+          req,
+          403,
+          { error: 'User account is blocked', code: 'USER_BLOCKED' },
+          stateData.operation
+        );
+        return;
+      }
 
-      await createOrUpdateUserInAPIM(apimUserId, userData, context);
+      // New users record the identity they signed up with
+      const identities =
+        existingUser || !identity.issuer || !identity.subject
+          ? undefined
+          : [{ provider: identity.issuer, id: identity.subject }];
+      // Returning users keep their ChangeProfile edits to fields the IdP does not own
+      const profile = existingUser
+        ? mergeSignInProfile(existingUser.properties || {}, userData)
+        : {};
+      await createOrUpdateUserInAPIM(apimUserId, { ...userData, ...profile, identities }, context);
+      await linkIdentity(identity, apimUserId, context);
+
+      // Group membership follows the IdP's groups and roles before the portal session starts
+      // A failed sync must not cost the user the portal session or new subscriptions
+      try {
+        await syncUserGroups(apimUserId, claims, context);
+      } catch (error) {
+        log.error('Group sync failed:', error.message);
+      }
+
+      // New users get the product subscriptions APIM_AUTO_SUBSCRIPTIONS grants them
+      if (!existingUser) {
+        await provisionSubscriptions(apimUserId, { email: userData.email, claims }, context);
+      }
 
       // Step 2: Get shared access token for the user
       const ssoResponse = await getSharedAccessToken(apimUserId, context);
 
-      context.log('Raw SSO response from APIM:', ssoResponse);
-      context.log('SSO response type:', typeof ssoResponse);
-
       // Step 3: The APIM API returns a complete SSO URL, but sometimes with wrong domain
       // We need to use the developer portal URL and append the returnUrl
       let ssoUrl;
@@ -452,17 +464,16 @@ module.exports = async function (context, req) {
         // Append returnUrl if not already present
         if (ssoUrl.indexOf('returnUrl=') === -1) {
           const separator = ssoUrl.indexOf('?') !== -1 ? '&' : '?';
-          ssoUrl += `${separator}returnUrl=${encodeURIComponent(stateData.returnUrl)}`;
+          ssoUrl += `${separator}returnUrl=${encodeURIComponent(returnUrl)}`;
         }
-        context.log('Using SSO URL from APIM (with corrected domain)');
+        log.info('Using SSO URL from APIM (with corrected domain)');
       } else {
         // Fallback: construct SSO URL manually using developer portal URL
-        const baseUrl = process.env.APIM_PORTAL_URL || 'https://afdevapi.developer.azure-api.net';
-        ssoUrl = `${baseUrl}/signin-sso?token=${encodeURIComponent(ssoResponse)}&returnUrl=${encodeURIComponent(stateData.returnUrl)}`;
-        context.log('Constructed SSO URL manually');
+        ssoUrl = `${getPortalUrl(context)}/signin-sso?token=${encodeURIComponent(ssoResponse)}&returnUrl=${encodeURIComponent(returnUrl)}`;
+        log.info('Constructed SSO URL manually');
       }
 
-      context.log('Final SSO URL:', ssoUrl);
+      log.info('Final SSO URL:', ssoUrl);
 
       context.res = {
         status: 302,
@@ -471,40 +482,36 @@ module.exports = async function (context, req) {
         }
       };
     } catch (apimError) {
-      context.log.error('APIM API error:', apimError);
+      if (apimError.code === 'USER_ID_COLLISION') {
+        context.res = errorResponse(
+          context,
+          req,
+          409,
+          { error: 'APIM user ID belongs to another user', code: 'USER_ID_COLLISION' },
+          stateData.operation
+        );
+        return;
+      }
+
+      log.error('APIM API error:', apimError);
 
       // Fallback: try the direct parameter approach
-      let returnUrl;
-      if (stateData.returnUrl.startsWith('http')) {
-        returnUrl = new URL(stateData.returnUrl);
-      } else {
-        const baseUrl = process.env.APIM_PORTAL_URL || 'https://afdevapi.developer.azure-api.net';
-        returnUrl = new URL(stateData.returnUrl, baseUrl);
-      }
+      const fallbackUrl = new URL(resolveReturnUrl(returnUrl, context));
 
       Object.entries(userData).forEach(([key, value]) => {
-        if (value) returnUrl.searchParams.set(key, value);
+        if (value) fallbackUrl.searchParams.set(key, value);
       });
-      returnUrl.searchParams.set('salt', stateData.salt);
+      fallbackUrl.searchParams.set('salt', stateData.salt);
 
-      context.log('Fallback: Redirecting with parameters:', returnUrl.toString());
+      log.info('Fallback: Redirecting with parameters:', fallbackUrl.toString());
 
       context.res = {
         status: 302,
-        headers: { Location: returnUrl.toString() }
+        headers: { Location: fallbackUrl.toString() }
       };
     }
   } catch (error) {
-    context.log.error('Auth callback error:', error);
-    context.res = {
-      status: 500,
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: {
-        error: 'Authentication failed',
-        details: error.message
-      }
-    };
+    log.error('Auth callback error:', error);
+    context.res = errorResponse(context, req, 500, { error: 'Authentication failed' });
   }
 };
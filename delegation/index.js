@@ -1,10 +1,120 @@
 // wwwroot/delegation/index.js
 const crypto = require('crypto');
-const { getOidcConfiguration, buildAuthorizationUrl } = require('../shared/oidc-helper');
+const {
+  getOidcProviders,
+  findProviderForEmail,
+  getOidcConfiguration,
+  buildAuthorizationUrl,
+  buildSignUpUrl,
+  buildChangePasswordUrl,
+  changePasswordReturnsToPortal,
+  generatePkce
+} = require('../shared/oidc-helper');
+const {
+  getUserFromAPIM,
+  createOrUpdateUserInAPIM,
+  updateUserInAPIM,
+  deleteUserFromAPIM,
+  listUserSubscriptions,
+  deleteSubscription,
+  createOrUpdateSubscription,
+  updateSubscription,
+  getDelegationValidationKey,
+  httpRequestJson
+} = require('../shared/apim-helper');
+const {
+  escapeHtml,
+  renderPage,
+  htmlResponse,
+  parseFormBody,
+  parseCookies
+} = require('../shared/html-helper');
+const { evaluateSubscriptionRequest } = require('../shared/subscription-approval');
+const { STATE_TTL_MS, encodeState } = require('../shared/state-helper');
+const { getStateStore } = require('../shared/state-store');
+const { resolveReturnUrl, normalizeReturnUrl } = require('../shared/redirect-helper');
+const { initLogger, getLogger, hashId } = require('../shared/logger');
+const { setApimInstance, getApimSetting } = require('../shared/apim-instances');
+const { errorResponse } = require('../shared/error-page');
+const { setLocale, getLocale, t } = require('../shared/i18n');
+const { getLockedProfileFields } = require('../shared/profile');
+
+const SUBSCRIPTION_OPERATIONS = ['Subscribe', 'Unsubscribe', 'Renew'];
+
+// Labels are the profile.<name> catalog entries
+const PROFILE_FIELDS = [
+  { name: 'firstName', type: 'text', maxLength: 100 },
+  { name: 'lastName', type: 'text', maxLength: 100 },
+  { name: 'email', type: 'email', maxLength: 254 }
+];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// What happens to the APIM user in each CLOSE_ACCOUNT_MODE is explained to
+// the user by the closeAccount.<mode> catalog entry
+const CLOSE_ACCOUNT_MODES = ['block', 'anonymize', 'delete'];
+
+// Remembers the identity provider picked on the chooser page
+const PROVIDER_COOKIE = 'apim_delegation_provider';
+const PROVIDER_COOKIE_MAX_AGE = 90 * 24 * 60 * 60; // 90 days, in seconds
+
+// The instance's APIM validation keys to accept. During a key rotation both
+// the new primary and the previous key (APIM_VALIDATION_KEY_SECONDARY) are
+// valid. With APIM_VALIDATION_KEY_SOURCE=apim the primary key is read from the
+// APIM service's delegation settings instead of APIM_VALIDATION_KEY.
+async function getValidationKeys(context, forceRefresh = false) {
+  const primaryKey =
+    getApimSetting(context, 'VALIDATION_KEY_SOURCE') === 'apim'
+      ? await getDelegationValidationKey(context, { forceRefresh })
+      : getApimSetting(context, 'VALIDATION_KEY');
+
+  return [
+    { name: 'primary', value: primaryKey },
+    { name: 'secondary', value: getApimSetting(context, 'VALIDATION_KEY_SECONDARY') }
+  ].filter(key => key.value);
+}
+
+// Buffer.from accepts many spellings of the same bytes (no padding, base64url,
+// stray characters); only the canonical one is a valid signature, so a signed
+// URL cannot be re-encoded to get past the replay check
+function isCanonicalBase64(value) {
+  return value !== '' && Buffer.from(value, 'base64').toString('base64') === value;
+}
+
+// Compare two base64 signatures in constant time
+function signaturesMatch(computedSignature, receivedSignature) {
+  const computed = Buffer.from(computedSignature, 'base64');
+  const received = Buffer.from(receivedSignature, 'base64');
+
+  return computed.length === received.length && crypto.timingSafeEqual(computed, received);
+}
+
+// Find which validation key produced the signature, checking every key so the
+// time taken does not reveal which one matched
+function findMatchingKey(keys, stringToSign, signature) {
+  let matchedKey = null;
+
+  keys.forEach(key => {
+    // Use HMAC-SHA512 with base64-decoded key (Microsoft's exact specification)
+    const keyBytes = Buffer.from(key.value, 'base64');
+    const hmac = crypto.createHmac('sha512', keyBytes);
+    const computedSignature = hmac.update(stringToSign, 'utf8').digest('base64');
+
+    if (signaturesMatch(computedSignature, signature) && !matchedKey) {
+      matchedKey = key.name;
+    }
+  });
+
+  return matchedKey;
+}
 
 // Validate APIM signature using the CORRECT Microsoft specification
-function validateApimSignature(operation, salt, returnUrl, userId, signature, context) {
-  if (!process.env.APIM_VALIDATION_KEY || !signature) {
+async function validateApimSignature(params, context) {
+  const log = getLogger(context);
+  const { operation, salt, returnUrl, userId, productId, subscriptionId, subscriptionName } =
+    params;
+
+  if (typeof params.signature !== 'string' || !isCanonicalBase64(params.signature)) {
+    log.info('Signature is missing or not canonical base64');
     return false;
   }
 
@@ -22,194 +132,904 @@ function validateApimSignature(operation, salt, returnUrl, userId, signature, co
     case 'SignOut':
       stringToSign = salt + '\n' + userId;
       break;
+    case 'Subscribe':
+      // Newer APIM versions also sign the subscription name the user entered
+      stringToSign = salt + '\n' + productId + '\n' + userId;
+      if (subscriptionName !== undefined) {
+        stringToSign += '\n' + subscriptionName;
+      }
+      break;
+    case 'Unsubscribe':
+    case 'Renew':
+      stringToSign = salt + '\n' + subscriptionId;
+      break;
     default:
-      context.log('Unsupported operation for signature validation:', operation);
+      log.info('Unsupported operation for signature validation:', operation);
       return false;
   }
 
-  context.log('String to sign:', JSON.stringify(stringToSign));
+  const keys = await getValidationKeys(context);
+  let matchedKey = findMatchingKey(keys, stringToSign, params.signature);
+
+  // A mismatch against a key read from APIM may mean it was just regenerated
+  if (!matchedKey && getApimSetting(context, 'VALIDATION_KEY_SOURCE') === 'apim') {
+    const refreshedKeys = await getValidationKeys(context, true);
+    if (refreshedKeys[0]?.value !== keys[0]?.value) {
+      log.info('APIM validation key changed, retrying signature validation');
+      matchedKey = findMatchingKey(refreshedKeys, stringToSign, params.signature);
+    }
+  }
+
+  if (!matchedKey) {
+    log.info('Signature did not match any APIM validation key');
+    return false;
+  }
+
+  // Once the secondary key stops showing up here it is safe to remove
+  log.info('Signature validated with APIM validation key:', matchedKey);
+  return true;
+}
+
+// Add the nonce and PKCE verifier to the state and return the matching
+// authorization parameters. Both travel inside the encrypted state, so only
+// auth-callback can read them.
+function addAuthorizationProofs(oidcConfig, stateData) {
+  stateData.nonce = crypto.randomBytes(16).toString('base64url');
+  const params = { nonce: stateData.nonce };
+
+  if (oidcConfig.usePkce) {
+    const { codeVerifier, codeChallenge, codeChallengeMethod } = generatePkce();
+    stateData.codeVerifier = codeVerifier;
+    params.code_challenge = codeChallenge;
+    params.code_challenge_method = codeChallengeMethod;
+  }
+
+  return params;
+}
+
+// Record the authorization request server-side so auth-callback can accept
+// its state exactly once
+async function registerState(stateData) {
+  stateData.sid = crypto.randomBytes(16).toString('base64url');
+  await getStateStore().create(stateData.sid, { operation: stateData.operation }, STATE_TTL_MS);
+}
+
+// Claim a delegation request's salt and signature so a captured signed URL can
+// only be acted on once within DELEGATION_REPLAY_WINDOW_SECONDS (0 disables the
+// check). Sets a 409 response and returns false when the request was seen before.
+async function claimDelegationRequest(context, req, params) {
+  const log = getLogger(context);
+  const windowSeconds = parseInt(process.env.DELEGATION_REPLAY_WINDOW_SECONDS ?? '86400', 10);
+
+  if (windowSeconds <= 0) {
+    return true;
+  }
+
+  // Keyed on the signature's bytes rather than its spelling, and hashed because
+  // base64 contains characters Table storage rejects in keys
+  const key = crypto
+    .createHash('sha256')
+    .update(`${params.salt}\n`)
+    .update(Buffer.from(params.signature, 'base64'))
+    .digest('hex');
+  const claimed = await getStateStore('replay').create(
+    key,
+    { operation: params.operation },
+    windowSeconds * 1000
+  );
+
+  if (!claimed) {
+    log.warn('Rejected replayed delegation request:', params.operation);
+    context.res = errorResponse(
+      context,
+      req,
+      409,
+      { error: 'Delegation request has already been used', code: 'DELEGATION_REPLAYED' },
+      params.operation
+    );
+  }
+
+  return claimed;
+}
+
+// The provider the user picked last time, if it is still configured
+function getRememberedProvider(req) {
+  const providerId = parseCookies(req)[PROVIDER_COOKIE];
+  return getOidcProviders().some(provider => provider.id === providerId) ? providerId : undefined;
+}
+
+function providerCookie(providerId) {
+  return `${PROVIDER_COOKIE}=${providerId}; Path=/; Max-Age=${PROVIDER_COOKIE_MAX_AGE}; Secure; HttpOnly; SameSite=Lax`;
+}
 
-  // Use HMAC-SHA512 with base64-decoded key (Microsoft's exact specification)
-  const keyBytes = Buffer.from(process.env.APIM_VALIDATION_KEY, 'base64');
-  const hmac = crypto.createHmac('sha512', keyBytes);
-  const computedSignature = hmac.update(stringToSign, 'utf8').digest('base64');
+// Render the provider chooser. Each choice links back to the same signed
+// delegation URL with a provider parameter; the last used provider comes first.
+function renderProviderChooser(context, req, providers, rememberedProvider) {
+  const ordered = [...providers].sort(
+    (a, b) => (b.id === rememberedProvider) - (a.id === rememberedProvider)
+  );
 
-  context.log('Computed signature:', computedSignature);
-  context.log('Received signature:', signature);
-  context.log('Signatures match:', computedSignature === signature);
+  const choices = ordered
+    .map(provider => {
+      const href = `?${new URLSearchParams({ ...req.query, provider: provider.id }).toString()}`;
+      const lastUsed =
+        provider.id === rememberedProvider
+          ? `\n<div class="hint">${escapeHtml(t(context, 'chooser.lastUsed'))}</div>`
+          : '';
+      return `<a class="button" href="${escapeHtml(href)}">${escapeHtml(provider.displayName)}</a>${lastUsed}`;
+    })
+    .join('\n');
 
-  return computedSignature === signature;
+  return renderPage(t(context, 'chooser.title'), choices, getLocale(context));
+}
+
+// Render the home-realm discovery form; it posts back to the same signed delegation URL
+function renderHomeRealmForm(context, req, email = '', error) {
+  const action = `?${new URLSearchParams(req.query).toString()}`;
+  const errorHtml = error ? `<div class="error" role="alert">${escapeHtml(error)}</div>` : '';
+
+  return renderPage(
+    t(context, 'homeRealm.title'),
+    `${errorHtml}
+<form method="post" action="${escapeHtml(action)}">
+<label for="email">${escapeHtml(t(context, 'homeRealm.email'))}</label>
+<input id="email" name="email" type="email" maxlength="254" value="${escapeHtml(email)}" autocomplete="email" required>
+<div class="hint">${escapeHtml(t(context, 'homeRealm.hint'))}</div>
+<button type="submit">${escapeHtml(t(context, 'homeRealm.continue'))}</button>
+</form>`,
+    getLocale(context)
+  );
+}
+
+// Ask for the user's email and pick their provider from its domain. Returns
+// { provider, email } once a known domain is submitted; until then the form
+// (or the form with an error) is set as the response and null is returned.
+function resolveHomeRealm(context, req) {
+  const log = getLogger(context);
+
+  if ((req.method || 'GET').toUpperCase() !== 'POST') {
+    context.res = htmlResponse(200, renderHomeRealmForm(context, req));
+    return null;
+  }
+
+  const email = String(parseFormBody(req).email || '').trim();
+
+  if (!EMAIL_PATTERN.test(email) || email.length > 254) {
+    context.res = htmlResponse(
+      400,
+      renderHomeRealmForm(context, req, email, t(context, 'homeRealm.invalidEmail'))
+    );
+    return null;
+  }
+
+  const realm = findProviderForEmail(email);
+
+  if (!realm) {
+    const domain = email.slice(email.lastIndexOf('@') + 1);
+    log.warn('No identity provider configured for email domain:', domain);
+    context.res = htmlResponse(
+      400,
+      renderHomeRealmForm(context, req, email, t(context, 'homeRealm.unknownDomain', { domain }))
+    );
+    return null;
+  }
+
+  return { provider: realm.provider, email };
+}
+
+// Validate submitted profile values, returning the cleaned profile and any errors
+function validateProfileInput(context, input, currentProfile, lockedFields) {
+  const profile = {};
+  const errors = [];
+
+  PROFILE_FIELDS.forEach(field => {
+    const value = typeof input[field.name] === 'string' ? input[field.name].trim() : '';
+    const currentValue = currentProfile[field.name] || '';
+    const label = t(context, `profile.${field.name}`);
+
+    if (lockedFields.includes(field.name)) {
+      if (value && value !== currentValue) {
+        errors.push(t(context, 'profile.lockedField', { field: label }));
+      }
+      profile[field.name] = currentValue;
+      return;
+    }
+
+    if (!value) {
+      errors.push(t(context, 'profile.requiredField', { field: label }));
+    } else if (value.length > field.maxLength) {
+      errors.push(t(context, 'profile.fieldTooLong', { field: label, maxLength: field.maxLength }));
+    } else if (field.type === 'email' && !EMAIL_PATTERN.test(value)) {
+      errors.push(t(context, 'profile.invalidEmail', { field: label }));
+    }
+    profile[field.name] = value;
+  });
+
+  return { profile, errors };
+}
+
+// Render the profile edit form; it posts back to the same signed delegation URL
+function renderProfileForm(context, req, profile, lockedFields, errors = []) {
+  const action = `?${new URLSearchParams(req.query).toString()}`;
+
+  const errorItems = errors.map(error => `<li>${escapeHtml(error)}</li>`).join('');
+  const errorHtml = errors.length
+    ? `<div class="error" role="alert"><ul>${errorItems}</ul></div>`
+    : '';
+
+  const fieldsHtml = PROFILE_FIELDS.map(field => {
+    const locked = lockedFields.includes(field.name);
+    const value = escapeHtml(profile[field.name]);
+    const input = `<input id="${field.name}" name="${field.name}" type="${field.type}" maxlength="${field.maxLength}" value="${value}"${locked ? ' readonly' : ' required'}>`;
+    const hint = locked
+      ? `\n<div class="hint">${escapeHtml(t(context, 'profile.managed'))}</div>`
+      : '';
+    const label = escapeHtml(t(context, `profile.${field.name}`));
+
+    return `<label for="${field.name}">${label}</label>\n${input}${hint}`;
+  }).join('\n');
+
+  return renderPage(
+    t(context, 'profile.title'),
+    `${errorHtml}
+<form method="post" action="${escapeHtml(action)}">
+${fieldsHtml}
+<button type="submit">${escapeHtml(t(context, 'profile.save'))}</button>
+</form>`,
+    getLocale(context)
+  );
+}
+
+// Show the profile form (GET) or apply the submitted changes (POST)
+async function handleChangeProfile(context, req, userId, returnUrl, params) {
+  const log = getLogger(context);
+  const apimUser = await getUserFromAPIM(userId, context);
+
+  if (!apimUser) {
+    log.error('APIM user not found:', hashId(userId));
+    context.res = errorResponse(context, req, 404, { error: 'User not found' }, params.operation);
+    return;
+  }
+
+  const properties = apimUser.properties || {};
+  const currentProfile = {
+    firstName: properties.firstName,
+    lastName: properties.lastName,
+    email: properties.email
+  };
+  const lockedFields = getLockedProfileFields();
+
+  if ((req.method || 'GET').toUpperCase() !== 'POST') {
+    context.res = htmlResponse(200, renderProfileForm(context, req, currentProfile, lockedFields));
+    return;
+  }
+
+  const { profile, errors } = validateProfileInput(
+    context,
+    parseFormBody(req),
+    currentProfile,
+    lockedFields
+  );
+
+  if (errors.length) {
+    log.info('Profile update rejected:', errors);
+    context.res = htmlResponse(400, renderProfileForm(context, req, profile, lockedFields, errors));
+    return;
+  }
+
+  if (!(await claimDelegationRequest(context, req, params))) {
+    return;
+  }
+
+  // Keep the note and state so a profile edit never re-activates a blocked user
+  await createOrUpdateUserInAPIM(
+    userId,
+    { ...profile, note: properties.note, state: properties.state },
+    context
+  );
+
+  log.info('Profile updated for APIM user:', hashId(userId));
+
+  context.res = {
+    status: 302,
+    headers: {
+      Location: resolveReturnUrl(returnUrl, context)
+    }
+  };
+}
+
+// Render the page for password change pages that cannot send the user back:
+// the provider's page opens in a new tab and this one links back to the portal
+function renderChangePassword(context, changePasswordUrl, returnUrl) {
+  return renderPage(
+    t(context, 'changePassword.title'),
+    `<p>${escapeHtml(t(context, 'changePassword.message'))}</p>
+<a class="button" href="${escapeHtml(changePasswordUrl)}" target="_blank" rel="noopener noreferrer">${escapeHtml(t(context, 'changePassword.open'))}</a>
+<p><a href="${escapeHtml(returnUrl)}">${escapeHtml(t(context, 'common.returnToPortal'))}</a></p>`,
+    getLocale(context)
+  );
+}
+
+// Read the CloseAccount policy from app settings
+function getCloseAccountPolicy() {
+  const mode = (process.env.CLOSE_ACCOUNT_MODE || 'block').toLowerCase();
+
+  if (!CLOSE_ACCOUNT_MODES.includes(mode)) {
+    throw new Error(`Invalid CLOSE_ACCOUNT_MODE: ${mode}. Use block, anonymize or delete`);
+  }
+
+  return {
+    mode,
+    deleteSubscriptions: process.env.CLOSE_ACCOUNT_DELETE_SUBSCRIPTIONS !== 'false',
+    notifyUrl: process.env.CLOSE_ACCOUNT_NOTIFY_URL
+  };
+}
+
+// Render the confirmation step; nothing changes until the user confirms
+function renderCloseAccountConfirmation(context, req, policy, cancelUrl) {
+  const action = `?${new URLSearchParams(req.query).toString()}`;
+  const subscriptionsNote = policy.deleteSubscriptions
+    ? `<p>${escapeHtml(t(context, 'closeAccount.subscriptions'))}</p>`
+    : '';
+
+  return renderPage(
+    t(context, 'closeAccount.title'),
+    `<p>${escapeHtml(t(context, `closeAccount.${policy.mode}`))}</p>
+${subscriptionsNote}
+<p>${escapeHtml(t(context, 'closeAccount.irreversible'))}</p>
+<form method="post" action="${escapeHtml(action)}">
+<input type="hidden" name="confirm" value="yes">
+<button type="submit">${escapeHtml(t(context, 'closeAccount.confirm'))}</button>
+</form>
+<p><a href="${escapeHtml(cancelUrl)}">${escapeHtml(t(context, 'closeAccount.cancel'))}</a></p>`,
+    getLocale(context)
+  );
+}
+
+// Apply the CloseAccount policy to the APIM user
+async function closeAccountInAPIM(userId, policy, context) {
+  const log = getLogger(context);
+
+  if (policy.mode === 'delete') {
+    await deleteUserFromAPIM(userId, { deleteSubscriptions: policy.deleteSubscriptions }, context);
+    return;
+  }
+
+  if (policy.deleteSubscriptions) {
+    const subscriptions = await listUserSubscriptions(userId, context);
+    for (const subscription of subscriptions) {
+      await deleteSubscription(subscription.name, context);
+    }
+    log.info('Deleted subscriptions for closed account:', subscriptions.length);
+  }
+
+  const properties = { state: 'blocked' };
+
+  if (policy.mode === 'anonymize') {
+    const userHash = crypto.createHash('sha256').update(userId).digest('hex').slice(0, 16);
+    Object.assign(properties, {
+      firstName: 'Closed',
+      lastName: 'Account',
+      email: `closed-${userHash}@anonymized.invalid`,
+      note: `Account closed ${new Date().toISOString()}`
+    });
+  }
+
+  await updateUserInAPIM(userId, properties, context);
+}
+
+// Tell the identity provider (or a directory webhook) that an account was closed
+async function notifyAccountClosed(policy, userId, email, context) {
+  const log = getLogger(context);
+
+  if (!policy.notifyUrl) {
+    return;
+  }
+
+  const headers = {};
+  if (process.env.CLOSE_ACCOUNT_NOTIFY_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.CLOSE_ACCOUNT_NOTIFY_TOKEN}`;
+  }
+
+  try {
+    await httpRequestJson(
+      'POST',
+      policy.notifyUrl,
+      {
+        event: 'account.closed',
+        userId,
+        email,
+        mode: policy.mode,
+        timestamp: new Date().toISOString()
+      },
+      headers
+    );
+    log.info('Identity provider notified of closed account');
+  } catch (error) {
+    // The APIM account is already closed, so a failed notification must not fail the request
+    log.error('Failed to notify identity provider of closed account:', error.message);
+  }
+}
+
+// Show the confirmation step (GET) or close the account and sign out (POST)
+async function handleCloseAccount(context, req, userId, returnUrl, params) {
+  const log = getLogger(context);
+  const apimUser = await getUserFromAPIM(userId, context);
+
+  if (!apimUser) {
+    log.error('APIM user not found:', hashId(userId));
+    context.res = errorResponse(context, req, 404, { error: 'User not found' }, params.operation);
+    return;
+  }
+
+  const policy = getCloseAccountPolicy();
+  const isPost = (req.method || 'GET').toUpperCase() === 'POST';
+
+  if (!isPost || parseFormBody(req).confirm !== 'yes') {
+    context.res = htmlResponse(
+      200,
+      renderCloseAccountConfirmation(context, req, policy, resolveReturnUrl(returnUrl, context))
+    );
+    return;
+  }
+
+  if (!(await claimDelegationRequest(context, req, params))) {
+    return;
+  }
+
+  log.info('Closing account with policy:', {
+    mode: policy.mode,
+    deleteSubscriptions: policy.deleteSubscriptions
+  });
+
+  await closeAccountInAPIM(userId, policy, context);
+  await notifyAccountClosed(policy, userId, apimUser.properties?.email, context);
+
+  log.info('Account closed for APIM user:', hashId(userId));
+
+  // The account no longer exists in the portal, so sign out back to the portal home
+  await handleSignOut(context, '/', getRememberedProvider(req));
+}
+
+// Render the page shown when the approval hook declines a subscription request
+function renderSubscriptionDenied(context, reason, portalUrl) {
+  const reasonHtml = reason ? `<p>${escapeHtml(reason)}</p>` : '';
+
+  return renderPage(
+    t(context, 'subscriptionDenied.title'),
+    `<p>${escapeHtml(t(context, 'subscriptionDenied.message'))}</p>
+${reasonHtml}
+<p><a href="${escapeHtml(portalUrl)}">${escapeHtml(t(context, 'common.returnToPortal'))}</a></p>`,
+    getLocale(context)
+  );
+}
+
+// Create, cancel or renew a product subscription on behalf of the portal
+async function handleSubscriptionOperation(context, req, params) {
+  const log = getLogger(context);
+  const { operation, productId, userId, subscriptionId, subscriptionName } = params;
+  const returnUrl = params.returnUrl || '/profile';
+
+  if (!(await claimDelegationRequest(context, req, params))) {
+    return;
+  }
+
+  if (operation === 'Unsubscribe') {
+    await updateSubscription(subscriptionId, { state: 'cancelled' }, context);
+    log.info('Subscription cancelled:', subscriptionId);
+  } else {
+    const approval = await evaluateSubscriptionRequest(
+      { operation, productId, userId, subscriptionId, subscriptionName },
+      context
+    );
+
+    log.info('Subscription approval decision:', approval.decision);
+
+    if (approval.decision === 'deny') {
+      context.res = htmlResponse(
+        403,
+        renderSubscriptionDenied(context, approval.reason, resolveReturnUrl(returnUrl, context))
+      );
+      return;
+    }
+
+    // APIM shows 'submitted' subscriptions as awaiting approval
+    const state = approval.decision === 'pending' ? 'submitted' : 'active';
+
+    if (operation === 'Subscribe') {
+      const newSubscriptionId = crypto.randomBytes(12).toString('hex');
+      await createOrUpdateSubscription(
+        newSubscriptionId,
+        { productId, userId, displayName: subscriptionName || productId, state },
+        context
+      );
+      log.info('Subscription created:', newSubscriptionId, state);
+    } else {
+      await updateSubscription(subscriptionId, { state }, context);
+      log.info('Subscription renewed:', subscriptionId, state);
+    }
+  }
+
+  context.res = {
+    status: 302,
+    headers: {
+      Location: resolveReturnUrl(returnUrl, context)
+    }
+  };
+}
+
+// Sign the user out at the OIDC provider when it supports it, otherwise go back to the portal
+async function handleSignOut(context, returnUrl, provider) {
+  const log = getLogger(context);
+  log.info('Processing SignOut operation');
+
+  try {
+    // Get OIDC configuration to check for end_session_endpoint
+    const oidcConfig = await getOidcConfiguration(context, provider);
+    log.info('OIDC configuration loaded for SignOut');
+
+    // Check if OIDC provider supports logout endpoint
+    if (oidcConfig.endpoints.end_session_endpoint) {
+      log.info('OIDC provider supports logout, redirecting to end_session_endpoint');
+
+      // Build logout URL with post_logout_redirect_uri
+      const logoutUrl = new URL(oidcConfig.endpoints.end_session_endpoint);
+
+      // Add post_logout_redirect_uri parameter
+      if (getApimSetting(context, 'PORTAL_URL')) {
+        logoutUrl.searchParams.set(
+          'post_logout_redirect_uri',
+          resolveReturnUrl(returnUrl, context)
+        );
+      }
+
+      // Add client_id parameter (required by some OIDC providers like Okta when id_token_hint is not provided)
+      logoutUrl.searchParams.set('client_id', oidcConfig.clientId);
+
+      // Add state parameter with return context
+      const logoutState = {
+        returnUrl,
+        timestamp: Date.now(),
+        operation: 'SignOut'
+      };
+      const encodedLogoutState = encodeState(logoutState);
+      logoutUrl.searchParams.set('state', encodedLogoutState);
+
+      log.info('Redirecting to OIDC logout URL:', logoutUrl.toString());
+
+      context.res = {
+        status: 302,
+        headers: {
+          Location: logoutUrl.toString()
+        }
+      };
+      return;
+    } else {
+      log.info(
+        'OIDC provider does not support end_session_endpoint, redirecting directly to APIM portal'
+      );
+
+      // Fallback: redirect directly to APIM portal
+      const fallbackUrl = resolveReturnUrl(returnUrl, context);
+
+      log.info('Fallback logout redirect to:', fallbackUrl);
+
+      context.res = {
+        status: 302,
+        headers: {
+          Location: fallbackUrl
+        }
+      };
+      return;
+    }
+  } catch (error) {
+    log.error('Error during SignOut processing:', error.message);
+
+    // Fallback on error: redirect to APIM portal
+    const fallbackUrl = resolveReturnUrl(returnUrl, context);
+
+    log.info('Error fallback logout redirect to:', fallbackUrl);
+
+    context.res = {
+      status: 302,
+      headers: {
+        Location: fallbackUrl
+      }
+    };
+    return;
+  }
 }
 
 module.exports = async function (context, req) {
-  context.log('Delegation endpoint called');
+  const log = initLogger(context, req, 'delegation');
+  log.info('Delegation endpoint called');
+
+  // Pages are rendered in this locale, and it is passed on to the identity
+  // provider and auth-callback so the whole sign-in uses one language
+  const locale = setLocale(context, req);
 
   try {
     // Get query parameters
     const operation = req.query.operation;
     const userId = req.query.userId;
     const salt = req.query.salt;
-    const returnUrl = req.query.returnUrl;
     const signature = req.query.sig;
+    const { productId, subscriptionId, subscriptionName } = req.query;
 
-    context.log('Operation:', operation);
-    context.log('UserId:', userId);
-    context.log('ReturnUrl:', returnUrl);
-    context.log('Salt:', salt);
+    // Each APIM instance's delegation URL names it in the route
+    // (/api/delegation/<instance>) or in an instance query parameter
+    let instance;
+    try {
+      instance = setApimInstance(context, req.params?.instance || req.query.instance);
+    } catch (error) {
+      if (error.code !== 'UNKNOWN_INSTANCE') {
+        throw error;
+      }
+      log.warn('Unknown APIM instance requested:', error.message);
+      context.res = errorResponse(context, req, 404, { error: 'Unknown APIM instance' }, operation);
+      return;
+    }
+
+    if (instance) {
+      log.info('APIM instance:', instance);
+    }
+    log.info('Operation:', operation);
+    log.info('UserId hash:', hashId(userId));
+    log.info('ReturnUrl:', req.query.returnUrl);
+
+    const params = {
+      operation,
+      userId,
+      salt,
+      returnUrl: req.query.returnUrl,
+      signature,
+      productId,
+      subscriptionId,
+      subscriptionName
+    };
 
     // Validate APIM signature using Microsoft's exact specification
-    if (!validateApimSignature(operation, salt, returnUrl, userId, signature, context)) {
-      context.log.error('Signature validation failed');
-      context.res = {
-        status: 401,
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: { error: 'Invalid signature' }
-      };
+    if (!(await validateApimSignature(params, context))) {
+      log.error('Signature validation failed');
+      context.res = errorResponse(context, req, 401, { error: 'Invalid signature' }, operation);
       return;
     }
 
-    context.log('Signature validated successfully');
+    // The signature covers the raw value; only a validated returnUrl is used from here on
+    const returnUrl = normalizeReturnUrl(req.query.returnUrl, context);
+
+    log.info('Signature validated successfully');
+
+    if (operation === 'SignIn' || operation === 'SignUp') {
+      log.info(`Processing ${operation} operation`);
+
+      // With several providers the user picks one, unless the URL carries a provider hint
+      const providers = getOidcProviders();
+      let provider = providers.length ? req.query.provider : undefined;
+      let loginHint;
+
+      if (provider && !providers.some(candidate => candidate.id === provider)) {
+        log.warn('Unknown identity provider requested:', provider);
+        context.res = errorResponse(
+          context,
+          req,
+          400,
+          { error: 'Unknown identity provider' },
+          operation
+        );
+        return;
+      }
+
+      if (!provider && process.env.OIDC_HOME_REALM_DISCOVERY === 'true') {
+        const realm = resolveHomeRealm(context, req);
+        if (!realm) {
+          return;
+        }
 
-    if (operation === 'SignIn') {
-      context.log('Processing SignIn operation');
+        provider = realm.provider;
+        loginHint = realm.email;
+        log.info('Home realm discovery selected provider:', provider);
+      } else if (providers.length > 1 && !provider) {
+        context.res = htmlResponse(
+          200,
+          renderProviderChooser(context, req, providers, getRememberedProvider(req))
+        );
+        return;
+      }
 
       // Get OIDC configuration with endpoint discovery
       let oidcConfig;
       try {
-        oidcConfig = await getOidcConfiguration(context);
-        context.log('OIDC configuration loaded successfully');
+        oidcConfig = await getOidcConfiguration(context, provider);
+        log.info('OIDC configuration loaded successfully');
       } catch (error) {
-        context.log.error('Failed to load OIDC configuration:', error.message);
-        context.res = {
-          status: 500,
-          body: { error: 'Server configuration error' }
-        };
+        log.error('Failed to load OIDC configuration:', error.message);
+        context.res = errorResponse(
+          context,
+          req,
+          500,
+          { error: 'Server configuration error' },
+          operation
+        );
         return;
       }
 
-      // Create state data for the OAuth flow
+      if (!(await claimDelegationRequest(context, req, params))) {
+        return;
+      }
+
+      // Create state data for the OAuth flow. The operation lets auth-callback
+      // tell a new registration apart from a returning user, the provider
+      // tells it where to exchange the code and the instance which APIM
+      // service to sign the user in to.
       const stateData = {
+        operation,
+        provider: oidcConfig.provider,
+        instance,
         returnUrl,
         salt,
         userId,
+        locale,
         timestamp: Date.now()
       };
 
-      // Encode state data
-      const encodedState = Buffer.from(JSON.stringify(stateData)).toString('base64');
+      // Encrypt state data so it cannot be read or forged in transit
+      const authParams = {
+        ...addAuthorizationProofs(oidcConfig, stateData),
+        login_hint: loginHint,
+        ui_locales: locale
+      };
+      await registerState(stateData);
+      const encodedState = encodeState(stateData);
 
-      // Build authorization URL using discovered endpoints
-      const authUrl = buildAuthorizationUrl(oidcConfig, encodedState);
+      // Build authorization (or registration) URL using discovered endpoints
+      const authUrl =
+        operation === 'SignUp'
+          ? buildSignUpUrl(oidcConfig, encodedState, undefined, authParams)
+          : buildAuthorizationUrl(oidcConfig, encodedState, undefined, authParams);
 
-      context.log('Redirecting to OIDC provider:', authUrl);
+      log.info('Redirecting to OIDC provider:', authUrl);
 
       context.res = {
         status: 302,
         headers: {
-          Location: authUrl
+          Location: authUrl,
+          ...(oidcConfig.provider && { 'Set-Cookie': providerCookie(oidcConfig.provider) })
         }
       };
       return;
     }
 
     if (operation === 'SignOut') {
-      context.log('Processing SignOut operation');
+      if (!(await claimDelegationRequest(context, req, params))) {
+        return;
+      }
+      await handleSignOut(context, returnUrl, getRememberedProvider(req));
+      return;
+    }
+
+    if (operation === 'ChangePassword') {
+      log.info('Processing ChangePassword operation');
 
+      // Look up the APIM user so the provider can prefill the account
+      const apimUser = await getUserFromAPIM(userId, context);
+
+      if (!apimUser) {
+        log.error('APIM user not found:', hashId(userId));
+        context.res = errorResponse(context, req, 404, { error: 'User not found' }, operation);
+        return;
+      }
+
+      let oidcConfig;
       try {
-        // Get OIDC configuration to check for end_session_endpoint
-        const oidcConfig = await getOidcConfiguration(context);
-        context.log('OIDC configuration loaded for SignOut');
-
-        // Check if OIDC provider supports logout endpoint
-        if (oidcConfig.endpoints.end_session_endpoint) {
-          context.log('OIDC provider supports logout, redirecting to end_session_endpoint');
-
-          // Build logout URL with post_logout_redirect_uri
-          const apimPortalUrl = process.env.APIM_PORTAL_URL;
-          const logoutUrl = new URL(oidcConfig.endpoints.end_session_endpoint);
-
-          // Add post_logout_redirect_uri parameter
-          if (apimPortalUrl) {
-            logoutUrl.searchParams.set('post_logout_redirect_uri', apimPortalUrl + returnUrl);
-          }
-
-          // Add client_id parameter (required by some OIDC providers like Okta when id_token_hint is not provided)
-          logoutUrl.searchParams.set('client_id', oidcConfig.clientId);
-
-          // Add state parameter with return context
-          const logoutState = {
-            returnUrl,
-            timestamp: Date.now(),
-            operation: 'SignOut'
-          };
-          const encodedLogoutState = Buffer.from(JSON.stringify(logoutState)).toString('base64');
-          logoutUrl.searchParams.set('state', encodedLogoutState);
-
-          context.log('Redirecting to OIDC logout URL:', logoutUrl.toString());
-
-          context.res = {
-            status: 302,
-            headers: {
-              Location: logoutUrl.toString()
-            }
-          };
-          return;
-        } else {
-          context.log(
-            'OIDC provider does not support end_session_endpoint, redirecting directly to APIM portal'
-          );
-
-          // Fallback: redirect directly to APIM portal
-          const apimPortalUrl = process.env.APIM_PORTAL_URL || 'https://localhost';
-          const fallbackUrl = apimPortalUrl + (returnUrl || '/');
-
-          context.log('Fallback logout redirect to:', fallbackUrl);
-
-          context.res = {
-            status: 302,
-            headers: {
-              Location: fallbackUrl
-            }
-          };
-          return;
-        }
+        oidcConfig = await getOidcConfiguration(context, getRememberedProvider(req));
+        log.info('OIDC configuration loaded for ChangePassword');
       } catch (error) {
-        context.log.error('Error during SignOut processing:', error.message);
+        log.error('Failed to load OIDC configuration:', error.message);
+        context.res = errorResponse(
+          context,
+          req,
+          500,
+          { error: 'Server configuration error' },
+          operation
+        );
+        return;
+      }
 
-        // Fallback on error: redirect to APIM portal
-        const apimPortalUrl = process.env.APIM_PORTAL_URL || 'https://localhost';
-        const fallbackUrl = apimPortalUrl + (returnUrl || '/');
+      if (!(await claimDelegationRequest(context, req, params))) {
+        return;
+      }
 
-        context.log('Error fallback logout redirect to:', fallbackUrl);
+      const loginHint = apimUser.properties?.email;
 
-        context.res = {
-          status: 302,
-          headers: {
-            Location: fallbackUrl
-          }
-        };
+      // State for templates that round-trip through the authorization flow,
+      // which signs the user back in and lands them on returnUrl
+      const stateData = {
+        operation,
+        provider: oidcConfig.provider,
+        instance,
+        returnUrl,
+        salt,
+        userId,
+        locale,
+        timestamp: Date.now()
+      };
+      const authParams = addAuthorizationProofs(oidcConfig, stateData);
+      await registerState(stateData);
+      const encodedState = encodeState(stateData);
+
+      const changePasswordUrl = buildChangePasswordUrl(oidcConfig, {
+        returnUrl: resolveReturnUrl(returnUrl, context),
+        loginHint,
+        authorizationUrl: buildAuthorizationUrl(oidcConfig, encodedState, undefined, {
+          ...authParams,
+          login_hint: loginHint,
+          ui_locales: locale
+        })
+      });
+
+      if (!changePasswordUrl) {
+        log.error(
+          'ChangePassword requested but neither OIDC_CHANGE_PASSWORD_URL nor OIDC_PROVIDER_TYPE is set'
+        );
+        context.res = errorResponse(
+          context,
+          req,
+          500,
+          { error: 'Server configuration error' },
+          operation
+        );
+        return;
+      }
+
+      if (!changePasswordReturnsToPortal(oidcConfig)) {
+        log.info('Showing the password change page with a link back to the portal');
+        context.res = htmlResponse(
+          200,
+          renderChangePassword(context, changePasswordUrl, resolveReturnUrl(returnUrl, context))
+        );
         return;
       }
+
+      log.info('Redirecting to password change URL');
+
+      context.res = {
+        status: 302,
+        headers: {
+          Location: changePasswordUrl
+        }
+      };
+      return;
     }
 
-    context.log('Unsupported operation:', operation);
-    context.res = {
-      status: 400,
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: { error: 'Unsupported operation' }
-    };
+    if (operation === 'ChangeProfile') {
+      log.info('Processing ChangeProfile operation');
+      await handleChangeProfile(context, req, userId, returnUrl, params);
+      return;
+    }
+
+    if (operation === 'CloseAccount') {
+      log.info('Processing CloseAccount operation');
+      await handleCloseAccount(context, req, userId, returnUrl, params);
+      return;
+    }
+
+    if (SUBSCRIPTION_OPERATIONS.includes(operation)) {
+      log.info(`Processing ${operation} operation`);
+      await handleSubscriptionOperation(context, req, params);
+      return;
+    }
+
+    log.info('Unsupported operation:', operation);
+    context.res = errorResponse(context, req, 400, { error: 'Unsupported operation' }, operation);
   } catch (error) {
-    context.log.error('Delegation function error:', error);
-    context.res = {
-      status: 500,
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: { error: 'Internal server error', details: error.message }
-    };
+    log.error('Delegation function error:', error);
+    context.res = errorResponse(
+      context,
+      req,
+      500,
+      { error: 'Internal server error' },
+      req.query.operation
+    );
   }
 };
@@ -1,5 +1,8 @@
-module.exports = async function (context) {
-  context.log('Health check called');
+const { initLogger } = require('../shared/logger');
+
+module.exports = async function (context, req) {
+  const log = initLogger(context, req, 'health');
+  log.info('Health check called');
 
   context.res = {
     status: 200,
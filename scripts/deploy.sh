@@ -83,16 +83,17 @@ load_environment() {
     REQUIRED_VARS=(
         "AZURE_SUBSCRIPTION_ID"
         "AZURE_RESOURCE_GROUP"
-        "APIM_VALIDATION_KEY"
         "APIM_PORTAL_URL"
         "OIDC_ISSUER"
         "OIDC_CLIENT_ID"
         "OIDC_CLIENT_SECRET"
+        "STATE_ENCRYPTION_KEYS"
     )
     
     # Optional variables for cross-subscription APIM
     OPTIONAL_VARS=(
         "APIM_ACCESS_TOKEN"
+        "APIM_VALIDATION_KEY_SECONDARY"
     )
     
     # Set default values for optional configuration
@@ -103,6 +104,12 @@ load_environment() {
     export AZURE_OS_TYPE="${AZURE_OS_TYPE:-linux}"
     export APIM_RESOURCE_GROUP="${APIM_RESOURCE_GROUP:-}"
     export APIM_SERVICE_NAME="${APIM_SERVICE_NAME:-}"
+    export APIM_VALIDATION_KEY_SOURCE="${APIM_VALIDATION_KEY_SOURCE:-setting}"
+    
+    # The validation key is read from APIM at runtime when APIM_VALIDATION_KEY_SOURCE=apim
+    if [ "$APIM_VALIDATION_KEY_SOURCE" != "apim" ]; then
+        REQUIRED_VARS+=("APIM_VALIDATION_KEY")
+    fi
     
     for var in "${REQUIRED_VARS[@]}"; do
         if [ -z "${!var}" ]; then
@@ -203,11 +210,14 @@ deploy_infrastructure() {
             sku="$AZURE_SKU" \
             osType="$AZURE_OS_TYPE" \
             environment="$ENVIRONMENT" \
-            apimValidationKey="$APIM_VALIDATION_KEY" \
+            apimValidationKey="${APIM_VALIDATION_KEY:-}" \
+            apimValidationKeySource="$APIM_VALIDATION_KEY_SOURCE" \
+            apimValidationKeySecondary="${APIM_VALIDATION_KEY_SECONDARY:-}" \
             apimPortalUrl="$APIM_PORTAL_URL" \
             oidcIssuer="$OIDC_ISSUER" \
             oidcClientId="$OIDC_CLIENT_ID" \
             oidcClientSecret="$OIDC_CLIENT_SECRET" \
+            stateEncryptionKeys="$STATE_ENCRYPTION_KEYS" \
             oidcAuthorizationEndpoint="${OIDC_AUTHORIZATION_ENDPOINT:-}" \
             oidcTokenEndpoint="${OIDC_TOKEN_ENDPOINT:-}" \
             oidcUserinfoEndpoint="${OIDC_USERINFO_ENDPOINT:-}" \
@@ -0,0 +1,88 @@
+// Decides whether an authenticated user may sign in to the developer portal.
+//
+// The policy is built from these settings, all optional:
+//   ACCESS_ALLOWED_EMAIL_DOMAINS  - only these email domains may sign in
+//   ACCESS_DENIED_EMAIL_DOMAINS   - these email domains may not sign in
+//   ACCESS_REQUIRE_EMAIL_VERIFIED - 'true' requires email_verified to be true
+//   ACCESS_REQUIRED_GROUPS        - one of these values must be in the
+//                                   APIM_GROUP_CLAIMS claims
+//   ACCESS_REQUIRED_ACR           - the acr claim must be one of these values
+//   ACCESS_REQUIRED_AMR           - the amr claim must hold one of these values
+// Lists are comma-separated. Without any settings everyone may sign in.
+
+const { getGroupClaimValues } = require('./group-sync');
+
+function readList(name) {
+  return (process.env[name] || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function getEmailDomain(email) {
+  return (email || '').split('@')[1]?.toLowerCase() || '';
+}
+
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value.map(String) : [String(value)];
+}
+
+// Checks run in order; the first one that fails decides the reason
+const CHECKS = [
+  {
+    reason: 'EMAIL_DOMAIN_NOT_ALLOWED',
+    passes({ email }) {
+      const allowed = readList('ACCESS_ALLOWED_EMAIL_DOMAINS').map(domain => domain.toLowerCase());
+      return !allowed.length || allowed.includes(getEmailDomain(email));
+    }
+  },
+  {
+    reason: 'EMAIL_DOMAIN_DENIED',
+    passes({ email }) {
+      const denied = readList('ACCESS_DENIED_EMAIL_DOMAINS').map(domain => domain.toLowerCase());
+      return !denied.includes(getEmailDomain(email));
+    }
+  },
+  {
+    reason: 'EMAIL_NOT_VERIFIED',
+    passes({ claims }) {
+      return process.env.ACCESS_REQUIRE_EMAIL_VERIFIED !== 'true' || claims.email_verified === true;
+    }
+  },
+  {
+    reason: 'GROUP_REQUIRED',
+    passes({ claims }, context) {
+      const required = readList('ACCESS_REQUIRED_GROUPS');
+      const groups = required.length ? getGroupClaimValues(claims, context) : [];
+      return !required.length || required.some(group => groups.includes(group));
+    }
+  },
+  {
+    reason: 'MFA_REQUIRED',
+    passes({ claims }) {
+      const acr = readList('ACCESS_REQUIRED_ACR');
+      const amr = readList('ACCESS_REQUIRED_AMR');
+      const methods = toList(claims.amr);
+      return (
+        (!acr.length || acr.includes(String(claims.acr))) &&
+        (!amr.length || amr.some(method => methods.includes(method)))
+      );
+    }
+  }
+];
+
+/**
+ * Evaluate the access policy for a signed-in user. Returns `{ allowed: true }`
+ * or `{ allowed: false, reason }` with the code of the first check that failed.
+ */
+function evaluateAccessPolicy({ email, claims }, context) {
+  const failed = CHECKS.find(check => !check.passes({ email, claims }, context));
+  return failed ? { allowed: false, reason: failed.reason } : { allowed: true };
+}
+
+module.exports = {
+  evaluateAccessPolicy
+};
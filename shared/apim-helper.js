@@ -0,0 +1,504 @@
+// Shared helpers for the APIM Management (ARM) REST API
+const https = require('https');
+const http = require('http');
+const { getLogger } = require('./logger');
+const { getApimInstance, getApimSetting } = require('./apim-instances');
+
+const ARM_API_VERSION = '2021-08-01';
+
+// Cache for the delegation validation keys read from APIM, per instance
+const validationKeyCache = new Map();
+const VALIDATION_KEY_REFRESH_INTERVAL = 60000; // Minimum time between forced refetches
+
+const tlsAgent = new https.Agent({
+  keepAlive: true,
+  minVersion: 'TLSv1.2',
+  maxVersion: 'TLSv1.3',
+  rejectUnauthorized: true // Ensure certificate validation
+});
+
+// Helper function to get Azure access token (Managed Identity or manual)
+async function getAzureAccessToken(context) {
+  const log = getLogger(context);
+  const manualToken = getApimSetting(context, 'ACCESS_TOKEN');
+
+  // If manual token is provided (cross-subscription scenario), use it
+  if (manualToken) {
+    log.info('Using provided APIM_ACCESS_TOKEN for authentication');
+    return manualToken;
+  }
+
+  // Otherwise, use Managed Identity (same-subscription scenario)
+  log.info('Using Managed Identity for authentication');
+  const identityEndpoint = process.env.IDENTITY_ENDPOINT;
+  const identityHeader = process.env.IDENTITY_HEADER;
+
+  if (!identityEndpoint || !identityHeader) {
+    throw new Error(
+      'Managed Identity not available. Either provide APIM_ACCESS_TOKEN or ensure Function App has System-Assigned Managed Identity enabled.'
+    );
+  }
+
+  const tokenUrl = `${identityEndpoint}?resource=https://management.azure.com/&api-version=2019-08-01`;
+
+  return new Promise((resolve, reject) => {
+    const urlObj = new URL(tokenUrl);
+
+    // Detect protocol from URL and use appropriate module
+    const isHttps = urlObj.protocol === 'https:';
+    const httpModule = isHttps ? https : http;
+
+    // Log connection details for troubleshooting
+    log.info('IDENTITY_ENDPOINT details:', {
+      protocol: urlObj.protocol,
+      hostname: urlObj.hostname,
+      port: urlObj.port || (isHttps ? 443 : 80)
+    });
+
+    const options = {
+      hostname: urlObj.hostname,
+      port: urlObj.port || (isHttps ? 443 : 80),
+      path: urlObj.pathname + urlObj.search,
+      method: 'GET',
+      headers: {
+        'X-IDENTITY-HEADER': identityHeader
+      }
+    };
+
+    // Only add TLS/SNI options for HTTPS requests
+    if (isHttps) {
+      options.servername = urlObj.hostname;
+      options.minVersion = 'TLSv1.2';
+      options.maxVersion = 'TLSv1.3';
+      options.agent = tlsAgent;
+    }
+
+    httpModule
+      .get(options, res => {
+        let data = '';
+        res.on('data', chunk => {
+          data += chunk;
+        });
+        res.on('end', () => {
+          try {
+            const response = JSON.parse(data);
+            if (response.access_token) {
+              log.info('Successfully obtained managed identity token');
+              resolve(response.access_token);
+            } else {
+              reject(new Error(`Failed to get managed identity token: ${data}`));
+            }
+          } catch (e) {
+            reject(new Error(`Failed to parse managed identity response: ${data}`));
+          }
+        });
+      })
+      .on('error', err => {
+        log.error('Managed identity request failed:', err);
+        reject(err);
+      });
+  });
+}
+
+/**
+ * Build the ARM resource ID for a resource below the invocation's APIM service
+ */
+function getApimResourceId(resourcePath, context) {
+  const subscriptionId = getApimSetting(context, 'SUBSCRIPTION_ID');
+  const resourceGroup = getApimSetting(context, 'RESOURCE_GROUP');
+  const serviceName = getApimSetting(context, 'SERVICE_NAME');
+
+  if (!subscriptionId || !resourceGroup || !serviceName) {
+    const instance = getApimInstance(context);
+    throw new Error(
+      `Missing APIM configuration: APIM_SUBSCRIPTION_ID, APIM_RESOURCE_GROUP, APIM_SERVICE_NAME${instance ? ` for instance ${instance}` : ''}`
+    );
+  }
+
+  return `/subscriptions/${subscriptionId}/resourceGroups/${resourceGroup}/providers/Microsoft.ApiManagement/service/${serviceName}/${resourcePath}`;
+}
+
+/**
+ * Build the ARM URL for a resource below the invocation's APIM service
+ */
+function getApimResourceUrl(resourcePath, context) {
+  const separator = resourcePath.indexOf('?') !== -1 ? '&' : '?';
+  return `https://management.azure.com${getApimResourceId(resourcePath, context)}${separator}api-version=${ARM_API_VERSION}`;
+}
+
+// Helper function to create or update user in APIM
+async function createOrUpdateUserInAPIM(userId, userData, context) {
+  const url = getApimResourceUrl(`users/${encodeURIComponent(userId)}`, context);
+  const accessToken = await getAzureAccessToken(context);
+
+  const userPayload = {
+    properties: {
+      firstName: userData.firstName,
+      lastName: userData.lastName,
+      email: userData.email,
+      state: userData.state || 'active',
+      note: userData.note,
+      identities: userData.identities
+    }
+  };
+
+  return httpPutJson(url, userPayload, {
+    Authorization: `Bearer ${accessToken}`,
+    'Content-Type': 'application/json'
+  });
+}
+
+/**
+ * Get a user from APIM, or null when the user does not exist
+ */
+async function getUserFromAPIM(userId, context) {
+  const url = getApimResourceUrl(`users/${encodeURIComponent(userId)}`, context);
+  const accessToken = await getAzureAccessToken(context);
+
+  try {
+    return await httpGetJson(url, {
+      Authorization: `Bearer ${accessToken}`
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Find the APIM users registered with an email address
+ */
+async function findUsersByEmail(email, context) {
+  const filter = `email eq '${email.replace(/'/g, "''")}'`;
+  const url = getApimResourceUrl(`users?$filter=${encodeURIComponent(filter)}`, context);
+  const accessToken = await getAzureAccessToken(context);
+
+  const page = await httpGetJson(url, { Authorization: `Bearer ${accessToken}` });
+  return page.value || [];
+}
+
+/**
+ * Partially update a user in APIM (for example to block it)
+ */
+async function updateUserInAPIM(userId, properties, context) {
+  const url = getApimResourceUrl(`users/${encodeURIComponent(userId)}`, context);
+  const accessToken = await getAzureAccessToken(context);
+
+  return httpRequestJson(
+    'PATCH',
+    url,
+    { properties },
+    {
+      Authorization: `Bearer ${accessToken}`,
+      'If-Match': '*'
+    }
+  );
+}
+
+/**
+ * Delete a user from APIM, optionally together with its subscriptions
+ */
+async function deleteUserFromAPIM(userId, options, context) {
+  const deleteSubscriptions = options.deleteSubscriptions ? 'true' : 'false';
+  const url = getApimResourceUrl(
+    `users/${encodeURIComponent(userId)}?deleteSubscriptions=${deleteSubscriptions}`,
+    context
+  );
+  const accessToken = await getAzureAccessToken(context);
+
+  return httpRequestJson('DELETE', url, undefined, {
+    Authorization: `Bearer ${accessToken}`,
+    'If-Match': '*'
+  });
+}
+
+/**
+ * List all subscriptions owned by a user, following nextLink pages
+ */
+async function listUserSubscriptions(userId, context) {
+  const accessToken = await getAzureAccessToken(context);
+  const subscriptions = [];
+
+  let url = getApimResourceUrl(`users/${encodeURIComponent(userId)}/subscriptions`, context);
+  while (url) {
+    const page = await httpGetJson(url, { Authorization: `Bearer ${accessToken}` });
+    subscriptions.push(...(page.value || []));
+    url = page.nextLink;
+  }
+
+  return subscriptions;
+}
+
+/**
+ * List the groups a user belongs to, following nextLink pages
+ */
+async function listUserGroups(userId, context) {
+  const accessToken = await getAzureAccessToken(context);
+  const groups = [];
+
+  let url = getApimResourceUrl(`users/${encodeURIComponent(userId)}/groups`, context);
+  while (url) {
+    const page = await httpGetJson(url, { Authorization: `Bearer ${accessToken}` });
+    groups.push(...(page.value || []));
+    url = page.nextLink;
+  }
+
+  return groups;
+}
+
+/**
+ * Add a user to an APIM group
+ */
+async function addUserToGroup(groupId, userId, context) {
+  const url = getApimResourceUrl(
+    `groups/${encodeURIComponent(groupId)}/users/${encodeURIComponent(userId)}`,
+    context
+  );
+  const accessToken = await getAzureAccessToken(context);
+
+  return httpRequestJson('PUT', url, undefined, {
+    Authorization: `Bearer ${accessToken}`
+  });
+}
+
+/**
+ * Remove a user from an APIM group
+ */
+async function removeUserFromGroup(groupId, userId, context) {
+  const url = getApimResourceUrl(
+    `groups/${encodeURIComponent(groupId)}/users/${encodeURIComponent(userId)}`,
+    context
+  );
+  const accessToken = await getAzureAccessToken(context);
+
+  return httpRequestJson('DELETE', url, undefined, {
+    Authorization: `Bearer ${accessToken}`
+  });
+}
+
+/**
+ * Delete a subscription from APIM
+ */
+async function deleteSubscription(subscriptionId, context) {
+  const url = getApimResourceUrl(`subscriptions/${encodeURIComponent(subscriptionId)}`, context);
+  const accessToken = await getAzureAccessToken(context);
+
+  return httpRequestJson('DELETE', url, undefined, {
+    Authorization: `Bearer ${accessToken}`,
+    'If-Match': '*'
+  });
+}
+
+/**
+ * Get a subscription from APIM, or null when it does not exist
+ */
+async function getSubscription(subscriptionId, context) {
+  const url = getApimResourceUrl(`subscriptions/${encodeURIComponent(subscriptionId)}`, context);
+  const accessToken = await getAzureAccessToken(context);
+
+  try {
+    return await httpGetJson(url, {
+      Authorization: `Bearer ${accessToken}`
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create or replace a product subscription owned by a user
+ */
+async function createOrUpdateSubscription(subscriptionId, subscription, context) {
+  const url = getApimResourceUrl(`subscriptions/${encodeURIComponent(subscriptionId)}`, context);
+  const accessToken = await getAzureAccessToken(context);
+
+  return httpPutJson(
+    url,
+    {
+      properties: {
+        scope: getApimResourceId(`products/${encodeURIComponent(subscription.productId)}`, context),
+        ownerId: getApimResourceId(`users/${encodeURIComponent(subscription.userId)}`, context),
+        displayName: subscription.displayName,
+        state: subscription.state || 'active'
+      }
+    },
+    {
+      Authorization: `Bearer ${accessToken}`
+    }
+  );
+}
+
+/**
+ * Partially update a subscription (for example to cancel it)
+ */
+async function updateSubscription(subscriptionId, properties, context) {
+  const url = getApimResourceUrl(`subscriptions/${encodeURIComponent(subscriptionId)}`, context);
+  const accessToken = await getAzureAccessToken(context);
+
+  return httpRequestJson(
+    'PATCH',
+    url,
+    { properties },
+    {
+      Authorization: `Bearer ${accessToken}`,
+      'If-Match': '*'
+    }
+  );
+}
+
+// Helper function to get shared access token from APIM
+async function getSharedAccessToken(userId, context) {
+  const url = getApimResourceUrl(`users/${encodeURIComponent(userId)}/generateSsoUrl`, context);
+  const accessToken = await getAzureAccessToken(context);
+
+  const response = await httpPostJson(
+    url,
+    {},
+    {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    }
+  );
+
+  return response.value; // The SSO URL contains the token
+}
+
+/**
+ * Read the delegation validation key from the APIM service's delegation
+ * settings, cached per instance for APIM_VALIDATION_KEY_CACHE_SECONDS
+ * (default one hour).
+ *
+ * `forceRefresh` refetches after a signature mismatch, but at most once per
+ * minute so invalid requests cannot flood the management API.
+ */
+async function getDelegationValidationKey(context, { forceRefresh = false } = {}) {
+  const log = getLogger(context);
+  const ttl = parseInt(process.env.APIM_VALIDATION_KEY_CACHE_SECONDS || '3600', 10) * 1000;
+  const cacheKey = getApimInstance(context) || '';
+  const cached = validationKeyCache.get(cacheKey);
+  const age = cached ? Date.now() - cached.timestamp : Infinity;
+
+  if (cached && age < (forceRefresh ? VALIDATION_KEY_REFRESH_INTERVAL : ttl)) {
+    return cached.key;
+  }
+
+  log.info('Fetching delegation validation key from APIM');
+  const url = getApimResourceUrl('portalsettings/delegation/listSecrets', context);
+  const accessToken = await getAzureAccessToken(context);
+
+  const response = await httpPostJson(
+    url,
+    {},
+    {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    }
+  );
+
+  if (!response?.validationKey) {
+    throw new Error('APIM delegation settings do not contain a validation key');
+  }
+
+  validationKeyCache.set(cacheKey, { key: response.validationKey, timestamp: Date.now() });
+  return response.validationKey;
+}
+
+/**
+ * Clear the cached validation keys (useful for testing)
+ */
+function clearValidationKeyCache() {
+  validationKeyCache.clear();
+}
+
+// Helper function to make HTTPS requests with an optional JSON body
+function httpRequestJson(method, url, data, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const urlObj = new URL(url);
+    const postData = data === undefined ? null : JSON.stringify(data);
+
+    const options = {
+      hostname: urlObj.hostname,
+      port: urlObj.port || 443,
+      path: urlObj.pathname + urlObj.search,
+      method,
+      servername: urlObj.hostname, // Enable SNI for custom domains
+      minVersion: 'TLSv1.2', // Support TLS 1.2 and above (including 1.3)
+      maxVersion: 'TLSv1.3', // Allow up to TLS 1.3
+      headers: {
+        Accept: 'application/json',
+        ...(postData !== null && {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(postData)
+        }),
+        ...headers
+      },
+      agent: tlsAgent
+    };
+
+    const req = https.request(options, res => {
+      let responseData = '';
+      res.on('data', chunk => {
+        responseData += chunk;
+      });
+      res.on('end', () => {
+        try {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve(JSON.parse(responseData || '{}'));
+          } else {
+            const error = new Error(`HTTP ${res.statusCode}: ${responseData}`);
+            error.statusCode = res.statusCode;
+            reject(error);
+          }
+        } catch (e) {
+          reject(new Error(`Failed to parse response: ${responseData}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    if (postData !== null) {
+      req.write(postData);
+    }
+    req.end();
+  });
+}
+
+function httpGetJson(url, headers = {}) {
+  return httpRequestJson('GET', url, undefined, headers);
+}
+
+function httpPutJson(url, data, headers = {}) {
+  return httpRequestJson('PUT', url, data, headers);
+}
+
+function httpPostJson(url, data, headers = {}) {
+  return httpRequestJson('POST', url, data, headers);
+}
+
+module.exports = {
+  getAzureAccessToken,
+  getApimResourceId,
+  getApimResourceUrl,
+  createOrUpdateUserInAPIM,
+  getUserFromAPIM,
+  findUsersByEmail,
+  updateUserInAPIM,
+  deleteUserFromAPIM,
+  listUserSubscriptions,
+  listUserGroups,
+  addUserToGroup,
+  removeUserFromGroup,
+  deleteSubscription,
+  getSubscription,
+  createOrUpdateSubscription,
+  updateSubscription,
+  getSharedAccessToken,
+  getDelegationValidationKey,
+  clearValidationKeyCache,
+  httpRequestJson
+};
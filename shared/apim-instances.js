@@ -0,0 +1,99 @@
+// One deployment can serve several APIM instances (for example dev, test and
+// partner portals). Each delegation request selects its instance, which is
+// bound to the invocation context so shared helpers read that instance's
+// settings.
+
+// Settings that identify an instance; these are never shared between instances
+const INSTANCE_ONLY_SETTINGS = [
+  'SERVICE_NAME',
+  'PORTAL_URL',
+  'VALIDATION_KEY',
+  'VALIDATION_KEY_SECONDARY'
+];
+
+const boundInstances = new WeakMap();
+
+/**
+ * Get the IDs of the named instances in APIM_INSTANCES (e.g. `dev,test`).
+ * Empty when a single instance is configured with the plain APIM_* settings.
+ */
+function getApimInstanceIds() {
+  const ids = (process.env.APIM_INSTANCES || '')
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  ids.forEach(id => {
+    if (!/^[a-z0-9_]+$/.test(id)) {
+      throw new Error(`Invalid APIM instance ID: ${id}. Use letters, digits and underscores`);
+    }
+  });
+
+  return ids;
+}
+
+// Resolve a requested instance ID; without one, APIM_DEFAULT_INSTANCE or the
+// first listed instance is used
+function resolveApimInstance(instanceId) {
+  const ids = getApimInstanceIds();
+
+  if (!ids.length) {
+    return undefined;
+  }
+
+  const id = (instanceId || process.env.APIM_DEFAULT_INSTANCE || ids[0]).toLowerCase();
+  if (!ids.includes(id)) {
+    const error = new Error(`Unknown APIM instance: ${id}`);
+    error.code = 'UNKNOWN_INSTANCE';
+    throw error;
+  }
+
+  return id;
+}
+
+/**
+ * Select the APIM instance for an invocation. Returns the resolved instance
+ * ID (undefined with a single unnamed instance); throws with code
+ * UNKNOWN_INSTANCE when the ID is not configured.
+ */
+function setApimInstance(context, instanceId) {
+  const id = resolveApimInstance(instanceId);
+  if (context) {
+    boundInstances.set(context, id);
+  }
+  return id;
+}
+
+/**
+ * Get the instance selected for an invocation, or the default instance
+ */
+function getApimInstance(context) {
+  return context && boundInstances.has(context)
+    ? boundInstances.get(context)
+    : resolveApimInstance();
+}
+
+/**
+ * Read a setting for the invocation's instance from APIM_<INSTANCE>_<NAME>.
+ * Settings other than the service name, portal URL and validation keys fall
+ * back to the shared APIM_<NAME>.
+ */
+function getApimSetting(context, name) {
+  const instance = getApimInstance(context);
+  if (!instance) {
+    return process.env[`APIM_${name}`];
+  }
+
+  const value = process.env[`APIM_${instance.toUpperCase()}_${name}`];
+  if (value !== undefined || INSTANCE_ONLY_SETTINGS.includes(name)) {
+    return value;
+  }
+  return process.env[`APIM_${name}`];
+}
+
+module.exports = {
+  getApimInstanceIds,
+  setApimInstance,
+  getApimInstance,
+  getApimSetting
+};
@@ -0,0 +1,156 @@
+// Subscribes newly created APIM users to products, for example a free Starter
+// product for everyone or a partner product for one email domain.
+//
+// APIM_AUTO_SUBSCRIPTIONS is a JSON list of rules:
+//   [{"product": "starter"},
+//    {"product": "partner", "emailDomains": ["contoso.com"], "groups": ["api-partners"]},
+//    {"product": "internal", "claims": {"department": ["Sales", "Support"]}, "state": "submitted"}]
+// A rule applies when all of its conditions match; a rule without conditions
+// applies to every new user. `groups` matches the values of the claims listed
+// in APIM_GROUP_CLAIMS. Subscription IDs are derived from the user and product,
+// so a subscription is never created twice.
+
+const crypto = require('crypto');
+const { getLogger } = require('./logger');
+const { getApimSetting } = require('./apim-instances');
+const { getSubscription, createOrUpdateSubscription } = require('./apim-helper');
+const { getGroupClaimValues } = require('./group-sync');
+
+const RULE_KEYS = ['product', 'displayName', 'state', 'emailDomains', 'groups', 'claims'];
+const STATES = ['active', 'submitted'];
+
+function invalidRules(message) {
+  return new Error(`Invalid APIM_AUTO_SUBSCRIPTIONS: ${message}`);
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item);
+}
+
+function validateRule(rule, index) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw invalidRules(`rule ${index} must be an object`);
+  }
+  Object.keys(rule).forEach(key => {
+    if (!RULE_KEYS.includes(key)) {
+      throw invalidRules(`unknown key ${key} in rule ${index}`);
+    }
+  });
+  if (typeof rule.product !== 'string' || !rule.product) {
+    throw invalidRules(`rule ${index} needs a product`);
+  }
+  if (rule.state !== undefined && !STATES.includes(rule.state)) {
+    throw invalidRules(`state of rule ${index} must be active or submitted`);
+  }
+  ['emailDomains', 'groups'].forEach(key => {
+    if (rule[key] !== undefined && !isStringList(rule[key])) {
+      throw invalidRules(`${key} of rule ${index} must be a list of strings`);
+    }
+  });
+  if (
+    rule.claims !== undefined &&
+    (!rule.claims ||
+      typeof rule.claims !== 'object' ||
+      Array.isArray(rule.claims) ||
+      Object.values(rule.claims).some(value => typeof value !== 'string' && !isStringList(value)))
+  ) {
+    throw invalidRules(`claims of rule ${index} must map claim names to values`);
+  }
+  return rule;
+}
+
+/**
+ * Parse the subscription rules from JSON; throws when a rule is invalid
+ */
+function parseSubscriptionRules(json) {
+  let rules;
+  try {
+    rules = JSON.parse(json);
+  } catch (error) {
+    throw invalidRules('not valid JSON');
+  }
+  if (!Array.isArray(rules)) {
+    throw invalidRules('expected a JSON list of rules');
+  }
+  return rules.map(validateRule);
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function matchesRule(rule, { email, claims }, context) {
+  if (rule.emailDomains) {
+    const domain = (email || '').split('@')[1]?.toLowerCase();
+    if (!rule.emailDomains.some(candidate => candidate.toLowerCase() === domain)) {
+      return false;
+    }
+  }
+
+  if (rule.groups) {
+    const groups = getGroupClaimValues(claims, context);
+    if (!rule.groups.some(group => groups.includes(group))) {
+      return false;
+    }
+  }
+
+  return Object.entries(rule.claims || {}).every(([name, expected]) => {
+    const values = claims[name] === undefined ? [] : toList(claims[name]).map(String);
+    return toList(expected).some(value => values.includes(value));
+  });
+}
+
+function getSubscriptionId(userId, productId) {
+  const hash = crypto.createHash('sha256').update(`${userId}\n${productId}`).digest('hex');
+  return `auto-${hash.slice(0, 32)}`;
+}
+
+/**
+ * Create the subscriptions from APIM_AUTO_SUBSCRIPTIONS that apply to a new
+ * user. Subscriptions that already exist are left alone, and a subscription
+ * that cannot be created is logged without stopping the others. Returns the
+ * IDs of the subscriptions created.
+ */
+async function provisionSubscriptions(userId, { email, claims }, context) {
+  const rulesJson = getApimSetting(context, 'AUTO_SUBSCRIPTIONS');
+  if (!rulesJson) {
+    return [];
+  }
+
+  const log = getLogger(context);
+  const rules = parseSubscriptionRules(rulesJson).filter(rule =>
+    matchesRule(rule, { email, claims }, context)
+  );
+  const created = [];
+
+  for (const rule of rules) {
+    const subscriptionId = getSubscriptionId(userId, rule.product);
+    try {
+      if (await getSubscription(subscriptionId, context)) {
+        continue;
+      }
+
+      await createOrUpdateSubscription(
+        subscriptionId,
+        {
+          productId: rule.product,
+          userId,
+          displayName: rule.displayName || rule.product,
+          state: rule.state || 'active'
+        },
+        context
+      );
+      log.info('Automatic subscription created:', rule.product);
+      created.push(subscriptionId);
+    } catch (error) {
+      log.error('Automatic subscription failed:', rule.product, error.message);
+    }
+  }
+
+  return created;
+}
+
+module.exports = {
+  parseSubscriptionRules,
+  provisionSubscriptions
+};
@@ -0,0 +1,182 @@
+// Maps ID token and userinfo claims to the APIM user attributes.
+//
+// A mapping lists, for each attribute, the sources to try in order. A source
+// is either a claim path (`email`, `address.locality`, `emails.0`) or a
+// template such as `${idp}:${sub}`. Template expressions may end in a filter:
+// `|first` (first word), `|rest` (all but the first word) or `|lower`. A
+// source that resolves to nothing (a missing claim, or any empty expression
+// in a template) falls through to the next one, as does an email source that
+// is not an email address.
+
+const ATTRIBUTES = ['firstName', 'lastName', 'email', 'note'];
+
+const DEFAULT_MAPPING = {
+  firstName: ['given_name', '${name|first}'],
+  lastName: ['family_name', '${name|rest}'],
+  email: ['email'],
+  note: ['User ${action} via ${idp}']
+};
+
+const FILTERS = {
+  first: value => value.split(/\s+/)[0],
+  rest: value => value.split(/\s+/).slice(1).join(' '),
+  lower: value => value.toLowerCase()
+};
+
+const TEMPLATE_EXPRESSION = /\$\{([^}]+)\}/g;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function invalidMapping(settingName, message) {
+  return new Error(`Invalid ${settingName}: ${message}`);
+}
+
+function toSourceList(value, attribute, settingName) {
+  const sources = Array.isArray(value) ? value : [value];
+
+  if (!sources.length || sources.some(source => typeof source !== 'string' || !source.trim())) {
+    throw invalidMapping(
+      settingName,
+      `${attribute} must be a claim path, template or a list of them`
+    );
+  }
+
+  sources.forEach(source => {
+    for (const [, expression] of source.matchAll(TEMPLATE_EXPRESSION)) {
+      const filter = expression.split('|')[1]?.trim();
+      if (filter !== undefined && !FILTERS[filter]) {
+        throw invalidMapping(settingName, `unknown filter ${filter} in ${source}`);
+      }
+    }
+  });
+  return sources;
+}
+
+/**
+ * Parse a claim mapping from JSON, for example
+ * `{"email": ["email", "preferred_username", "upn"], "required": ["email", "lastName"]}`.
+ * Attributes that are not listed keep their default sources. Returns
+ * `{ attributes, required }`; throws when the JSON or a source is invalid.
+ */
+function parseClaimMapping(json, settingName = 'OIDC_CLAIM_MAPPING') {
+  let config = {};
+
+  if (json) {
+    try {
+      config = JSON.parse(json);
+    } catch (error) {
+      throw invalidMapping(settingName, 'not valid JSON');
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw invalidMapping(settingName, 'expected a JSON object');
+    }
+  }
+
+  const { required = [], ...overrides } = config;
+
+  Object.keys(overrides).forEach(key => {
+    if (!ATTRIBUTES.includes(key)) {
+      throw invalidMapping(settingName, `unknown attribute ${key}`);
+    }
+  });
+
+  if (!Array.isArray(required) || required.some(name => !ATTRIBUTES.includes(name))) {
+    throw invalidMapping(
+      settingName,
+      `required must list attributes from ${ATTRIBUTES.join(', ')}`
+    );
+  }
+
+  const attributes = {};
+  ATTRIBUTES.forEach(attribute => {
+    attributes[attribute] =
+      attribute in overrides
+        ? toSourceList(overrides[attribute], attribute, settingName)
+        : DEFAULT_MAPPING[attribute];
+  });
+
+  // APIM cannot create a user without an email address
+  return { attributes, required: [...new Set(['email', ...required])] };
+}
+
+// Read a dot-separated claim path. Arrays without an index yield their first
+// element (Azure AD B2C returns `emails` as an array).
+function readPath(values, path) {
+  let value = values;
+
+  for (const segment of path.split('.')) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (Array.isArray(value) && !/^\d+$/.test(segment)) {
+      value = value[0];
+    }
+    value = value?.[segment];
+  }
+
+  if (Array.isArray(value)) {
+    value = value[0];
+  }
+  return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean'
+    ? String(value).trim()
+    : '';
+}
+
+function evaluateExpression(values, expression) {
+  const [path, filter] = expression.split('|').map(part => part.trim());
+  const value = readPath(values, path);
+  return filter ? FILTERS[filter](value) : value;
+}
+
+function resolveSource(values, source) {
+  if (!source.includes('${')) {
+    return readPath(values, source);
+  }
+
+  let complete = true;
+  const result = source.replace(TEMPLATE_EXPRESSION, (match, expression) => {
+    const value = evaluateExpression(values, expression);
+    complete = complete && value !== '';
+    return value;
+  });
+
+  return complete ? result.trim() : '';
+}
+
+/**
+ * Map claims to `{ firstName, lastName, email, note }`.
+ *
+ * `variables` are available to templates next to the claims and take
+ * precedence over claims of the same name. Throws an error with code
+ * MISSING_USER_ATTRIBUTES, listing the attributes in `error.attributes`, when
+ * a required attribute resolves to nothing.
+ */
+function mapUserAttributes(claims, mapping = parseClaimMapping(), variables = {}) {
+  const values = { ...claims, ...variables };
+  const user = {};
+
+  ATTRIBUTES.forEach(attribute => {
+    user[attribute] = '';
+    for (const source of mapping.attributes[attribute]) {
+      const value = resolveSource(values, source);
+      if (value && (attribute !== 'email' || EMAIL_PATTERN.test(value))) {
+        user[attribute] = value;
+        break;
+      }
+    }
+  });
+
+  const missing = mapping.required.filter(attribute => !user[attribute]);
+  if (missing.length) {
+    const error = new Error(`Missing required user attributes: ${missing.join(', ')}`);
+    error.code = 'MISSING_USER_ATTRIBUTES';
+    error.attributes = missing;
+    throw error;
+  }
+
+  return user;
+}
+
+module.exports = {
+  parseClaimMapping,
+  mapUserAttributes
+};
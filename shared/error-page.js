@@ -0,0 +1,98 @@
+// Error responses for the delegation and callback flows. Browsers get a branded
+// page in their language with a "try again" link that restarts the flow from
+// the developer portal; API clients that do not ask for HTML keep the JSON
+// body.
+
+const { escapeHtml, renderPage, renderSupportContact, htmlResponse } = require('./html-helper');
+const { getCorrelationId } = require('./logger');
+const { getPortalUrl } = require('./redirect-helper');
+const { getLocale, t } = require('./i18n');
+
+// Statuses with their own page title; others use the 500 title
+const TITLED_STATUSES = [400, 401, 403, 404, 409, 500];
+
+// Portal pages that start each delegation operation again; sign-in by default
+const RETRY_PATHS = {
+  SignUp: '/signup',
+  ChangePassword: '/profile',
+  ChangeProfile: '/profile',
+  CloseAccount: '/profile',
+  Subscribe: '/profile',
+  Unsubscribe: '/profile',
+  Renew: '/profile'
+};
+
+// Quality of the best Accept entry for a media type, or 0 when it is not listed
+function acceptQuality(accept, mediaType) {
+  return accept
+    .split(',')
+    .map(entry => entry.trim().split(';'))
+    .filter(([type]) => type.trim().toLowerCase() === mediaType)
+    .reduce((best, [, ...parameters]) => {
+      const qParameter = parameters.find(parameter => parameter.trim().startsWith('q='));
+      const quality = qParameter ? parseFloat(qParameter.split('=')[1]) : 1;
+      return Math.max(best, Number.isNaN(quality) ? 0 : quality);
+    }, 0);
+}
+
+/**
+ * Whether the request asks for HTML (as browsers do) rather than JSON
+ */
+function prefersHtml(req) {
+  const accept = req?.headers?.accept || '';
+  const html = acceptQuality(accept, 'text/html');
+  return html > 0 && html >= acceptQuality(accept, 'application/json');
+}
+
+/**
+ * The developer portal page that restarts a delegation operation
+ */
+function getRetryUrl(context, operation) {
+  return `${getPortalUrl(context)}${RETRY_PATHS[operation] || '/signin'}`;
+}
+
+/**
+ * Build the error response for a request: the branded error page when the
+ * client prefers HTML, otherwise the JSON body. `operation` picks the page the
+ * "try again" link goes to. The page shows the translation of the English
+ * `body.error` from the error.message.* catalog entries.
+ */
+function errorResponse(context, req, status, body, operation) {
+  if (!prefersHtml(req)) {
+    return {
+      status,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body
+    };
+  }
+
+  const title = t(context, `error.title.${TITLED_STATUSES.includes(status) ? status : 500}`);
+  const message = t(context, `error.message.${body.error}`, {}, body.error);
+  const reference = t(context, 'error.reference', {
+    reference: getCorrelationId(context, req)
+  });
+
+  const supportHtml = renderSupportContact(
+    process.env.BRAND_SUPPORT_CONTACT,
+    t(context, 'common.supportContact'),
+    t(context, 'common.supportAdministrator')
+  );
+
+  const html = renderPage(
+    title,
+    `<p class="error">${escapeHtml(message)}</p>
+<a class="button" href="${escapeHtml(getRetryUrl(context, operation))}">${escapeHtml(t(context, 'error.tryAgain'))}</a>
+${supportHtml}
+<p class="hint">${escapeHtml(reference)}</p>`,
+    getLocale(context)
+  );
+  return htmlResponse(status, html);
+}
+
+module.exports = {
+  prefersHtml,
+  getRetryUrl,
+  errorResponse
+};
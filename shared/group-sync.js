@@ -0,0 +1,144 @@
+// Syncs APIM group membership with the groups and roles the IdP asserts.
+//
+// APIM_GROUP_MAPPING maps claim values to APIM group IDs, for example
+// `{"api-partners": "partners", "Admin": ["partners", "internal"]}`. The values
+// are read from the claims listed in APIM_GROUP_CLAIMS (default `groups,roles`).
+// On each sign-in the user is added to the mapped groups and removed from the
+// other groups the mapping manages (its targets), except those in
+// APIM_PROTECTED_GROUPS. Groups the mapping never names, such as ones assigned
+// by hand, are left alone. With APIM_GROUP_SYNC_DRY_RUN=true the changes are
+// only logged.
+
+const { getLogger } = require('./logger');
+const { getApimSetting } = require('./apim-instances');
+const { listUserGroups, addUserToGroup, removeUserFromGroup } = require('./apim-helper');
+
+const DEFAULT_GROUP_CLAIMS = 'groups,roles';
+const DEFAULT_PROTECTED_GROUPS = 'administrators,developers,guests';
+
+function invalidMapping(message) {
+  return new Error(`Invalid APIM_GROUP_MAPPING: ${message}`);
+}
+
+function splitList(value) {
+  return value
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a group mapping from JSON. Returns a Map from claim value to the list
+ * of APIM group IDs; throws when the JSON or a group ID is invalid.
+ */
+function parseGroupMapping(json) {
+  let config;
+  try {
+    config = JSON.parse(json);
+  } catch (error) {
+    throw invalidMapping('not valid JSON');
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw invalidMapping('expected a JSON object');
+  }
+
+  return new Map(
+    Object.entries(config).map(([claimValue, groups]) => {
+      const groupIds = Array.isArray(groups) ? groups : [groups];
+      if (!groupIds.length || groupIds.some(id => typeof id !== 'string' || !id.trim())) {
+        throw invalidMapping(`${claimValue} must map to a group ID or a list of them`);
+      }
+      return [claimValue, groupIds.map(id => id.trim())];
+    })
+  );
+}
+
+/**
+ * Get the group and role values from the claims listed in APIM_GROUP_CLAIMS.
+ * Claims may hold a single value or a list of them.
+ */
+function getGroupClaimValues(claims, context) {
+  const claimNames = splitList(getApimSetting(context, 'GROUP_CLAIMS') || DEFAULT_GROUP_CLAIMS);
+  return claimNames.flatMap(name => {
+    const value = claims[name];
+    if (Array.isArray(value)) {
+      return value.filter(item => typeof item === 'string');
+    }
+    return typeof value === 'string' ? [value] : [];
+  });
+}
+
+/**
+ * Get the APIM group IDs the mapping manages, in lower case
+ */
+function getManagedGroups(mapping) {
+  return new Set([...mapping.values()].flat().map(id => id.toLowerCase()));
+}
+
+/**
+ * Get the APIM group IDs a user should belong to, in lower case
+ */
+function getMappedGroups(claims, mapping, context) {
+  const groups = new Set();
+  getGroupClaimValues(claims, context).forEach(value => {
+    (mapping.get(value) || []).forEach(id => groups.add(id.toLowerCase()));
+  });
+  return groups;
+}
+
+/**
+ * Add the user to the groups its claims map to and remove it from the other
+ * groups the mapping manages. Does nothing unless APIM_GROUP_MAPPING is set. Returns the group IDs that
+ * were (or, in a dry run, would have been) `added` and `removed`.
+ */
+async function syncUserGroups(userId, claims, context) {
+  const mappingJson = getApimSetting(context, 'GROUP_MAPPING');
+  if (!mappingJson) {
+    return { added: [], removed: [] };
+  }
+
+  const log = getLogger(context);
+  const mapping = parseGroupMapping(mappingJson);
+  const protectedGroups = new Set(
+    splitList(getApimSetting(context, 'PROTECTED_GROUPS') ?? DEFAULT_PROTECTED_GROUPS).map(id =>
+      id.toLowerCase()
+    )
+  );
+  const dryRun = getApimSetting(context, 'GROUP_SYNC_DRY_RUN') === 'true';
+
+  const desired = getMappedGroups(claims, mapping, context);
+  const current = new Set(
+    (await listUserGroups(userId, context)).map(group => group.name.toLowerCase())
+  );
+
+  const added = [...desired].filter(id => !current.has(id));
+  const managed = getManagedGroups(mapping);
+  const removed = [...current].filter(
+    id => managed.has(id) && !desired.has(id) && !protectedGroups.has(id)
+  );
+
+  if (dryRun) {
+    log.info('Group sync dry run, would add:', added);
+    log.info('Group sync dry run, would remove:', removed);
+    return { added, removed };
+  }
+
+  for (const groupId of added) {
+    await addUserToGroup(groupId, userId, context);
+  }
+  for (const groupId of removed) {
+    await removeUserFromGroup(groupId, userId, context);
+  }
+
+  if (added.length || removed.length) {
+    log.info('Group sync added:', added);
+    log.info('Group sync removed:', removed);
+  }
+  return { added, removed };
+}
+
+module.exports = {
+  parseGroupMapping,
+  getGroupClaimValues,
+  syncUserGroups
+};
@@ -0,0 +1,161 @@
+// Minimal server-side HTML rendering for the pages the functions host
+
+/**
+ * Escape a value for safe inclusion in HTML text or attribute values
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|[a-z]+)$/i;
+
+// Read a BRAND_*_COLOR setting, ignoring values that are not plain CSS colors
+function brandColor(name, fallback) {
+  const value = (process.env[name] || '').trim();
+  return COLOR_PATTERN.test(value) ? value : fallback;
+}
+
+// Show BRAND_LOGO_URL above the page title; the CSP only allows https images
+function renderLogo() {
+  const logoUrl = process.env.BRAND_LOGO_URL;
+  if (!logoUrl || !/^https:\/\//i.test(logoUrl)) {
+    return '';
+  }
+  return `<img class="logo" src="${escapeHtml(logoUrl)}" alt="${escapeHtml(process.env.BRAND_NAME || '')}">\n`;
+}
+
+/**
+ * Wrap page content in the shared HTML document layout, branded with
+ * BRAND_NAME, BRAND_LOGO_URL, BRAND_PRIMARY_COLOR and BRAND_BACKGROUND_COLOR.
+ * The title is escaped; the content must already be safe HTML. `locale` sets
+ * the document language.
+ */
+function renderPage(title, content, locale = 'en') {
+  const primary = brandColor('BRAND_PRIMARY_COLOR', '#0a66c2');
+  const background = brandColor('BRAND_BACKGROUND_COLOR', '#f4f5f7');
+  const pageTitle = process.env.BRAND_NAME ? `${title} - ${process.env.BRAND_NAME}` : title;
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(pageTitle)}</title>
+<style>
+body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; background: ${background}; color: #1f2328; margin: 0; }
+main { max-width: 28rem; margin: 4rem auto; background: #fff; padding: 2rem; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.15); }
+h1 { font-size: 1.4rem; margin-top: 0; }
+label { display: block; margin: 1rem 0 0.25rem; font-weight: 600; }
+input[type=text], input[type=email] { width: 100%; box-sizing: border-box; padding: 0.5rem; border: 1px solid #c4c8cc; border-radius: 4px; }
+input[readonly] { background: #eef0f2; color: #57606a; }
+button { margin-top: 1.5rem; padding: 0.6rem 1.2rem; border: 0; border-radius: 4px; background: ${primary}; color: #fff; font-size: 1rem; cursor: pointer; }
+a { color: ${primary}; }
+a.button { display: block; margin-top: 0.75rem; padding: 0.6rem 1.2rem; border-radius: 4px; background: ${primary}; color: #fff; text-align: center; text-decoration: none; }
+.error { background: #ffebe9; border: 1px solid #ff8182; padding: 0.75rem; border-radius: 4px; }
+.hint { color: #57606a; font-size: 0.85rem; }
+.logo { display: block; max-height: 3rem; max-width: 100%; margin-bottom: 1.5rem; }
+</style>
+</head>
+<body>
+<main>
+${renderLogo()}<h1>${escapeHtml(title)}</h1>
+${content}
+</main>
+</body>
+</html>`;
+}
+
+/**
+ * Render a paragraph pointing to a support contact: `text` with its {contact}
+ * placeholder replaced by a link for URLs and email addresses, plain text
+ * otherwise, or `fallbackText` when there is no contact
+ */
+function renderSupportContact(
+  contact,
+  text = 'If you need help, contact {contact}.',
+  fallbackText = 'If you need help, contact your administrator.'
+) {
+  if (!contact) {
+    return `<p>${escapeHtml(fallbackText)}</p>`;
+  }
+
+  let contactHtml = escapeHtml(contact);
+  if (/^https?:\/\//i.test(contact)) {
+    contactHtml = `<a href="${escapeHtml(contact)}">${contactHtml}</a>`;
+  } else if (contact.includes('@')) {
+    contactHtml = `<a href="mailto:${escapeHtml(contact)}">${contactHtml}</a>`;
+  }
+  return `<p>${escapeHtml(text).replace('{contact}', () => contactHtml)}</p>`;
+}
+
+/**
+ * Build an Azure Functions HTTP response for a rendered page
+ */
+function htmlResponse(status, html) {
+  return {
+    status,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'Content-Security-Policy':
+        "default-src 'none'; style-src 'unsafe-inline'; img-src https:; form-action 'self'; frame-ancestors 'none'",
+      'X-Content-Type-Options': 'nosniff'
+    },
+    body: html
+  };
+}
+
+/**
+ * Parse an application/x-www-form-urlencoded request body into a plain object
+ */
+function parseFormBody(req) {
+  const body = req.rawBody ?? req.body;
+
+  if (!body) {
+    return {};
+  }
+
+  if (typeof body === 'object' && !Buffer.isBuffer(body)) {
+    return { ...body };
+  }
+
+  return Object.fromEntries(new URLSearchParams(body.toString()));
+}
+
+/**
+ * Parse the request's Cookie header into a plain object
+ */
+function parseCookies(req) {
+  const header = req.headers?.cookie || '';
+
+  return Object.fromEntries(
+    header
+      .split(';')
+      .map(pair => pair.trim())
+      .filter(pair => pair.includes('='))
+      .map(pair => {
+        const separator = pair.indexOf('=');
+        let value = pair.slice(separator + 1);
+        try {
+          value = decodeURIComponent(value);
+        } catch (e) {
+          // Keep malformed values as sent
+        }
+        return [pair.slice(0, separator), value];
+      })
+  );
+}
+
+module.exports = {
+  escapeHtml,
+  renderPage,
+  renderSupportContact,
+  htmlResponse,
+  parseFormBody,
+  parseCookies
+};
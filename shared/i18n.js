@@ -0,0 +1,143 @@
+// Translations for the pages the functions render. Each catalog in
+// shared/locales/<locale>.json maps message keys to text with {name}
+// placeholders; English is the reference catalog and the fallback for
+// missing messages.
+//
+// The locale is negotiated per request from a ui_locales hint or the
+// Accept-Language header and bound to the invocation context, like the APIM
+// instance, so page helpers translate without passing it around. Optional
+// settings:
+//   I18N_LOCALES        - comma-separated locales to offer (default: all catalogs)
+//   I18N_DEFAULT_LOCALE - locale when nothing matches (default: en)
+
+const fs = require('fs');
+const path = require('path');
+
+const FALLBACK_LOCALE = 'en';
+
+// Load every catalog once; adding a locale only needs a new JSON file
+const CATALOGS = Object.fromEntries(
+  fs
+    .readdirSync(path.join(__dirname, 'locales'))
+    .filter(file => file.endsWith('.json'))
+    .map(file => [path.basename(file, '.json'), require(`./locales/${file}`)])
+);
+
+const boundLocales = new WeakMap();
+
+/**
+ * Get the locales to offer: I18N_LOCALES limited to the available catalogs,
+ * or every catalog when it is not set
+ */
+function getSupportedLocales() {
+  const available = Object.keys(CATALOGS);
+  const configured = (process.env.I18N_LOCALES || '')
+    .split(',')
+    .map(locale => locale.trim())
+    .filter(Boolean);
+
+  if (!configured.length) {
+    return available;
+  }
+
+  return configured
+    .map(locale => available.find(candidate => candidate.toLowerCase() === locale.toLowerCase()))
+    .filter(Boolean);
+}
+
+function getDefaultLocale(supported) {
+  return matchLocale(process.env.I18N_DEFAULT_LOCALE || '', supported) || FALLBACK_LOCALE;
+}
+
+// Find a supported locale for a language tag: the exact tag, then its base
+// language (de-AT matches de), then a regional variant of it (de matches de-CH)
+function matchLocale(tag, supported) {
+  const wanted = tag.trim().toLowerCase();
+  if (!wanted || wanted === '*') {
+    return undefined;
+  }
+
+  const base = wanted.split('-')[0];
+  return (
+    supported.find(locale => locale.toLowerCase() === wanted) ||
+    supported.find(locale => locale.toLowerCase() === base) ||
+    supported.find(locale => locale.toLowerCase().split('-')[0] === base)
+  );
+}
+
+// Language tags from an Accept-Language header, most preferred first
+function parseAcceptLanguage(header) {
+  return (header || '')
+    .split(',')
+    .map((entry, index) => {
+      const [tag, ...parameters] = entry.trim().split(';');
+      const qParameter = parameters.find(parameter => parameter.trim().startsWith('q='));
+      const quality = qParameter ? parseFloat(qParameter.split('=')[1]) : 1;
+      return { tag: tag.trim(), quality: Number.isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(({ tag, quality }) => tag && quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(({ tag }) => tag);
+}
+
+/**
+ * Negotiate the locale for a request. A hint (for example the locale stored
+ * in the OAuth state) wins, then the space-separated ui_locales query
+ * parameter, then the Accept-Language header, then I18N_DEFAULT_LOCALE.
+ */
+function negotiateLocale(req, hint) {
+  const supported = getSupportedLocales();
+  const candidates = [
+    ...String(hint || req?.query?.ui_locales || '').split(' '),
+    ...parseAcceptLanguage(req?.headers?.['accept-language'])
+  ];
+
+  for (const candidate of candidates) {
+    const locale = matchLocale(candidate, supported);
+    if (locale) {
+      return locale;
+    }
+  }
+
+  return getDefaultLocale(supported);
+}
+
+/**
+ * Bind the negotiated locale to the invocation context and return it
+ */
+function setLocale(context, req, hint) {
+  const locale = negotiateLocale(req, hint);
+  boundLocales.set(context, locale);
+  return locale;
+}
+
+/**
+ * Get the locale bound to the invocation, or the default locale
+ */
+function getLocale(context) {
+  return boundLocales.get(context) || getDefaultLocale(getSupportedLocales());
+}
+
+/**
+ * Translate a message key into the invocation's locale, falling back to
+ * English and then to `fallback` (the key itself by default). `{name}`
+ * placeholders are replaced with the matching params; placeholders without a
+ * param are left as they are. The result is plain text and must be escaped
+ * for HTML.
+ */
+function t(context, key, params = {}, fallback = key) {
+  const catalog = CATALOGS[getLocale(context)] || {};
+  const message = catalog[key] ?? CATALOGS[FALLBACK_LOCALE][key] ?? fallback;
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : placeholder
+  );
+}
+
+module.exports = {
+  getSupportedLocales,
+  negotiateLocale,
+  setLocale,
+  getLocale,
+  t
+};
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { getLogger } = require('./logger');
+const { httpsGet } = require('./oidc-helper');
+
+// Cache for provider signing keys, keyed by jwks_uri
+const jwksCache = new Map();
+const JWKS_CACHE_TTL = 3600000; // 1 hour
+const JWKS_REFRESH_INTERVAL = 60000; // Minimum time between forced refetches
+
+// Signature algorithms accepted for ID tokens. `none` and HMAC are never
+// accepted, so a token cannot be signed with the (public) client ID.
+const ALGORITHMS = {
+  RS256: { kty: 'RSA', hash: 'sha256' },
+  ES256: { kty: 'EC', hash: 'sha256', dsaEncoding: 'ieee-p1363' }
+};
+
+function idTokenError(message) {
+  const error = new Error(message);
+  error.code = 'ID_TOKEN_INVALID';
+  return error;
+}
+
+/**
+ * Get the provider's signing keys, fetching them when the cache is stale.
+ * `forceRefresh` refetches unless the keys were fetched very recently, so
+ * tokens with unknown key IDs cannot be used to hammer the provider.
+ */
+async function getJwks(jwksUri, context, forceRefresh = false) {
+  const cached = jwksCache.get(jwksUri);
+  const age = cached ? Date.now() - cached.timestamp : Infinity;
+
+  if (cached && age < (forceRefresh ? JWKS_REFRESH_INTERVAL : JWKS_CACHE_TTL)) {
+    return cached.keys;
+  }
+
+  getLogger(context).info('Fetching JWKS from:', jwksUri);
+  const jwks = await httpsGet(jwksUri);
+  const keys = Array.isArray(jwks.keys) ? jwks.keys : [];
+
+  jwksCache.set(jwksUri, { keys, timestamp: Date.now() });
+  return keys;
+}
+
+function findKey(keys, header, algorithm) {
+  return keys.find(
+    key =>
+      key.kty === algorithm.kty &&
+      (!header.kid || key.kid === header.kid) &&
+      (!key.use || key.use === 'sig') &&
+      (!key.alg || key.alg === header.alg)
+  );
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (e) {
+    throw idTokenError('ID token is malformed');
+  }
+}
+
+/**
+ * Check the registered claims of a verified ID token (OIDC Core 3.1.3.7)
+ */
+function validateClaims(claims, { issuer, clientId, nonce }) {
+  const now = Math.floor(Date.now() / 1000);
+  const skew = parseInt(process.env.OIDC_CLOCK_SKEW_SECONDS || '60', 10);
+
+  if (claims.iss !== issuer) {
+    throw idTokenError(`ID token issuer ${claims.iss} does not match ${issuer}`);
+  }
+
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(clientId)) {
+    throw idTokenError('ID token was not issued for this client');
+  }
+  if (audiences.length > 1 && claims.azp !== clientId) {
+    throw idTokenError('ID token authorized party does not match this client');
+  }
+
+  if (typeof claims.exp !== 'number' || claims.exp + skew < now) {
+    throw idTokenError('ID token has expired');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - skew > now) {
+    throw idTokenError('ID token is not valid yet');
+  }
+
+  if (!nonce || claims.nonce !== nonce) {
+    throw idTokenError('ID token nonce does not match the authorization request');
+  }
+}
+
+/**
+ * Verify an ID token's signature against the provider JWKS and validate its
+ * issuer, audience, expiry and nonce. Returns the token claims.
+ *
+ * Throws an error with `code` ID_TOKEN_INVALID when the token cannot be
+ * trusted; JWKS fetch failures are thrown as-is.
+ */
+async function validateIdToken(idToken, { oidcConfig, nonce }, context) {
+  const parts = typeof idToken === 'string' ? idToken.split('.') : [];
+
+  if (parts.length !== 3) {
+    throw idTokenError('ID token is malformed');
+  }
+
+  const header = decodeSegment(parts[0]);
+  const claims = decodeSegment(parts[1]);
+  const algorithm = ALGORITHMS[header.alg];
+
+  if (!algorithm) {
+    throw idTokenError(`ID token algorithm ${header.alg} is not accepted`);
+  }
+
+  const jwksUri = oidcConfig.endpoints.jwks_uri;
+  if (!jwksUri) {
+    throw new Error('OIDC provider does not publish a jwks_uri');
+  }
+
+  // An unknown key ID usually means the provider rotated its keys
+  let jwk = findKey(await getJwks(jwksUri, context), header, algorithm);
+  if (!jwk) {
+    jwk = findKey(await getJwks(jwksUri, context, true), header, algorithm);
+  }
+  if (!jwk) {
+    throw idTokenError(`No signing key found for ID token key ${header.kid}`);
+  }
+
+  let signatureValid;
+  try {
+    signatureValid = crypto.verify(
+      algorithm.hash,
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      {
+        key: crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+        dsaEncoding: algorithm.dsaEncoding
+      },
+      Buffer.from(parts[2], 'base64url')
+    );
+  } catch (e) {
+    signatureValid = false;
+  }
+
+  if (!signatureValid) {
+    throw idTokenError('ID token signature is invalid');
+  }
+
+  validateClaims(claims, {
+    issuer: oidcConfig.endpoints.issuer || oidcConfig.issuer,
+    clientId: oidcConfig.clientId,
+    nonce
+  });
+
+  return claims;
+}
+
+/**
+ * Clear JWKS cache (useful for testing)
+ */
+function clearJwksCache() {
+  jwksCache.clear();
+}
+
+module.exports = {
+  validateIdToken,
+  clearJwksCache
+};
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+
+// Structured, redacting logger. Every entry is written as one JSON line through
+// the Functions host logger, so it still reaches Application Insights with the
+// right severity, and carries the invocation's correlation ID.
+
+const LEVELS = ['error', 'warn', 'info', 'verbose'];
+
+const REDACTED = '[REDACTED]';
+
+// Object keys whose values are never logged
+const SENSITIVE_KEY =
+  /^(sig|signature|salt|code|state|nonce|email|firstName|lastName|password|authorization|cookie)$|token$|secret|verifier|key$|hint$/i;
+
+// Query parameters that carry credentials, one-time values or PII (compared in
+// lower case)
+const SENSITIVE_PARAMS = new Set([
+  'access_token',
+  'client_secret',
+  'code',
+  'code_challenge',
+  'code_verifier',
+  'email',
+  'firstname',
+  'id_token',
+  'id_token_hint',
+  'key',
+  'lastname',
+  'login_hint',
+  'nonce',
+  'refresh_token',
+  'salt',
+  'sig',
+  'signature',
+  'state',
+  'token'
+]);
+
+const JWT_PATTERN = /\beyJ[\w-]+\.[\w-]+\.[\w-]*/g;
+const URL_PATTERN = /https?:\/\/[^\s"'<>]+/g;
+// Also matches URL-encoded addresses (%40 for @)
+const EMAIL_PATTERN = /[\w.%+-]+(@|%40)[\w-]+(\.[\w-]+)*\.[a-z]{2,}/gi;
+
+// Correlation IDs supplied by callers are echoed into logs, so keep them tame
+const CORRELATION_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const loggers = new WeakMap();
+
+function redactUrl(value) {
+  const queryStart = value.indexOf('?');
+  if (queryStart === -1) {
+    return value;
+  }
+
+  const base = value.slice(0, queryStart);
+
+  // APIM SSO URLs carry a shared access token that signs the user in
+  if (/\/signin-sso\/?$/i.test(base)) {
+    return `${base}?${REDACTED}`;
+  }
+
+  const query = value
+    .slice(queryStart + 1)
+    .split('&')
+    .map(pair => {
+      const name = pair.split('=')[0];
+      return SENSITIVE_PARAMS.has(name.toLowerCase()) ? `${name}=${REDACTED}` : pair;
+    })
+    .join('&');
+
+  return `${base}?${query}`;
+}
+
+function redactString(value) {
+  return value
+    .replace(JWT_PATTERN, REDACTED)
+    .replace(URL_PATTERN, redactUrl)
+    .replace(EMAIL_PATTERN, '[REDACTED_EMAIL]');
+}
+
+/**
+ * Return a copy of a value that is safe to log: tokens, signatures, emails and
+ * SSO URLs are replaced, both in strings and under sensitive object keys.
+ */
+function redact(value, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message),
+      ...(value.code !== undefined && { code: value.code }),
+      ...(value.statusCode !== undefined && { statusCode: value.statusCode })
+    };
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, seen));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      SENSITIVE_KEY.test(key) && item !== null && item !== undefined ? REDACTED : redact(item, seen)
+    ])
+  );
+}
+
+/**
+ * A short, stable hash of an identifier that may carry personal data, such as
+ * an APIM user ID derived from an email, so entries about the same user can
+ * still be matched up
+ */
+function hashId(value) {
+  if (value === undefined || value === null) {
+    return value;
+  }
+  return crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 12);
+}
+
+function getLogLevel() {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS.includes(level) ? level : 'info';
+}
+
+/**
+ * Read the correlation ID from the x-correlation-id or x-request-id header,
+ * falling back to the invocation ID
+ */
+function getCorrelationId(context, req) {
+  const headers = req?.headers || {};
+  const supplied = headers['x-correlation-id'] || headers['x-request-id'];
+
+  if (typeof supplied === 'string' && CORRELATION_ID_PATTERN.test(supplied)) {
+    return supplied;
+  }
+  return context?.invocationId || crypto.randomUUID();
+}
+
+/**
+ * Create a logger that writes redacted JSON entries through context.log.
+ * Messages are the first argument; any further arguments become `data`.
+ */
+function createLogger(context, { functionName, correlationId } = {}) {
+  const threshold = LEVELS.indexOf(getLogLevel());
+
+  function write(level, message, ...args) {
+    if (!context || LEVELS.indexOf(level) > threshold) {
+      return;
+    }
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      message: redact(String(message)),
+      function: functionName,
+      correlationId,
+      invocationId: context.invocationId
+    };
+    if (args.length) {
+      entry.data = redact(args.length === 1 ? args[0] : args);
+    }
+
+    const hostLog = context.log[level] || context.log;
+    hostLog(JSON.stringify(entry));
+  }
+
+  return Object.fromEntries(
+    LEVELS.map(level => [level, (message, ...args) => write(level, message, ...args)])
+  );
+}
+
+/**
+ * Create the logger for a function invocation. Shared helpers given the same
+ * context pick it up through getLogger.
+ */
+function initLogger(context, req, functionName) {
+  const logger = createLogger(context, {
+    functionName,
+    correlationId: getCorrelationId(context, req)
+  });
+  loggers.set(context, logger);
+  return logger;
+}
+
+/**
+ * Get the invocation's logger, or a default one for contexts that were not
+ * initialized (and a silent one when there is no context)
+ */
+function getLogger(context) {
+  if (!context) {
+    return createLogger(undefined);
+  }
+  if (!loggers.has(context)) {
+    loggers.set(
+      context,
+      createLogger(context, {
+        functionName: context.executionContext?.functionName,
+        correlationId: getCorrelationId(context)
+      })
+    );
+  }
+  return loggers.get(context);
+}
+
+module.exports = {
+  redact,
+  hashId,
+  getCorrelationId,
+  createLogger,
+  initLogger,
+  getLogger
+};
@@ -1,29 +1,173 @@
 const https = require('https');
+const crypto = require('crypto');
+const { getLogger } = require('./logger');
+const { parseClaimMapping } = require('./claim-mapper');
 
 // Cache for OIDC discovery to avoid repeated requests
 const discoveryCache = new Map();
 const CACHE_TTL = 3600000; // 1 hour
 
+// Settings that identify a provider's client or its users; these are never
+// shared between providers
+const PROVIDER_ONLY_SETTINGS = ['ISSUER', 'CLIENT_ID', 'CLIENT_SECRET', 'PUBLIC_CLIENT', 'DOMAINS'];
+
+/**
+ * Get the IDs of the named providers in OIDC_PROVIDERS (e.g. `entra,okta`).
+ * Empty when a single provider is configured with the plain OIDC_* settings.
+ */
+function getOidcProviderIds() {
+  const ids = (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  ids.forEach(id => {
+    if (!/^[a-z0-9_]+$/.test(id)) {
+      throw new Error(`Invalid OIDC provider ID: ${id}. Use letters, digits and underscores`);
+    }
+  });
+
+  return ids;
+}
+
+/**
+ * Read a setting for a provider from OIDC_<PROVIDER>_<NAME>. Settings other
+ * than the client credentials fall back to the shared OIDC_<NAME>.
+ */
+function getProviderSetting(providerId, name) {
+  if (!providerId) {
+    return process.env[`OIDC_${name}`];
+  }
+
+  const value = process.env[`OIDC_${providerId.toUpperCase()}_${name}`];
+  if (value !== undefined || PROVIDER_ONLY_SETTINGS.includes(name)) {
+    return value;
+  }
+  return process.env[`OIDC_${name}`];
+}
+
+/**
+ * Get the configured providers with their display names, for the chooser page
+ */
+function getOidcProviders() {
+  return getOidcProviderIds().map(id => ({
+    id,
+    displayName: getProviderSetting(id, 'DISPLAY_NAME') || id
+  }));
+}
+
+// Score how specifically a domain rule matches: exact beats the longest
+// `*.suffix`, which beats `*`. Returns -1 when the rule does not match.
+function scoreDomainRule(rule, domain) {
+  if (rule === domain) return Infinity;
+  if (rule === '*') return 0;
+  if (rule.startsWith('*.') && domain.endsWith(rule.slice(1))) return rule.length;
+  return -1;
+}
+
+/**
+ * Find the provider for an email address (home-realm discovery). Each
+ * provider lists its domains in OIDC_<PROVIDER>_DOMAINS (OIDC_DOMAINS with a
+ * single provider) as exact domains, `*.domain` for subdomains or `*` for any
+ * domain. Returns `{ provider }` for the best match, or null when no rule
+ * matches.
+ */
+function findProviderForEmail(email) {
+  const domain = email.slice(email.lastIndexOf('@') + 1).toLowerCase();
+  const ids = getOidcProviderIds();
+  let best = null;
+
+  (ids.length ? ids : [undefined]).forEach(provider => {
+    (getProviderSetting(provider, 'DOMAINS') || '')
+      .split(',')
+      .map(rule => rule.trim().toLowerCase())
+      .filter(Boolean)
+      .forEach(rule => {
+        const score = scoreDomainRule(rule, domain);
+        if (score >= 0 && (!best || score > best.score)) {
+          best = { provider, score };
+        }
+      });
+  });
+
+  return best && { provider: best.provider };
+}
+
+// Resolve a requested provider ID; without one, OIDC_DEFAULT_PROVIDER or the
+// first listed provider is used
+function resolveProviderId(providerId) {
+  const ids = getOidcProviderIds();
+
+  if (!ids.length) {
+    return undefined;
+  }
+
+  const id = (providerId || process.env.OIDC_DEFAULT_PROVIDER || ids[0]).toLowerCase();
+  if (!ids.includes(id)) {
+    const error = new Error(`Unknown OIDC provider: ${id}`);
+    error.code = 'UNKNOWN_PROVIDER';
+    throw error;
+  }
+
+  return id;
+}
+
 /**
- * Get OIDC configuration
+ * Get OIDC configuration for a provider (the default provider when omitted)
  */
-function getOidcConfig() {
-  const issuer = process.env.OIDC_ISSUER;
-  const clientId = process.env.OIDC_CLIENT_ID;
-  const clientSecret = process.env.OIDC_CLIENT_SECRET;
-  const redirectUri = process.env.OIDC_REDIRECT_URI;
+function getOidcConfig(providerId) {
+  const provider = resolveProviderId(providerId);
+  const setting = name => getProviderSetting(provider, name);
+  const prefix = provider ? `OIDC_${provider.toUpperCase()}_` : 'OIDC_';
 
-  if (!issuer || !clientId || !clientSecret || !redirectUri) {
+  const issuer = setting('ISSUER');
+  const clientId = setting('CLIENT_ID');
+  const clientSecret = setting('CLIENT_SECRET');
+  const redirectUri = setting('REDIRECT_URI');
+
+  // Public clients have no secret and must prove possession with PKCE instead
+  const publicClient = setting('PUBLIC_CLIENT') === 'true';
+
+  if (!issuer || !clientId || (!clientSecret && !publicClient) || !redirectUri) {
     throw new Error(
-      'Missing required OIDC configuration. Please set OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET, and OIDC_REDIRECT_URI'
+      `Missing required OIDC configuration. Please set ${prefix}ISSUER, ${prefix}CLIENT_ID, ${prefix}CLIENT_SECRET, and ${prefix}REDIRECT_URI`
     );
   }
 
-  return { issuer, clientId, clientSecret, redirectUri };
+  const pkceRequired = publicClient || setting('PKCE_REQUIRED') === 'true';
+  const usePkce = pkceRequired || setting('USE_PKCE') !== 'false';
+
+  const claimMapping = parseClaimMapping(
+    setting('CLAIM_MAPPING'),
+    provider ? `${prefix}CLAIM_MAPPING or OIDC_CLAIM_MAPPING` : 'OIDC_CLAIM_MAPPING'
+  );
+
+  return {
+    provider,
+    displayName: provider && (setting('DISPLAY_NAME') || provider),
+    issuer,
+    clientId,
+    clientSecret,
+    redirectUri,
+    publicClient,
+    usePkce,
+    pkceRequired,
+    claimMapping
+  };
+}
+
+/**
+ * Generate a PKCE code verifier and its S256 code challenge (RFC 7636)
+ */
+function generatePkce() {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  return { codeVerifier, codeChallenge, codeChallengeMethod: 'S256' };
 }
 
 /**
- * Helper function to make HTTPS GET requests
+ * Fetch a JSON document from the provider with an HTTPS GET request
  */
 function httpsGet(url) {
   return new Promise((resolve, reject) => {
@@ -52,18 +196,19 @@ function httpsGet(url) {
 /**
  * Discover OIDC endpoints using the .well-known/openid_configuration endpoint
  */
-async function discoverOidcEndpoints(issuer, context) {
+async function discoverOidcEndpoints(issuer, context, providerId) {
+  const log = getLogger(context);
   const cacheKey = issuer;
   const cached = discoveryCache.get(cacheKey);
 
   // Return cached result if still valid
   if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    context?.log('Using cached OIDC discovery for:', issuer);
+    log.info('Using cached OIDC discovery for:', issuer);
     return cached.endpoints;
   }
 
   try {
-    context?.log('Discovering OIDC endpoints for:', issuer);
+    log.info('Discovering OIDC endpoints for:', issuer);
     const discoveryUrl = `${issuer}/.well-known/openid-configuration`;
     const config = await httpsGet(discoveryUrl);
 
@@ -72,6 +217,7 @@ async function discoverOidcEndpoints(issuer, context) {
       token_endpoint: config.token_endpoint,
       userinfo_endpoint: config.userinfo_endpoint,
       end_session_endpoint: config.end_session_endpoint,
+      jwks_uri: config.jwks_uri,
       issuer: config.issuer
     };
 
@@ -81,36 +227,40 @@ async function discoverOidcEndpoints(issuer, context) {
       timestamp: Date.now()
     });
 
-    context?.log('OIDC endpoints discovered:', endpoints);
+    log.info('OIDC endpoints discovered:', endpoints);
     return endpoints;
   } catch (error) {
-    context?.log('OIDC discovery failed, falling back to manual configuration:', error.message);
+    log.info('OIDC discovery failed, falling back to manual configuration:', error.message);
 
     // Fallback to manual endpoint construction using custom paths
-    const authPath = process.env.OIDC_AUTHORIZATION_ENDPOINT || '/oauth2/authorize';
-    const tokenPath = process.env.OIDC_TOKEN_ENDPOINT || '/oauth2/token';
-    const userinfoPath = process.env.OIDC_USERINFO_ENDPOINT || '/oauth2/userinfo';
-    const logoutPath = process.env.OIDC_END_SESSION_ENDPOINT;
+    const setting = name => getProviderSetting(providerId, name);
+    const authPath = setting('AUTHORIZATION_ENDPOINT') || '/oauth2/authorize';
+    const tokenPath = setting('TOKEN_ENDPOINT') || '/oauth2/token';
+    const userinfoPath = setting('USERINFO_ENDPOINT') || '/oauth2/userinfo';
+    const logoutPath = setting('END_SESSION_ENDPOINT');
+    const jwksPath = setting('JWKS_ENDPOINT') || '/oauth2/keys';
 
     const endpoints = {
       authorization_endpoint: `${issuer}${authPath}`,
       token_endpoint: `${issuer}${tokenPath}`,
       userinfo_endpoint: `${issuer}${userinfoPath}`,
       end_session_endpoint: logoutPath ? `${issuer}${logoutPath}` : undefined,
+      jwks_uri: `${issuer}${jwksPath}`,
       issuer: issuer
     };
 
-    context?.log('Using fallback endpoints:', endpoints);
+    log.info('Using fallback endpoints:', endpoints);
     return endpoints;
   }
 }
 
 /**
- * Get complete OIDC configuration with discovered endpoints
+ * Get complete OIDC configuration with discovered endpoints for a provider
+ * (the default provider when omitted)
  */
-async function getOidcConfiguration(context) {
-  const config = getOidcConfig();
-  const endpoints = await discoverOidcEndpoints(config.issuer, context);
+async function getOidcConfiguration(context, providerId) {
+  const config = getOidcConfig(providerId);
+  const endpoints = await discoverOidcEndpoints(config.issuer, context, config.provider);
 
   return {
     ...config,
@@ -121,7 +271,12 @@ async function getOidcConfiguration(context) {
 /**
  * Build authorization URL for OAuth 2.0 flow
  */
-function buildAuthorizationUrl(oidcConfig, state, scopes = 'openid profile email') {
+function buildAuthorizationUrl(
+  oidcConfig,
+  state,
+  scopes = 'openid profile email',
+  additionalParams = {}
+) {
   const authParams = new URLSearchParams({
     client_id: oidcConfig.clientId,
     response_type: 'code',
@@ -130,15 +285,92 @@ function buildAuthorizationUrl(oidcConfig, state, scopes = 'openid profile email
     state: state
   });
 
+  // Optional parameters such as prompt are only sent when they have a value
+  Object.entries(additionalParams).forEach(([key, value]) => {
+    if (value) authParams.set(key, value);
+  });
+
   return `${oidcConfig.endpoints.authorization_endpoint}?${authParams.toString()}`;
 }
 
 /**
- * Validate OIDC configuration at startup
+ * Build the URL that starts self-service registration at the OIDC provider.
+ *
+ * By default this is the authorization URL with `prompt=create` (override with
+ * OIDC_SIGNUP_PROMPT, or set it to an empty string to omit the prompt). When
+ * OIDC_REGISTRATION_URL is set the user is sent there instead; its
+ * `{authorizationUrl}` placeholder is replaced with the encoded authorization
+ * URL so the provider can continue into the sign-in flow once registration
+ * completes.
+ */
+function buildSignUpUrl(oidcConfig, state, scopes, additionalParams = {}) {
+  const registrationUrl = getProviderSetting(oidcConfig.provider, 'REGISTRATION_URL');
+
+  if (registrationUrl) {
+    const authUrl = buildAuthorizationUrl(oidcConfig, state, scopes, additionalParams);
+    return registrationUrl.replace('{authorizationUrl}', encodeURIComponent(authUrl));
+  }
+
+  const prompt = getProviderSetting(oidcConfig.provider, 'SIGNUP_PROMPT') ?? 'create';
+  return buildAuthorizationUrl(oidcConfig, state, scopes, { ...additionalParams, prompt });
+}
+
+// Provider-specific self-service password pages, used when
+// OIDC_CHANGE_PASSWORD_URL is not set. Neither can send the user back to the
+// portal.
+const CHANGE_PASSWORD_TEMPLATES = {
+  okta: '{issuerOrigin}/enduser/settings',
+  entra: 'https://mysignins.microsoft.com/security-info/password/change'
+};
+
+function getChangePasswordTemplate(oidcConfig) {
+  const providerType = (
+    getProviderSetting(oidcConfig.provider, 'PROVIDER_TYPE') || ''
+  ).toLowerCase();
+  return (
+    getProviderSetting(oidcConfig.provider, 'CHANGE_PASSWORD_URL') ||
+    CHANGE_PASSWORD_TEMPLATES[providerType]
+  );
+}
+
+/**
+ * Build the URL where a user changes their password at the OIDC provider.
+ *
+ * OIDC_CHANGE_PASSWORD_URL takes precedence over the OIDC_PROVIDER_TYPE
+ * template. Supported placeholders: `{returnUrl}`, `{loginHint}`,
+ * `{authorizationUrl}` and `{issuerOrigin}`; values are URL-encoded except
+ * for `{issuerOrigin}`. Returns null when neither is configured.
+ */
+function buildChangePasswordUrl(oidcConfig, values = {}) {
+  const template = getChangePasswordTemplate(oidcConfig);
+
+  if (!template) {
+    return null;
+  }
+
+  return template
+    .replace('{issuerOrigin}', new URL(oidcConfig.issuer).origin)
+    .replace('{returnUrl}', encodeURIComponent(values.returnUrl || ''))
+    .replace('{loginHint}', encodeURIComponent(values.loginHint || ''))
+    .replace('{authorizationUrl}', encodeURIComponent(values.authorizationUrl || ''));
+}
+
+/**
+ * Whether the password change page brings the user back to the portal: only
+ * a template with `{returnUrl}` or `{authorizationUrl}` can
+ */
+function changePasswordReturnsToPortal(oidcConfig) {
+  const template = getChangePasswordTemplate(oidcConfig) || '';
+  return template.includes('{returnUrl}') || template.includes('{authorizationUrl}');
+}
+
+/**
+ * Validate OIDC configuration at startup, for every configured provider
  */
 function validateOidcConfig() {
   try {
-    getOidcConfig();
+    const ids = getOidcProviderIds();
+    (ids.length ? ids : [undefined]).forEach(id => getOidcConfig(id));
     return true;
   } catch (error) {
     return false;
@@ -153,10 +385,17 @@ function clearDiscoveryCache() {
 }
 
 module.exports = {
+  getOidcProviders,
+  findProviderForEmail,
   getOidcConfig,
+  generatePkce,
+  httpsGet,
   discoverOidcEndpoints,
   getOidcConfiguration,
   buildAuthorizationUrl,
+  buildSignUpUrl,
+  buildChangePasswordUrl,
+  changePasswordReturnsToPortal,
   validateOidcConfig,
   clearDiscoveryCache
 };
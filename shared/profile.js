@@ -0,0 +1,40 @@
+// Profile fields of APIM users and who owns them.
+//
+// PROFILE_LOCKED_FIELDS lists the fields the identity provider owns: users
+// cannot edit them in the ChangeProfile form and every sign-in copies them
+// from the IdP. The other fields belong to the user once the account exists,
+// so sign-ins only fill them in when they are empty.
+
+const PROFILE_FIELD_NAMES = ['firstName', 'lastName', 'email'];
+
+/**
+ * Get the profile fields owned by the identity provider
+ */
+function getLockedProfileFields() {
+  return (process.env.PROFILE_LOCKED_FIELDS || '')
+    .split(',')
+    .map(field => field.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Merge a returning user's APIM profile with the profile from the IdP: locked
+ * fields come from the IdP, the others keep the user's values unless empty
+ */
+function mergeSignInProfile(currentProperties, signInProfile) {
+  const lockedFields = getLockedProfileFields();
+
+  return Object.fromEntries(
+    PROFILE_FIELD_NAMES.map(name => [
+      name,
+      lockedFields.includes(name) || !currentProperties[name]
+        ? signInProfile[name]
+        : currentProperties[name]
+    ])
+  );
+}
+
+module.exports = {
+  getLockedProfileFields,
+  mergeSignInProfile
+};
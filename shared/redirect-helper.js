@@ -0,0 +1,85 @@
+// Validation for the returnUrl values that end up in redirects
+const { getLogger } = require('./logger');
+const { getApimSetting } = require('./apim-instances');
+
+// Relative URLs are resolved against this placeholder origin to detect
+// values such as //evil.example or /\evil.example that browsers treat as absolute
+const RELATIVE_BASE = new URL('https://relative.invalid');
+
+/**
+ * Get the invocation's developer portal base URL without a trailing slash
+ */
+function getPortalUrl(context) {
+  return (getApimSetting(context, 'PORTAL_URL') || 'https://localhost').replace(/\/+$/, '');
+}
+
+/**
+ * Origins that absolute return URLs may point to: the developer portal plus
+ * the comma-separated ALLOWED_RETURN_ORIGINS
+ */
+function getAllowedOrigins(context) {
+  const configured = (process.env.ALLOWED_RETURN_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+  const origins = new Set();
+  [getPortalUrl(context), ...configured].forEach(value => {
+    try {
+      origins.add(new URL(value).origin);
+    } catch (e) {
+      // Ignore malformed entries rather than failing every redirect
+    }
+  });
+
+  return origins;
+}
+
+/**
+ * Normalize a returnUrl into a safe redirect target.
+ *
+ * Relative paths are returned as a normalized path, query and fragment.
+ * Absolute http(s) URLs are kept only when their origin is allowed. Anything
+ * else is replaced with the portal home ('/').
+ */
+function normalizeReturnUrl(returnUrl, context) {
+  if (typeof returnUrl !== 'string' || !returnUrl.trim()) {
+    return '/';
+  }
+
+  let url;
+  try {
+    url = new URL(returnUrl, RELATIVE_BASE);
+  } catch (e) {
+    url = null;
+  }
+
+  if (url?.origin === RELATIVE_BASE.origin) {
+    return `${url.pathname}${url.search}${url.hash}`;
+  }
+
+  if (
+    url &&
+    ['https:', 'http:'].includes(url.protocol) &&
+    getAllowedOrigins(context).has(url.origin)
+  ) {
+    return url.href;
+  }
+
+  getLogger(context).warn('Rejected returnUrl outside the allowed origins:', returnUrl);
+  return '/';
+}
+
+/**
+ * Resolve a returnUrl to an absolute URL, relative to the developer portal
+ */
+function resolveReturnUrl(returnUrl, context) {
+  const target = normalizeReturnUrl(returnUrl, context);
+  return target.startsWith('/') ? `${getPortalUrl(context)}${target}` : target;
+}
+
+module.exports = {
+  getPortalUrl,
+  normalizeReturnUrl,
+  resolveReturnUrl
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+
+// Tokens look like v1.<keyId>.<iv>.<ciphertext>.<authTag>, segments base64url-encoded
+const STATE_VERSION = 'v1';
+const IV_LENGTH = 12;
+const KEY_LENGTH = 32;
+// Full-length GCM tags only; Node would otherwise accept tags as short as 4 bytes
+const AUTH_TAG_LENGTH = 16;
+
+// How long an authorization request may take before its state is rejected
+const STATE_TTL_MS = 600000; // 10 minutes
+
+/**
+ * Load the state encryption keys from STATE_ENCRYPTION_KEYS.
+ *
+ * The setting is a comma-separated list of `keyId:base64Key` entries holding
+ * 256-bit keys. The first key encrypts new state; every listed key can decrypt,
+ * so a key can be rotated by putting the new key first and dropping the old
+ * one once in-flight sign-ins have expired.
+ */
+function getStateKeys() {
+  const setting = process.env.STATE_ENCRYPTION_KEYS;
+
+  if (!setting) {
+    throw new Error(
+      'Missing STATE_ENCRYPTION_KEYS. Set it to keyId:base64Key with a 32-byte key, e.g. generated with: openssl rand -base64 32'
+    );
+  }
+
+  return setting
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      if (separator <= 0) {
+        throw new Error('Invalid STATE_ENCRYPTION_KEYS entry, expected keyId:base64Key');
+      }
+
+      const id = entry.slice(0, separator);
+      const key = Buffer.from(entry.slice(separator + 1), 'base64');
+      if (key.length !== KEY_LENGTH) {
+        throw new Error(`State encryption key ${id} must be ${KEY_LENGTH} bytes`);
+      }
+
+      return { id, key };
+    });
+}
+
+function stateError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Encrypt and authenticate state data with AES-256-GCM using the active key
+ */
+function encodeState(data) {
+  const [activeKey] = getStateKeys();
+  const iv = crypto.randomBytes(IV_LENGTH);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', activeKey.key, iv, {
+    authTagLength: AUTH_TAG_LENGTH
+  });
+  // Bind the version and key id to the ciphertext so neither can be swapped
+  cipher.setAAD(Buffer.from(`${STATE_VERSION}.${activeKey.id}`));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+  return [
+    STATE_VERSION,
+    activeKey.id,
+    iv.toString('base64url'),
+    ciphertext.toString('base64url'),
+    cipher.getAuthTag().toString('base64url')
+  ].join('.');
+}
+
+/**
+ * Decrypt and verify a state token produced by encodeState.
+ *
+ * Throws an error with `code` set to STATE_MALFORMED, STATE_UNKNOWN_KEY or
+ * STATE_TAMPERED when the token cannot be trusted.
+ */
+function decodeState(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+
+  if (parts.length !== 5 || parts[0] !== STATE_VERSION) {
+    throw stateError('State parameter is malformed', 'STATE_MALFORMED');
+  }
+
+  const [version, keyId, iv, ciphertext, authTag] = parts;
+  const stateKey = getStateKeys().find(candidate => candidate.id === keyId);
+
+  if (!stateKey) {
+    throw stateError(
+      `State parameter was encrypted with unknown key ${keyId}`,
+      'STATE_UNKNOWN_KEY'
+    );
+  }
+
+  const tag = Buffer.from(authTag, 'base64url');
+  if (tag.length !== AUTH_TAG_LENGTH) {
+    throw stateError('State parameter failed integrity verification', 'STATE_TAMPERED');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      stateKey.key,
+      Buffer.from(iv, 'base64url'),
+      { authTagLength: AUTH_TAG_LENGTH }
+    );
+    decipher.setAAD(Buffer.from(`${version}.${keyId}`));
+    decipher.setAuthTag(tag);
+
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64url')),
+      decipher.final()
+    ]);
+
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch (error) {
+    throw stateError('State parameter failed integrity verification', 'STATE_TAMPERED');
+  }
+}
+
+module.exports = {
+  STATE_TTL_MS,
+  encodeState,
+  decodeState
+};
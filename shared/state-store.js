@@ -0,0 +1,235 @@
+// One-time records for in-flight authorization requests.
+//
+// Every store implements:
+//   create(key, value, ttlMs) -> true, or false when an unexpired record exists
+//   consume(key)              -> the stored value, or null when it is missing,
+//                                expired or was already consumed
+//   get(key)                  -> the stored value without consuming it, or null
+//   set(key, value, ttlMs)    -> creates or replaces the record
+// consume() is atomic, so a record can only ever be consumed once.
+
+const stores = new Map();
+
+/**
+ * In-memory store. Records are lost on restart and are not shared between
+ * instances, so it only suits local development and single-instance hosting.
+ * Holds at most STATE_STORE_MAX_ENTRIES records (default 10000), evicting the
+ * oldest first.
+ */
+function createMemoryStore(
+  maxEntries = parseInt(process.env.STATE_STORE_MAX_ENTRIES || '10000', 10)
+) {
+  const records = new Map();
+
+  function prune(now) {
+    for (const [key, record] of records) {
+      if (record.expiresAt <= now) records.delete(key);
+    }
+  }
+
+  return {
+    async create(key, value, ttlMs) {
+      const now = Date.now();
+      prune(now);
+
+      if (records.has(key)) {
+        return false;
+      }
+
+      // Maps iterate in insertion order, so the first key is the oldest record
+      while (records.size >= maxEntries) {
+        records.delete(records.keys().next().value);
+      }
+
+      records.set(key, { value, expiresAt: now + ttlMs });
+      return true;
+    },
+
+    async consume(key) {
+      const record = records.get(key);
+      records.delete(key);
+
+      if (!record || record.expiresAt <= Date.now()) {
+        return null;
+      }
+      return record.value;
+    },
+
+    async get(key) {
+      const record = records.get(key);
+      return record && record.expiresAt > Date.now() ? record.value : null;
+    },
+
+    async set(key, value, ttlMs) {
+      records.delete(key);
+      await this.create(key, value, ttlMs);
+    }
+  };
+}
+
+/**
+ * Azure Table storage store. Records live in one partition per namespace;
+ * consume() deletes with the record's ETag so concurrent callbacks cannot
+ * both succeed. Works against Azurite with UseDevelopmentStorage=true.
+ */
+function createTableStore(namespace) {
+  const { TableClient } = require('@azure/data-tables');
+
+  const connectionString =
+    process.env.STATE_STORE_CONNECTION_STRING || process.env.AzureWebJobsStorage;
+  const tableName = process.env.STATE_STORE_TABLE || 'delegationstate';
+
+  if (!connectionString) {
+    throw new Error(
+      'Missing state store configuration. Please set STATE_STORE_CONNECTION_STRING or AzureWebJobsStorage'
+    );
+  }
+
+  // Azurite serves plain HTTP
+  const allowInsecureConnection =
+    connectionString.includes('UseDevelopmentStorage=true') ||
+    connectionString.includes('DefaultEndpointsProtocol=http;');
+  const client = TableClient.fromConnectionString(connectionString, tableName, {
+    allowInsecureConnection
+  });
+
+  let tableReady;
+  function ensureTable() {
+    tableReady ??= client.createTable().catch(error => {
+      tableReady = undefined;
+      throw error;
+    });
+    return tableReady;
+  }
+
+  async function getRecord(key) {
+    try {
+      return await client.getEntity(namespace, key);
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  return {
+    async create(key, value, ttlMs) {
+      await ensureTable();
+
+      const entity = {
+        partitionKey: namespace,
+        rowKey: key,
+        value: JSON.stringify(value),
+        expiresAt: new Date(Date.now() + ttlMs)
+      };
+
+      try {
+        await client.createEntity(entity);
+        return true;
+      } catch (error) {
+        if (error.statusCode !== 409) throw error;
+      }
+
+      // The key exists; it may only be reused once the old record has expired
+      const existing = await getRecord(key);
+      if (existing && new Date(existing.expiresAt) > new Date()) {
+        return false;
+      }
+
+      try {
+        if (existing) {
+          await client.updateEntity(entity, 'Replace', { etag: existing.etag });
+        } else {
+          await client.createEntity(entity);
+        }
+        return true;
+      } catch (error) {
+        if (error.statusCode === 409 || error.statusCode === 412) return false;
+        throw error;
+      }
+    },
+
+    async consume(key) {
+      await ensureTable();
+
+      const record = await getRecord(key);
+      if (!record) {
+        return null;
+      }
+
+      try {
+        await client.deleteEntity(namespace, key, { etag: record.etag });
+      } catch (error) {
+        // Another request consumed the record first
+        if (error.statusCode === 404 || error.statusCode === 412) return null;
+        throw error;
+      }
+
+      if (new Date(record.expiresAt) <= new Date()) {
+        return null;
+      }
+      return JSON.parse(record.value);
+    },
+
+    async get(key) {
+      await ensureTable();
+
+      const record = await getRecord(key);
+      if (!record || new Date(record.expiresAt) <= new Date()) {
+        return null;
+      }
+      return JSON.parse(record.value);
+    },
+
+    async set(key, value, ttlMs) {
+      await ensureTable();
+
+      await client.upsertEntity(
+        {
+          partitionKey: namespace,
+          rowKey: key,
+          value: JSON.stringify(value),
+          expiresAt: new Date(Date.now() + ttlMs)
+        },
+        'Replace'
+      );
+    }
+  };
+}
+
+const STORE_TYPES = {
+  memory: () => createMemoryStore(),
+  table: createTableStore
+};
+
+/**
+ * Get the store for a namespace using STATE_STORE_TYPE ('memory' or 'table',
+ * default 'memory'). Stores are created once per namespace and reused.
+ */
+function getStateStore(namespace = 'state') {
+  const type = process.env.STATE_STORE_TYPE || 'memory';
+  const cacheKey = `${type}:${namespace}`;
+
+  if (!stores.has(cacheKey)) {
+    const createStore = STORE_TYPES[type];
+    if (!createStore) {
+      throw new Error(`Invalid STATE_STORE_TYPE: ${type}. Expected memory or table`);
+    }
+    stores.set(cacheKey, createStore(namespace));
+  }
+
+  return stores.get(cacheKey);
+}
+
+/**
+ * Clear cached stores (useful for testing)
+ */
+function clearStateStores() {
+  stores.clear();
+}
+
+module.exports = {
+  getStateStore,
+  createMemoryStore,
+  createTableStore,
+  clearStateStores
+};
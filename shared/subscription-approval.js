@@ -0,0 +1,78 @@
+const path = require('path');
+const { getLogger } = require('./logger');
+
+const DECISIONS = ['allow', 'deny', 'pending'];
+
+/**
+ * Load the approval hook named by SUBSCRIPTION_APPROVAL_MODULE.
+ *
+ * The path is resolved from the function app root and the module must export
+ * an async function `(request, context) => decision`, where decision is
+ * 'allow', 'deny', 'pending' or an object `{ decision, reason }`.
+ */
+function loadApprovalHook() {
+  const modulePath = process.env.SUBSCRIPTION_APPROVAL_MODULE;
+
+  if (!modulePath) {
+    return null;
+  }
+
+  const hook = require(path.resolve(__dirname, '..', modulePath));
+  const approve = typeof hook === 'function' ? hook : hook.approveSubscription;
+
+  if (typeof approve !== 'function') {
+    throw new Error(
+      `SUBSCRIPTION_APPROVAL_MODULE ${modulePath} must export a function or approveSubscription`
+    );
+  }
+
+  return approve;
+}
+
+/**
+ * Normalize a hook result into `{ decision, reason }`
+ */
+function normalizeDecision(result) {
+  const decision = typeof result === 'string' ? result : result?.decision;
+  const reason = typeof result === 'object' && result ? result.reason : undefined;
+
+  if (!DECISIONS.includes(decision)) {
+    throw new Error(`Invalid subscription approval decision: ${JSON.stringify(decision)}`);
+  }
+
+  return { decision, reason };
+}
+
+/**
+ * Decide whether a Subscribe or Renew request is allowed, denied or left
+ * pending manual approval.
+ *
+ * Without a hook the SUBSCRIPTION_APPROVAL_DEFAULT decision is used ('allow'
+ * unless configured). A hook that throws or returns an unknown value denies
+ * the request, so a broken hook never grants access.
+ */
+async function evaluateSubscriptionRequest(request, context) {
+  const log = getLogger(context);
+  let approve;
+  try {
+    approve = loadApprovalHook();
+  } catch (error) {
+    log.error('Failed to load subscription approval hook:', error.message);
+    return { decision: 'deny', reason: 'Subscription approval is unavailable' };
+  }
+
+  if (!approve) {
+    return normalizeDecision(process.env.SUBSCRIPTION_APPROVAL_DEFAULT || 'allow');
+  }
+
+  try {
+    return normalizeDecision(await approve(request, context));
+  } catch (error) {
+    log.error('Subscription approval hook failed:', error.message);
+    return { decision: 'deny', reason: 'Subscription approval is unavailable' };
+  }
+}
+
+module.exports = {
+  evaluateSubscriptionRequest
+};
@@ -0,0 +1,136 @@
+// Derives the APIM user ID for a signed-in identity.
+//
+// APIM_USER_ID_STRATEGY selects how:
+//   email   - the email with '@' and '.' replaced by '_' (default, the IDs
+//             created before strategies existed)
+//   subject - a SHA-256 hash of the issuer and subject, stable across email changes
+//   claim   - the value of the claim named by APIM_USER_ID_CLAIM
+// IDs keep to letters, digits, '_' and '-', and to APIM's 80 character limit.
+
+const crypto = require('crypto');
+const { getLogger, hashId } = require('./logger');
+const { getApimSetting } = require('./apim-instances');
+const { getUserFromAPIM } = require('./apim-helper');
+
+const MAX_USER_ID_LENGTH = 80;
+const UNSAFE_CHARACTERS = /[^A-Za-z0-9_-]/g;
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// End an ID with a hash of its source value, keeping within the length limit
+function withHashSuffix(id, source) {
+  return `${id.slice(0, MAX_USER_ID_LENGTH - 17)}_${hash(source).slice(0, 16)}`;
+}
+
+// Keep an ID within the length limit; truncated IDs stay distinct through the hash
+function limitLength(id, source) {
+  return id.length <= MAX_USER_ID_LENGTH ? id : withHashSuffix(id, source);
+}
+
+function userIdError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const STRATEGIES = {
+  email: {
+    derive({ email }) {
+      const id = email.replace('@', '_').replace(/\./g, '_').replace(UNSAFE_CHARACTERS, '_');
+      return limitLength(id, email.toLowerCase());
+    },
+    // Different addresses can map to the same ID (a.b@x.com and a_b@x.com)
+    conflicts(existingUser, { email }) {
+      const existingEmail = existingUser.properties?.email;
+      return Boolean(existingEmail) && existingEmail.toLowerCase() !== email.toLowerCase();
+    }
+  },
+
+  subject: {
+    derive({ claims, issuer }) {
+      if (!claims.sub || !issuer) {
+        throw userIdError('USER_ID_UNAVAILABLE', 'The sign-in has no issuer or subject');
+      }
+      return hash(`${issuer}\n${claims.sub}`);
+    },
+    conflicts: () => false
+  },
+
+  claim: {
+    derive({ claims }, context) {
+      const claimName = getApimSetting(context, 'USER_ID_CLAIM');
+      if (!claimName) {
+        throw new Error('APIM_USER_ID_CLAIM must be set when APIM_USER_ID_STRATEGY is claim');
+      }
+
+      const value = claims[claimName];
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        throw userIdError('USER_ID_UNAVAILABLE', `The sign-in has no ${claimName} claim`);
+      }
+
+      // A value that had to be changed gets a hash suffix, so two values that
+      // sanitize alike still get different IDs
+      const raw = String(value);
+      const id = raw.replace(UNSAFE_CHARACTERS, '_');
+      return id === raw ? limitLength(id, raw) : withHashSuffix(id, raw);
+    },
+    conflicts: () => false
+  }
+};
+
+// The sign-in's own record, even after a profile email edit or anonymization
+function recordsIdentity(user, { issuer, subject } = {}) {
+  return (
+    Boolean(issuer && subject) &&
+    (user.properties?.identities || []).some(
+      recorded => recorded.provider === issuer && recorded.id === subject
+    )
+  );
+}
+
+function getStrategy(context) {
+  const name = (getApimSetting(context, 'USER_ID_STRATEGY') || 'email').toLowerCase();
+  const strategy = STRATEGIES[name];
+
+  if (!strategy) {
+    throw new Error(`Invalid APIM_USER_ID_STRATEGY: ${name}. Use email, subject or claim`);
+  }
+  return strategy;
+}
+
+/**
+ * Derive the APIM user ID from the mapped user and the sign-in claims.
+ * Throws with code USER_ID_UNAVAILABLE when the claims the strategy needs are
+ * missing.
+ */
+function getApimUserId({ email, claims, issuer }, context) {
+  return getStrategy(context).derive({ email, claims, issuer }, context);
+}
+
+/**
+ * Look up the APIM user with this ID and make sure it belongs to the same
+ * person: a user that records the sign-in's identity (issuer and subject) is
+ * always theirs. Returns the existing user (or null); throws with code
+ * USER_ID_COLLISION when the ID is taken by someone else.
+ */
+async function checkUserIdCollision(userId, userData, identity, context) {
+  const existingUser = await getUserFromAPIM(userId, context);
+
+  if (
+    existingUser &&
+    !recordsIdentity(existingUser, identity) &&
+    getStrategy(context).conflicts(existingUser, userData)
+  ) {
+    getLogger(context).error('APIM user ID belongs to another user:', hashId(userId));
+    throw userIdError('USER_ID_COLLISION', `APIM user ${userId} belongs to another user`);
+  }
+
+  return existingUser;
+}
+
+module.exports = {
+  getApimUserId,
+  checkUserIdCollision
+};
@@ -0,0 +1,127 @@
+// Finds the APIM user a sign-in belongs to.
+//
+// Users are matched in this order:
+//   1. the APIM user linked to the sign-in's identity (issuer and subject)
+//   2. the APIM user with the same email, when APIM_LINK_BY_EMAIL is true
+//   3. the user ID from APIM_USER_ID_STRATEGY
+// so people whose email changes keep their APIM account and subscriptions.
+//
+// APIM cannot filter users by identity, so links are kept in the 'links' state
+// store namespace and refreshed on every sign-in. Use STATE_STORE_TYPE=table to
+// keep them across restarts.
+
+const crypto = require('crypto');
+const { getLogger, hashId } = require('./logger');
+const { getApimInstance, getApimSetting } = require('./apim-instances');
+const { getUserFromAPIM, findUsersByEmail } = require('./apim-helper');
+const { getStateStore } = require('./state-store');
+const { checkUserIdCollision } = require('./user-id');
+
+// Links expire after a year without sign-ins
+const LINK_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+
+function getLinkKey({ issuer, subject }, context) {
+  return crypto
+    .createHash('sha256')
+    .update(`${getApimInstance(context) || ''}\n${issuer}\n${subject}`)
+    .digest('hex');
+}
+
+// Identities this function app recorded have an issuer URL as provider;
+// APIM's own (Basic, Aad, ...) do not
+function getRecordedIdentities(user) {
+  return (user.properties?.identities || []).filter(identity =>
+    /^https?:\/\//i.test(identity.provider || '')
+  );
+}
+
+// A user recorded with identities belongs to them: any other sign-in, from
+// the same issuer or another one asserting the same email, is someone else
+function belongsToOtherIdentity(user, { issuer, subject }) {
+  const recorded = getRecordedIdentities(user);
+  return (
+    recorded.length > 0 &&
+    !recorded.some(identity => identity.provider === issuer && identity.id === subject)
+  );
+}
+
+async function findLinkedUser(identity, context) {
+  const link = await getStateStore('links').get(getLinkKey(identity, context));
+  if (!link) {
+    return null;
+  }
+
+  const user = await getUserFromAPIM(link.userId, context);
+  if (!user) {
+    getLogger(context).warn('Linked APIM user no longer exists:', hashId(link.userId));
+    return null;
+  }
+  return { userId: link.userId, existingUser: user };
+}
+
+async function findUserByEmail(email, identity, context) {
+  const users = (await findUsersByEmail(email, context)).filter(
+    user => !belongsToOtherIdentity(user, identity)
+  );
+
+  if (users.length > 1) {
+    getLogger(context).warn('Several APIM users share the email, not linking:', email);
+    return null;
+  }
+  return users.length === 1 ? { userId: users[0].name, existingUser: users[0] } : null;
+}
+
+/**
+ * Find the APIM user for a sign-in. Returns { userId, existingUser, matchedBy }
+ * where existingUser is null when the user still has to be created and
+ * matchedBy is 'identity', 'email' or 'userId'. Throws with code
+ * USER_ID_COLLISION when defaultUserId belongs to someone else, by email or by
+ * a recorded identity.
+ */
+async function resolveApimUser({ defaultUserId, userData, identity }, context) {
+  if (identity.issuer && identity.subject) {
+    const linked = await findLinkedUser(identity, context);
+    if (linked) {
+      return { ...linked, matchedBy: 'identity' };
+    }
+
+    if (getApimSetting(context, 'LINK_BY_EMAIL') === 'true') {
+      const byEmail = await findUserByEmail(userData.email, identity, context);
+      if (byEmail) {
+        return { ...byEmail, matchedBy: 'email' };
+      }
+    }
+  }
+
+  const existingUser = await checkUserIdCollision(defaultUserId, userData, identity, context);
+
+  // The same email from an identity the user does not record is still someone else
+  if (existingUser && belongsToOtherIdentity(existingUser, identity)) {
+    getLogger(context).error('APIM user ID belongs to another identity:', hashId(defaultUserId));
+    const error = new Error(`APIM user ${defaultUserId} belongs to another user`);
+    error.code = 'USER_ID_COLLISION';
+    throw error;
+  }
+  return { userId: defaultUserId, existingUser, matchedBy: 'userId' };
+}
+
+/**
+ * Link the sign-in's identity to an APIM user, or refresh the link. Failures
+ * are logged; the sign-in still succeeds without the link.
+ */
+async function linkIdentity(identity, userId, context) {
+  if (!identity.issuer || !identity.subject) {
+    return;
+  }
+
+  try {
+    await getStateStore('links').set(getLinkKey(identity, context), { userId }, LINK_TTL_MS);
+  } catch (error) {
+    getLogger(context).warn('Could not link the identity to the APIM user:', error.message);
+  }
+}
+
+module.exports = {
+  resolveApimUser,
+  linkIdentity
+};
@@ -0,0 +1,108 @@
+const { evaluateAccessPolicy } = require('../shared/access-policy');
+
+describe('Access Policy', () => {
+  const originalEnv = process.env;
+  let context;
+
+  function evaluate(email, claims = {}) {
+    return evaluateAccessPolicy({ email, claims }, context);
+  }
+
+  beforeEach(() => {
+    context = createMockContext();
+    process.env = { ...originalEnv };
+    Object.keys(process.env)
+      .filter(name => name.startsWith('ACCESS_'))
+      .forEach(name => delete process.env[name]);
+    delete process.env.APIM_GROUP_CLAIMS;
+    delete process.env.APIM_INSTANCES;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should allow everyone without a policy', () => {
+    expect(evaluate('jane@anywhere.com')).toEqual({ allowed: true });
+  });
+
+  describe('email domains', () => {
+    test('should only allow the listed domains', () => {
+      process.env.ACCESS_ALLOWED_EMAIL_DOMAINS = 'contoso.com, Fabrikam.com';
+
+      expect(evaluate('jane@CONTOSO.com').allowed).toBe(true);
+      expect(evaluate('jane@fabrikam.com').allowed).toBe(true);
+      expect(evaluate('jane@sub.contoso.com')).toEqual({
+        allowed: false,
+        reason: 'EMAIL_DOMAIN_NOT_ALLOWED'
+      });
+    });
+
+    test('should deny the listed domains', () => {
+      process.env.ACCESS_DENIED_EMAIL_DOMAINS = 'gmail.com';
+
+      expect(evaluate('jane@contoso.com').allowed).toBe(true);
+      expect(evaluate('jane@gmail.com')).toEqual({
+        allowed: false,
+        reason: 'EMAIL_DOMAIN_DENIED'
+      });
+    });
+  });
+
+  describe('email verification', () => {
+    test('should require email_verified to be true when configured', () => {
+      process.env.ACCESS_REQUIRE_EMAIL_VERIFIED = 'true';
+
+      expect(evaluate('jane@contoso.com', { email_verified: true }).allowed).toBe(true);
+      expect(evaluate('jane@contoso.com', { email_verified: 'true' })).toEqual({
+        allowed: false,
+        reason: 'EMAIL_NOT_VERIFIED'
+      });
+      expect(evaluate('jane@contoso.com').reason).toBe('EMAIL_NOT_VERIFIED');
+    });
+
+    test('should ignore email_verified by default', () => {
+      expect(evaluate('jane@contoso.com', { email_verified: false }).allowed).toBe(true);
+    });
+  });
+
+  describe('groups', () => {
+    test('should require one of the groups in the group and role claims', () => {
+      process.env.ACCESS_REQUIRED_GROUPS = 'api-users,api-admins';
+
+      expect(evaluate('jane@contoso.com', { groups: ['staff', 'api-users'] }).allowed).toBe(true);
+      expect(evaluate('jane@contoso.com', { roles: 'api-admins' }).allowed).toBe(true);
+      expect(evaluate('jane@contoso.com', { groups: ['staff'] })).toEqual({
+        allowed: false,
+        reason: 'GROUP_REQUIRED'
+      });
+    });
+  });
+
+  describe('multi-factor authentication', () => {
+    test('should require one of the acr values', () => {
+      process.env.ACCESS_REQUIRED_ACR = 'mfa,phr';
+
+      expect(evaluate('jane@contoso.com', { acr: 'phr' }).allowed).toBe(true);
+      expect(evaluate('jane@contoso.com', { acr: 'pwd' })).toEqual({
+        allowed: false,
+        reason: 'MFA_REQUIRED'
+      });
+      expect(evaluate('jane@contoso.com').reason).toBe('MFA_REQUIRED');
+    });
+
+    test('should require one of the amr values', () => {
+      process.env.ACCESS_REQUIRED_AMR = 'mfa,otp';
+
+      expect(evaluate('jane@contoso.com', { amr: ['pwd', 'otp'] }).allowed).toBe(true);
+      expect(evaluate('jane@contoso.com', { amr: ['pwd'] }).reason).toBe('MFA_REQUIRED');
+    });
+  });
+
+  test('should report the first check that fails', () => {
+    process.env.ACCESS_ALLOWED_EMAIL_DOMAINS = 'contoso.com';
+    process.env.ACCESS_REQUIRE_EMAIL_VERIFIED = 'true';
+
+    expect(evaluate('jane@fabrikam.com').reason).toBe('EMAIL_DOMAIN_NOT_ALLOWED');
+  });
+});
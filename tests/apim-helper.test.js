@@ -0,0 +1,452 @@
+// Mock the https module BEFORE imports
+jest.mock('https', () => ({
+  request: jest.fn(),
+  get: jest.fn(),
+  Agent: jest.fn().mockImplementation(() => ({}))
+}));
+
+const {
+  getApimResourceUrl,
+  createOrUpdateUserInAPIM,
+  getUserFromAPIM,
+  findUsersByEmail,
+  updateUserInAPIM,
+  deleteUserFromAPIM,
+  listUserSubscriptions,
+  listUserGroups,
+  addUserToGroup,
+  removeUserFromGroup,
+  deleteSubscription,
+  getSubscription,
+  createOrUpdateSubscription,
+  updateSubscription,
+  getSharedAccessToken,
+  getDelegationValidationKey,
+  clearValidationKeyCache
+} = require('../shared/apim-helper');
+const { setApimInstance } = require('../shared/apim-instances');
+
+const https = require('https');
+
+// Queue a single https.request response and return the request mock
+function mockArmResponse(statusCode, body) {
+  const mockRequest = {
+    on: jest.fn(),
+    write: jest.fn(),
+    end: jest.fn()
+  };
+
+  https.request.mockImplementationOnce((options, callback) => {
+    const response = {
+      statusCode,
+      on: jest.fn((event, handler) => {
+        if (event === 'data') {
+          handler(typeof body === 'string' ? body : JSON.stringify(body));
+        } else if (event === 'end') {
+          handler();
+        }
+      })
+    };
+    callback(response);
+    return mockRequest;
+  });
+
+  return mockRequest;
+}
+
+describe('APIM Helper', () => {
+  const originalEnv = process.env;
+  let context;
+
+  beforeEach(() => {
+    context = createMockContext();
+
+    process.env = {
+      ...originalEnv,
+      APIM_SUBSCRIPTION_ID: 'test-subscription-id',
+      APIM_RESOURCE_GROUP: 'test-resource-group',
+      APIM_SERVICE_NAME: 'test-apim-service',
+      APIM_ACCESS_TOKEN: 'test-apim-token'
+    };
+
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe('getApimResourceUrl', () => {
+    test('should build the ARM URL for a service resource', () => {
+      expect(getApimResourceUrl('users/user1')).toBe(
+        'https://management.azure.com/subscriptions/test-subscription-id/resourceGroups/test-resource-group/providers/Microsoft.ApiManagement/service/test-apim-service/users/user1?api-version=2021-08-01'
+      );
+    });
+
+    test('should append the api-version to an existing query string', () => {
+      expect(getApimResourceUrl('users/user1?deleteSubscriptions=true')).toContain(
+        'users/user1?deleteSubscriptions=true&api-version=2021-08-01'
+      );
+    });
+
+    test('should throw when APIM configuration is missing', () => {
+      delete process.env.APIM_SERVICE_NAME;
+
+      expect(() => getApimResourceUrl('users/user1')).toThrow('Missing APIM configuration');
+    });
+
+    test("should use the service of the invocation's APIM instance", () => {
+      process.env.APIM_INSTANCES = 'dev,partner';
+      process.env.APIM_PARTNER_SERVICE_NAME = 'partner-apim';
+      process.env.APIM_PARTNER_RESOURCE_GROUP = 'partner-group';
+      setApimInstance(context, 'partner');
+
+      expect(getApimResourceUrl('users/user1', context)).toBe(
+        'https://management.azure.com/subscriptions/test-subscription-id/resourceGroups/partner-group/providers/Microsoft.ApiManagement/service/partner-apim/users/user1?api-version=2021-08-01'
+      );
+    });
+
+    test('should not fall back to the shared service name for an instance', () => {
+      process.env.APIM_INSTANCES = 'dev';
+      setApimInstance(context, 'dev');
+
+      expect(() => getApimResourceUrl('users/user1', context)).toThrow(
+        'Missing APIM configuration: APIM_SUBSCRIPTION_ID, APIM_RESOURCE_GROUP, APIM_SERVICE_NAME for instance dev'
+      );
+    });
+  });
+
+  describe('createOrUpdateUserInAPIM', () => {
+    test('should PUT the user with the bearer token', async () => {
+      const mockRequest = mockArmResponse(200, { name: 'user1' });
+
+      await createOrUpdateUserInAPIM(
+        'user1',
+        { firstName: 'Test', lastName: 'User', email: 'user@example.com', note: 'note' },
+        context
+      );
+
+      const options = https.request.mock.calls[0][0];
+      expect(options.method).toBe('PUT');
+      expect(options.path).toContain('/users/user1?api-version=2021-08-01');
+      expect(options.headers.Authorization).toBe('Bearer test-apim-token');
+      expect(JSON.parse(mockRequest.write.mock.calls[0][0])).toEqual({
+        properties: {
+          firstName: 'Test',
+          lastName: 'User',
+          email: 'user@example.com',
+          state: 'active',
+          note: 'note'
+        }
+      });
+    });
+
+    test('should record the identities of new users', async () => {
+      const mockRequest = mockArmResponse(200, { name: 'user1' });
+      const identities = [{ provider: 'https://login.example.com', id: 'sub-1' }];
+
+      await createOrUpdateUserInAPIM('user1', { email: 'user@example.com', identities }, context);
+
+      expect(JSON.parse(mockRequest.write.mock.calls[0][0]).properties.identities).toEqual(
+        identities
+      );
+    });
+  });
+
+  describe('getUserFromAPIM', () => {
+    test('should escape the user ID in the URL path', async () => {
+      mockArmResponse(200, { name: 'a/b' });
+
+      await getUserFromAPIM('a/b?c', context);
+
+      expect(https.request.mock.calls[0][0].path).toContain('/users/a%2Fb%3Fc?api-version=');
+    });
+
+    test('should return the user contract', async () => {
+      const mockRequest = mockArmResponse(200, { name: 'user1', properties: { email: 'a@b.c' } });
+
+      const user = await getUserFromAPIM('user1', context);
+
+      expect(user.properties.email).toBe('a@b.c');
+      expect(https.request.mock.calls[0][0].method).toBe('GET');
+      expect(mockRequest.write).not.toHaveBeenCalled();
+    });
+
+    test('should return null when the user does not exist', async () => {
+      mockArmResponse(404, { error: { code: 'ResourceNotFound' } });
+
+      await expect(getUserFromAPIM('missing', context)).resolves.toBeNull();
+    });
+
+    test('should throw on other errors', async () => {
+      mockArmResponse(403, { error: { code: 'AuthorizationFailed' } });
+
+      await expect(getUserFromAPIM('user1', context)).rejects.toThrow('HTTP 403');
+    });
+  });
+
+  describe('findUsersByEmail', () => {
+    test('should filter the users by email', async () => {
+      mockArmResponse(200, { value: [{ name: 'user1' }] });
+
+      const users = await findUsersByEmail("o'brien@example.com", context);
+
+      expect(users).toEqual([{ name: 'user1' }]);
+      expect(https.request.mock.calls[0][0].path).toContain(
+        '/users?$filter=email%20eq%20%27o%27%27brien%40example.com%27&api-version='
+      );
+    });
+
+    test('should return an empty list when no user matches', async () => {
+      mockArmResponse(200, {});
+
+      await expect(findUsersByEmail('user@example.com', context)).resolves.toEqual([]);
+    });
+  });
+
+  describe('updateUserInAPIM', () => {
+    test('should PATCH the given properties', async () => {
+      const mockRequest = mockArmResponse(200, {});
+
+      await updateUserInAPIM('user1', { state: 'blocked' }, context);
+
+      const options = https.request.mock.calls[0][0];
+      expect(options.method).toBe('PATCH');
+      expect(options.headers['If-Match']).toBe('*');
+      expect(JSON.parse(mockRequest.write.mock.calls[0][0])).toEqual({
+        properties: { state: 'blocked' }
+      });
+    });
+  });
+
+  describe('deleteUserFromAPIM', () => {
+    test('should DELETE the user with the deleteSubscriptions flag', async () => {
+      mockArmResponse(204, '');
+
+      await deleteUserFromAPIM('user1', { deleteSubscriptions: true }, context);
+
+      const options = https.request.mock.calls[0][0];
+      expect(options.method).toBe('DELETE');
+      expect(options.path).toContain('/users/user1?deleteSubscriptions=true&api-version=');
+      expect(options.headers['If-Match']).toBe('*');
+    });
+  });
+
+  describe('listUserSubscriptions', () => {
+    test('should follow nextLink pages', async () => {
+      mockArmResponse(200, {
+        value: [{ name: 'sub-1' }],
+        nextLink: 'https://management.azure.com/next-page'
+      });
+      mockArmResponse(200, { value: [{ name: 'sub-2' }] });
+
+      const subscriptions = await listUserSubscriptions('user1', context);
+
+      expect(subscriptions.map(subscription => subscription.name)).toEqual(['sub-1', 'sub-2']);
+      expect(https.request.mock.calls[1][0].path).toBe('/next-page');
+    });
+  });
+
+  describe('group membership', () => {
+    test('should list the user groups across pages', async () => {
+      mockArmResponse(200, {
+        value: [{ name: 'developers' }],
+        nextLink: 'https://management.azure.com/next-page'
+      });
+      mockArmResponse(200, { value: [{ name: 'partners' }] });
+
+      const groups = await listUserGroups('user1', context);
+
+      expect(groups.map(group => group.name)).toEqual(['developers', 'partners']);
+      expect(https.request.mock.calls[0][0].path).toContain('/users/user1/groups?api-version=');
+    });
+
+    test('should PUT the user into the group', async () => {
+      const mockRequest = mockArmResponse(200, {});
+
+      await addUserToGroup('partners', 'user 1', context);
+
+      const options = https.request.mock.calls[0][0];
+      expect(options.method).toBe('PUT');
+      expect(options.path).toContain('/groups/partners/users/user%201?api-version=');
+      expect(mockRequest.write).not.toHaveBeenCalled();
+    });
+
+    test('should DELETE the user from the group', async () => {
+      mockArmResponse(204, '');
+
+      await removeUserFromGroup('partners', 'user1', context);
+
+      const options = https.request.mock.calls[0][0];
+      expect(options.method).toBe('DELETE');
+      expect(options.path).toContain('/groups/partners/users/user1?api-version=');
+    });
+  });
+
+  describe('deleteSubscription', () => {
+    test('should DELETE the subscription', async () => {
+      mockArmResponse(200, {});
+
+      await deleteSubscription('sub-1', context);
+
+      const options = https.request.mock.calls[0][0];
+      expect(options.method).toBe('DELETE');
+      expect(options.path).toContain('/subscriptions/sub-1?api-version=');
+    });
+  });
+
+  describe('getSubscription', () => {
+    test('should return the subscription contract', async () => {
+      mockArmResponse(200, { name: 'sub-1', properties: { state: 'active' } });
+
+      const subscription = await getSubscription('sub-1', context);
+
+      expect(subscription.properties.state).toBe('active');
+      expect(https.request.mock.calls[0][0].path).toContain('/subscriptions/sub-1?api-version=');
+    });
+
+    test('should return null when the subscription does not exist', async () => {
+      mockArmResponse(404, { error: { code: 'ResourceNotFound' } });
+
+      await expect(getSubscription('missing', context)).resolves.toBeNull();
+    });
+  });
+
+  describe('createOrUpdateSubscription', () => {
+    test('should PUT the subscription with product scope and owner', async () => {
+      const mockRequest = mockArmResponse(200, {});
+
+      await createOrUpdateSubscription(
+        'sub-1',
+        { productId: 'starter', userId: 'user1', displayName: 'My app', state: 'submitted' },
+        context
+      );
+
+      const servicePath =
+        '/subscriptions/test-subscription-id/resourceGroups/test-resource-group/providers/Microsoft.ApiManagement/service/test-apim-service';
+      expect(https.request.mock.calls[0][0].method).toBe('PUT');
+      expect(https.request.mock.calls[0][0].path).toContain('/subscriptions/sub-1?api-version=');
+      expect(JSON.parse(mockRequest.write.mock.calls[0][0])).toEqual({
+        properties: {
+          scope: `${servicePath}/products/starter`,
+          ownerId: `${servicePath}/users/user1`,
+          displayName: 'My app',
+          state: 'submitted'
+        }
+      });
+    });
+
+    test('should escape the product and user IDs in the resource IDs', async () => {
+      const mockRequest = mockArmResponse(200, {});
+
+      await createOrUpdateSubscription(
+        'sub-1',
+        { productId: 'starter/../../users/admin', userId: 'user1?x=1#', displayName: 'My app' },
+        context
+      );
+
+      const { scope, ownerId } = JSON.parse(mockRequest.write.mock.calls[0][0]).properties;
+      expect(scope).toMatch(/\/products\/starter%2F..%2F..%2Fusers%2Fadmin$/);
+      expect(ownerId).toMatch(/\/users\/user1%3Fx%3D1%23$/);
+    });
+  });
+
+  describe('updateSubscription', () => {
+    test('should PATCH the subscription state', async () => {
+      const mockRequest = mockArmResponse(200, {});
+
+      await updateSubscription('sub-1', { state: 'cancelled' }, context);
+
+      expect(https.request.mock.calls[0][0].method).toBe('PATCH');
+      expect(JSON.parse(mockRequest.write.mock.calls[0][0])).toEqual({
+        properties: { state: 'cancelled' }
+      });
+    });
+  });
+
+  describe('getSharedAccessToken', () => {
+    test('should return the SSO URL value', async () => {
+      mockArmResponse(200, { value: 'https://portal/signin-sso?token=abc' });
+
+      const ssoUrl = await getSharedAccessToken('user1', context);
+
+      expect(ssoUrl).toBe('https://portal/signin-sso?token=abc');
+      expect(https.request.mock.calls[0][0].path).toContain('/users/user1/generateSsoUrl');
+    });
+  });
+
+  describe('getDelegationValidationKey', () => {
+    beforeEach(() => {
+      clearValidationKeyCache();
+    });
+
+    test('should read the validation key from the delegation settings', async () => {
+      mockArmResponse(200, { validationKey: 'a2V5LTE=' });
+
+      await expect(getDelegationValidationKey(context)).resolves.toBe('a2V5LTE=');
+
+      const options = https.request.mock.calls[0][0];
+      expect(options.method).toBe('POST');
+      expect(options.path).toContain('/portalsettings/delegation/listSecrets?api-version=');
+      expect(options.headers.Authorization).toBe('Bearer test-apim-token');
+    });
+
+    test('should cache the key until the TTL expires', async () => {
+      process.env.APIM_VALIDATION_KEY_CACHE_SECONDS = '300';
+      mockArmResponse(200, { validationKey: 'a2V5LTE=' });
+      mockArmResponse(200, { validationKey: 'a2V5LTI=' });
+
+      await getDelegationValidationKey(context);
+      await expect(getDelegationValidationKey(context)).resolves.toBe('a2V5LTE=');
+      expect(https.request).toHaveBeenCalledTimes(1);
+
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 301000);
+      await expect(getDelegationValidationKey(context)).resolves.toBe('a2V5LTI=');
+      expect(https.request).toHaveBeenCalledTimes(2);
+    });
+
+    test('should limit forced refreshes to one per minute', async () => {
+      mockArmResponse(200, { validationKey: 'a2V5LTE=' });
+      mockArmResponse(200, { validationKey: 'a2V5LTI=' });
+
+      await getDelegationValidationKey(context);
+      await expect(getDelegationValidationKey(context, { forceRefresh: true })).resolves.toBe(
+        'a2V5LTE='
+      );
+      expect(https.request).toHaveBeenCalledTimes(1);
+
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 61000);
+      await expect(getDelegationValidationKey(context, { forceRefresh: true })).resolves.toBe(
+        'a2V5LTI='
+      );
+    });
+
+    test('should cache the key per APIM instance', async () => {
+      Object.assign(process.env, {
+        APIM_INSTANCES: 'dev,partner',
+        APIM_DEV_SERVICE_NAME: 'dev-apim',
+        APIM_PARTNER_SERVICE_NAME: 'partner-apim'
+      });
+      const partnerContext = createMockContext();
+      setApimInstance(context, 'dev');
+      setApimInstance(partnerContext, 'partner');
+      mockArmResponse(200, { validationKey: 'ZGV2' });
+      mockArmResponse(200, { validationKey: 'cGFydG5lcg==' });
+
+      await expect(getDelegationValidationKey(context)).resolves.toBe('ZGV2');
+      await expect(getDelegationValidationKey(partnerContext)).resolves.toBe('cGFydG5lcg==');
+      await expect(getDelegationValidationKey(context)).resolves.toBe('ZGV2');
+
+      expect(https.request).toHaveBeenCalledTimes(2);
+      expect(https.request.mock.calls[1][0].path).toContain('/service/partner-apim/');
+    });
+
+    test('should throw when the delegation settings have no key', async () => {
+      mockArmResponse(200, {});
+
+      await expect(getDelegationValidationKey(context)).rejects.toThrow(
+        'APIM delegation settings do not contain a validation key'
+      );
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const {
+  getApimInstanceIds,
+  setApimInstance,
+  getApimInstance,
+  getApimSetting
+} = require('../shared/apim-instances');
+
+describe('APIM Instances', () => {
+  const originalEnv = process.env;
+  let context;
+
+  beforeEach(() => {
+    context = createMockContext();
+    process.env = {
+      ...originalEnv,
+      APIM_INSTANCES: 'Dev, partner',
+      APIM_SUBSCRIPTION_ID: 'shared-subscription-id',
+      APIM_SERVICE_NAME: 'shared-apim',
+      APIM_PORTAL_URL: 'https://portal.example.com',
+      APIM_DEV_SERVICE_NAME: 'dev-apim',
+      APIM_PARTNER_SUBSCRIPTION_ID: 'partner-subscription-id'
+    };
+    delete process.env.APIM_DEFAULT_INSTANCE;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe('getApimInstanceIds', () => {
+    test('should read lowercased IDs from APIM_INSTANCES', () => {
+      expect(getApimInstanceIds()).toEqual(['dev', 'partner']);
+    });
+
+    test('should be empty for a single unnamed instance', () => {
+      delete process.env.APIM_INSTANCES;
+
+      expect(getApimInstanceIds()).toEqual([]);
+    });
+
+    test('should reject IDs that cannot be used in setting names', () => {
+      process.env.APIM_INSTANCES = 'dev,partner-portal';
+
+      expect(() => getApimInstanceIds()).toThrow('Invalid APIM instance ID: partner-portal');
+    });
+  });
+
+  describe('setApimInstance', () => {
+    test('should bind the instance to the invocation context', () => {
+      expect(setApimInstance(context, 'PARTNER')).toBe('partner');
+      expect(getApimInstance(context)).toBe('partner');
+      expect(getApimInstance(createMockContext())).toBe('dev');
+    });
+
+    test('should default to APIM_DEFAULT_INSTANCE', () => {
+      process.env.APIM_DEFAULT_INSTANCE = 'partner';
+
+      expect(setApimInstance(context)).toBe('partner');
+    });
+
+    test('should throw UNKNOWN_INSTANCE for an instance that is not configured', () => {
+      expect(() => setApimInstance(context, 'staging')).toThrow(
+        expect.objectContaining({ code: 'UNKNOWN_INSTANCE' })
+      );
+    });
+  });
+
+  describe('getApimSetting', () => {
+    test('should prefer the instance setting and fall back to the shared one', () => {
+      setApimInstance(context, 'partner');
+
+      expect(getApimSetting(context, 'SUBSCRIPTION_ID')).toBe('partner-subscription-id');
+      expect(getApimSetting(createMockContext(), 'SUBSCRIPTION_ID')).toBe('shared-subscription-id');
+    });
+
+    test('should never share the service name, portal URL or validation keys', () => {
+      setApimInstance(context, 'partner');
+
+      expect(getApimSetting(context, 'SERVICE_NAME')).toBeUndefined();
+      expect(getApimSetting(context, 'PORTAL_URL')).toBeUndefined();
+    });
+
+    test('should read the plain settings without named instances', () => {
+      delete process.env.APIM_INSTANCES;
+
+      expect(getApimSetting(context, 'SERVICE_NAME')).toBe('shared-apim');
+    });
+  });
+});
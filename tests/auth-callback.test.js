@@ -1,5 +1,7 @@
 // Mock the modules BEFORE imports
 jest.mock('../shared/oidc-helper');
+jest.mock('../shared/id-token-validator');
+jest.mock('../shared/state-store');
 jest.mock('https', () => ({
   request: jest.fn(),
   get: jest.fn(),
@@ -10,13 +12,36 @@ jest.mock('http', () => ({
   get: jest.fn()
 }));
 
+const { hashId } = require('../shared/logger');
 const authCallbackFunction = require('../auth-callback/index');
 const { getOidcConfiguration } = require('../shared/oidc-helper');
+const { validateIdToken } = require('../shared/id-token-validator');
+const { getStateStore } = require('../shared/state-store');
+const { encodeState } = require('../shared/state-helper');
+const { parseClaimMapping } = require('../shared/claim-mapper');
 const https = require('https');
 
+// Queue a JSON response (200 unless given) on https.request or https.get
+function mockJsonResponse(method, body, statusCode = 200) {
+  https[method].mockImplementationOnce((options, callback) => {
+    callback({
+      statusCode,
+      on: jest.fn((event, handler) => {
+        if (event === 'data') {
+          handler(JSON.stringify(body));
+        } else if (event === 'end') {
+          handler();
+        }
+      })
+    });
+    return { on: jest.fn(), write: jest.fn(), end: jest.fn() };
+  });
+}
+
 describe('Auth Callback Function', () => {
   let context;
   let req;
+  let stateStore;
   const originalEnv = process.env;
 
   beforeEach(() => {
@@ -34,6 +59,16 @@ describe('Auth Callback Function', () => {
 
     // Reset all mocks
     jest.clearAllMocks();
+
+    validateIdToken.mockResolvedValue({ sub: 'user123', email: 'user@example.com' });
+
+    stateStore = {
+      create: jest.fn().mockResolvedValue(true),
+      consume: jest.fn().mockResolvedValue({ operation: 'SignIn' }),
+      get: jest.fn().mockResolvedValue(null),
+      set: jest.fn().mockResolvedValue()
+    };
+    getStateStore.mockReturnValue(stateStore);
   });
 
   afterEach(() => {
@@ -43,7 +78,7 @@ describe('Auth Callback Function', () => {
   describe('Input Validation', () => {
     test('should return 400 when code is missing', async () => {
       req.query = {
-        state: Buffer.from(JSON.stringify({ timestamp: Date.now() })).toString('base64')
+        state: encodeState({ sid: 'test-sid', timestamp: Date.now() })
       };
 
       await authCallbackFunction(context, req);
@@ -75,37 +110,118 @@ describe('Auth Callback Function', () => {
       expect(context.res.body.error).toBe('Invalid state parameter');
     });
 
-    test('should return 400 when state is expired', async () => {
-      const expiredTimestamp = Date.now() - 11 * 60 * 1000; // 11 minutes ago
+    test('should return 400 when state was tampered with', async () => {
+      const parts = encodeState({
+        sid: 'test-sid',
+        timestamp: Date.now(),
+        returnUrl: '/test'
+      }).split('.');
+      parts[3] = Buffer.from('forged').toString('base64url');
+      req.query = {
+        code: 'test-code',
+        state: parts.join('.')
+      };
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(400);
+      expect(context.res.body.error).toBe(
+        'State parameter was tampered with or not issued by this service'
+      );
+      expect(getOidcConfiguration).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 for forged unencrypted state', async () => {
       req.query = {
         code: 'test-code',
         state: Buffer.from(
-          JSON.stringify({
-            timestamp: expiredTimestamp,
-            returnUrl: '/test',
-            salt: 'test-salt'
-          })
+          JSON.stringify({ timestamp: Date.now(), returnUrl: 'https://evil.example' })
         ).toString('base64')
       };
 
       await authCallbackFunction(context, req);
 
+      expect(context.res.status).toBe(400);
+      expect(context.res.body.error).toBe('Invalid state parameter');
+    });
+
+    test('should return 500 when state keys are not configured', async () => {
+      const state = encodeState({ sid: 'test-sid', timestamp: Date.now(), returnUrl: '/test' });
+      delete process.env.STATE_ENCRYPTION_KEYS;
+      req.query = { code: 'test-code', state };
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(500);
+      expect(context.res.body.error).toBe('Server configuration error');
+    });
+
+    test('should return 400 when state is expired', async () => {
+      const expiredTimestamp = Date.now() - 11 * 60 * 1000; // 11 minutes ago
+      req.query = {
+        code: 'test-code',
+        state: encodeState({
+          sid: 'test-sid',
+          timestamp: expiredTimestamp,
+          returnUrl: '/test',
+          salt: 'test-salt'
+        })
+      };
+
+      await authCallbackFunction(context, req);
+
       expect(context.res.status).toBe(400);
       expect(context.res.body.error).toBe('State parameter expired');
     });
   });
 
+  describe('One-time State', () => {
+    beforeEach(() => {
+      req.query = {
+        code: 'test-code',
+        state: encodeState({ sid: 'test-sid', timestamp: Date.now(), returnUrl: '/test' })
+      };
+    });
+
+    test('should consume the state record before exchanging the code', async () => {
+      getOidcConfiguration.mockRejectedValue(new Error('stop here'));
+
+      await authCallbackFunction(context, req);
+
+      expect(getStateStore).toHaveBeenCalledWith();
+      expect(stateStore.consume).toHaveBeenCalledWith('test-sid');
+    });
+
+    test('should reject a replayed state', async () => {
+      stateStore.consume.mockResolvedValue(null);
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(400);
+      expect(context.res.body.error).toBe('State parameter has already been used');
+      expect(getOidcConfiguration).not.toHaveBeenCalled();
+    });
+
+    test('should reject state without a server-side record id', async () => {
+      req.query.state = encodeState({ timestamp: Date.now(), returnUrl: '/test' });
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(400);
+      expect(stateStore.consume).not.toHaveBeenCalled();
+    });
+  });
+
   describe('OIDC Configuration Loading', () => {
     beforeEach(() => {
       req.query = {
         code: 'test-code',
-        state: Buffer.from(
-          JSON.stringify({
-            timestamp: Date.now(),
-            returnUrl: '/test',
-            salt: 'test-salt'
-          })
-        ).toString('base64')
+        state: encodeState({
+          sid: 'test-sid',
+          timestamp: Date.now(),
+          returnUrl: '/test',
+          salt: 'test-salt'
+        })
       };
     });
 
@@ -179,6 +295,12 @@ describe('Auth Callback Function', () => {
       // Mock APIM user creation - provide access token
       process.env.APIM_ACCESS_TOKEN = 'test-apim-token';
 
+      // Mock the lookup of the existing APIM user
+      mockJsonResponse('request', {
+        name: 'user_example_com',
+        properties: { email: 'user@example.com' }
+      });
+
       // Mock APIM user creation request
       https.request.mockImplementationOnce((options, callback) => {
         const apimResponse = {
@@ -218,10 +340,23 @@ describe('Auth Callback Function', () => {
 
       await authCallbackFunction(context, req);
 
-      expect(getOidcConfiguration).toHaveBeenCalledWith(context);
+      expect(getOidcConfiguration).toHaveBeenCalledWith(context, undefined);
       expect(context.res.status).toBe(302);
       expect(context.res.headers.Location).toContain('signin-sso');
     });
+
+    test('should load the provider named in the state', async () => {
+      req.query = {
+        code: 'test-code',
+        state: encodeState({ sid: 'test-sid', timestamp: Date.now(), provider: 'okta' })
+      };
+      getOidcConfiguration.mockRejectedValue(new Error('Unknown OIDC provider: okta'));
+
+      await authCallbackFunction(context, req);
+
+      expect(getOidcConfiguration).toHaveBeenCalledWith(context, 'okta');
+      expect(context.res.status).toBe(500);
+    });
   });
 
   describe('Token Exchange', () => {
@@ -230,13 +365,12 @@ describe('Auth Callback Function', () => {
     beforeEach(() => {
       req.query = {
         code: 'test-authorization-code',
-        state: Buffer.from(
-          JSON.stringify({
-            timestamp: Date.now(),
-            returnUrl: '/test',
-            salt: 'test-salt'
-          })
-        ).toString('base64')
+        state: encodeState({
+          sid: 'test-sid',
+          timestamp: Date.now(),
+          returnUrl: '/test',
+          salt: 'test-salt'
+        })
       };
 
       mockOidcConfig = {
@@ -281,22 +415,125 @@ describe('Auth Callback Function', () => {
 
       await authCallbackFunction(context, req);
 
+      // The token endpoint's error description stays out of the response
+      expect(context.res.status).toBe(500);
+      expect(context.res.body).toEqual({ error: 'Authentication failed' });
+    });
+
+    // Capture the token request body, failing the request so the flow stops there
+    function captureTokenRequest() {
+      const mockRequest = {
+        on: jest.fn((event, handler) => {
+          if (event === 'error') {
+            handler(new Error('stop after token request'));
+          }
+        }),
+        write: jest.fn(),
+        end: jest.fn()
+      };
+      https.request.mockImplementationOnce(() => mockRequest);
+      return mockRequest;
+    }
+
+    test('should send the PKCE code verifier from state', async () => {
+      const mockRequest = captureTokenRequest();
+      req.query.state = encodeState({
+        sid: 'test-sid',
+        timestamp: Date.now(),
+        returnUrl: '/test',
+        codeVerifier: 'test-verifier'
+      });
+
+      await authCallbackFunction(context, req);
+
+      const body = new URLSearchParams(mockRequest.write.mock.calls[0][0]);
+      expect(body.get('code_verifier')).toBe('test-verifier');
+      expect(body.get('client_secret')).toBe('test-client-secret');
+    });
+
+    test('should omit the client secret for public clients', async () => {
+      const mockRequest = captureTokenRequest();
+      mockOidcConfig.publicClient = true;
+      mockOidcConfig.pkceRequired = true;
+      req.query.state = encodeState({
+        sid: 'test-sid',
+        timestamp: Date.now(),
+        returnUrl: '/test',
+        codeVerifier: 'test-verifier'
+      });
+
+      await authCallbackFunction(context, req);
+
+      const body = new URLSearchParams(mockRequest.write.mock.calls[0][0]);
+      expect(body.get('code_verifier')).toBe('test-verifier');
+      expect(body.has('client_secret')).toBe(false);
+    });
+
+    test('should validate the ID token against the nonce from state', async () => {
+      req.query.state = encodeState({
+        sid: 'test-sid',
+        timestamp: Date.now(),
+        returnUrl: '/test',
+        nonce: 'n-1'
+      });
+      mockJsonResponse('request', { access_token: 'at', id_token: 'test-id-token' });
+      validateIdToken.mockRejectedValue(
+        Object.assign(new Error('ID token nonce does not match'), { code: 'ID_TOKEN_INVALID' })
+      );
+
+      await authCallbackFunction(context, req);
+
+      expect(validateIdToken).toHaveBeenCalledWith(
+        'test-id-token',
+        { oidcConfig: mockOidcConfig, nonce: 'n-1' },
+        context
+      );
+      expect(context.res.status).toBe(401);
+      expect(context.res.body.error).toBe('ID token validation failed');
+      expect(https.get).not.toHaveBeenCalled();
+    });
+
+    test('should reject userinfo for a different subject than the ID token', async () => {
+      mockJsonResponse('request', { access_token: 'at', id_token: 'test-id-token' });
+      mockJsonResponse('get', { sub: 'someone-else', email: 'other@example.com' });
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(401);
+      expect(context.res.body.error).toBe('ID token validation failed');
+    });
+
+    test('should return 500 when the JWKS cannot be fetched', async () => {
+      mockJsonResponse('request', { access_token: 'at', id_token: 'test-id-token' });
+      validateIdToken.mockRejectedValue(new Error('HTTP 503: unavailable'));
+
+      await authCallbackFunction(context, req);
+
       expect(context.res.status).toBe(500);
       expect(context.res.body.error).toBe('Authentication failed');
     });
+
+    test('should return 400 when PKCE is required but state has no verifier', async () => {
+      mockOidcConfig.pkceRequired = true;
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(400);
+      expect(context.res.body.error).toBe('Missing PKCE code verifier');
+      expect(https.request).not.toHaveBeenCalled();
+    });
   });
 
   describe('Fallback Handling', () => {
     beforeEach(() => {
       req.query = {
         code: 'test-code',
-        state: Buffer.from(
-          JSON.stringify({
-            timestamp: Date.now(),
-            returnUrl: '/test',
-            salt: 'test-salt'
-          })
-        ).toString('base64')
+        state: encodeState({
+          sid: 'test-sid',
+          timestamp: Date.now(),
+          returnUrl: '/test',
+          salt: 'test-salt'
+        })
       };
     });
 
@@ -381,19 +618,784 @@ describe('Auth Callback Function', () => {
       expect(context.res.status).toBe(302);
       expect(context.res.headers.Location).toContain('/test');
     });
+
+    test('should not fall back to a returnUrl on another origin', async () => {
+      req.query.state = encodeState({
+        sid: 'test-sid',
+        timestamp: Date.now(),
+        returnUrl: 'https://evil.example/collect',
+        salt: 'test-salt'
+      });
+      getOidcConfiguration.mockResolvedValue({
+        clientId: 'test-client-id',
+        clientSecret: 'test-client-secret',
+        endpoints: {
+          token_endpoint: 'https://test-domain.okta.com/oauth2/token',
+          userinfo_endpoint: 'https://test-domain.okta.com/oauth2/userinfo'
+        }
+      });
+      mockJsonResponse('request', { access_token: 'test-access-token' });
+      mockJsonResponse('get', { sub: 'user123', email: 'user@example.com' });
+      https.request.mockImplementationOnce(() => {
+        throw new Error('APIM unavailable');
+      });
+
+      await authCallbackFunction(context, req);
+
+      const location = new URL(context.res.headers.Location);
+      expect(location.origin).toBe('https://test-apim.developer.azure-api.net');
+      expect(location.pathname).toBe('/');
+      expect(location.searchParams.get('email')).toBe('user@example.com');
+    });
+  });
+
+  describe('Claim Mapping', () => {
+    beforeEach(() => {
+      https.request.mockReset();
+      https.get.mockReset();
+      process.env.APIM_ACCESS_TOKEN = 'test-apim-token';
+      req.query = {
+        code: 'test-code',
+        state: encodeState({
+          sid: 'test-sid',
+          timestamp: Date.now(),
+          operation: 'SignUp',
+          returnUrl: '/test'
+        })
+      };
+      getOidcConfiguration.mockResolvedValue({
+        provider: 'entra',
+        clientId: 'test-client-id',
+        clientSecret: 'test-client-secret',
+        claimMapping: parseClaimMapping(
+          '{"email": ["email", "preferred_username"], "note": "User ${action} via ${idp} (${oid})", "required": ["lastName"]}'
+        ),
+        endpoints: {
+          token_endpoint: 'https://login.example.com/token',
+          userinfo_endpoint: 'https://login.example.com/userinfo'
+        }
+      });
+      mockJsonResponse('request', { access_token: 'test-access-token', id_token: 'a.b.c' });
+    });
+
+    test("should create the APIM user from the provider's claim mapping", async () => {
+      validateIdToken.mockResolvedValue({
+        sub: 'user123',
+        oid: 'object-1',
+        preferred_username: 'jane@contoso.com',
+        name: 'Jane Doe'
+      });
+      mockJsonResponse('get', { sub: 'user123' });
+      mockJsonResponse('request', { name: 'jane_contoso_com', properties: {} });
+      mockJsonResponse('request', { name: 'jane_contoso_com' });
+      mockJsonResponse('request', { value: 'sas-token' });
+
+      await authCallbackFunction(context, req);
+
+      const apimUser = JSON.parse(https.request.mock.results[2].value.write.mock.calls[0][0]);
+      expect(apimUser.properties).toMatchObject({
+        firstName: 'Jane',
+        lastName: 'Doe',
+        email: 'jane@contoso.com',
+        note: 'User registered via entra (object-1)'
+      });
+      expect(https.request.mock.calls[2][0].path).toContain('/users/jane_contoso_com?');
+      expect(context.res.status).toBe(302);
+    });
+
+    test('should reject users without the required attributes', async () => {
+      validateIdToken.mockResolvedValue({ sub: 'user123', email: 'jane@contoso.com' });
+      mockJsonResponse('get', { sub: 'user123', given_name: 'Jane' });
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(400);
+      expect(context.res.body).toEqual({
+        error: 'Missing required user attributes',
+        attributes: ['lastName']
+      });
+      expect(https.request).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Returning Users', () => {
+    beforeEach(() => {
+      https.request.mockReset();
+      https.get.mockReset();
+      process.env.APIM_ACCESS_TOKEN = 'test-apim-token';
+      delete process.env.PROFILE_LOCKED_FIELDS;
+      req.query = {
+        code: 'test-code',
+        state: encodeState({ sid: 'test-sid', timestamp: Date.now(), returnUrl: '/test' })
+      };
+      getOidcConfiguration.mockResolvedValue({
+        issuer: 'https://login.example.com',
+        clientId: 'test-client-id',
+        clientSecret: 'test-client-secret',
+        endpoints: {
+          token_endpoint: 'https://login.example.com/token',
+          userinfo_endpoint: 'https://login.example.com/userinfo'
+        }
+      });
+      mockJsonResponse('request', { access_token: 'test-access-token', id_token: 'a.b.c' });
+      mockJsonResponse('get', {
+        sub: 'user123',
+        email: 'user@example.com',
+        given_name: 'Jane',
+        family_name: 'Smith'
+      });
+      mockJsonResponse('request', {
+        name: 'user_example_com',
+        properties: { firstName: 'Janet', lastName: '', email: 'user@example.com' }
+      });
+      mockJsonResponse('request', { name: 'user_example_com' });
+      mockJsonResponse('request', { value: 'sas-token' });
+    });
+
+    function savedProfile() {
+      return JSON.parse(https.request.mock.results[2].value.write.mock.calls[0][0]).properties;
+    }
+
+    test('should keep profile edits and only fill in empty fields', async () => {
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(302);
+      expect(savedProfile()).toMatchObject({ firstName: 'Janet', lastName: 'Smith' });
+    });
+
+    test('should copy the fields the identity provider owns', async () => {
+      process.env.PROFILE_LOCKED_FIELDS = 'firstName';
+
+      await authCallbackFunction(context, req);
+
+      expect(savedProfile()).toMatchObject({ firstName: 'Jane', lastName: 'Smith' });
+    });
+  });
+
+  describe('Closed Accounts', () => {
+    test('should not let a user blocked by CloseAccount sign in again', async () => {
+      https.request.mockReset();
+      https.get.mockReset();
+      process.env.APIM_ACCESS_TOKEN = 'test-apim-token';
+      req.headers.accept = 'text/html';
+      req.query = {
+        code: 'test-code',
+        state: encodeState({ sid: 'test-sid', timestamp: Date.now(), returnUrl: '/test' })
+      };
+      getOidcConfiguration.mockResolvedValue({
+        issuer: 'https://login.example.com',
+        clientId: 'test-client-id',
+        clientSecret: 'test-client-secret',
+        endpoints: {
+          token_endpoint: 'https://login.example.com/token',
+          userinfo_endpoint: 'https://login.example.com/userinfo'
+        }
+      });
+      mockJsonResponse('request', { access_token: 'test-access-token', id_token: 'a.b.c' });
+      mockJsonResponse('get', { sub: 'user123', email: 'user@example.com' });
+      mockJsonResponse('request', {
+        name: 'user_example_com',
+        properties: { email: 'user@example.com', state: 'blocked' }
+      });
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(403);
+      expect(context.res.body).toContain('<p class="error">User account is blocked</p>');
+      // Only the token exchange and the user lookup: no PUT reactivates the user
+      expect(https.request).toHaveBeenCalledTimes(2);
+      expect(stateStore.set).not.toHaveBeenCalled();
+      expect(getLogEntries(context, 'warn')).toContainEqual(
+        expect.objectContaining({
+          message: 'Sign-in refused for blocked APIM user:',
+          data: hashId('user_example_com')
+        })
+      );
+    });
+
+    test('should recognize an anonymized account as the same user', async () => {
+      https.request.mockReset();
+      https.get.mockReset();
+      process.env.APIM_ACCESS_TOKEN = 'test-apim-token';
+      req.query = {
+        code: 'test-code',
+        state: encodeState({ sid: 'test-sid', timestamp: Date.now(), returnUrl: '/test' })
+      };
+      getOidcConfiguration.mockResolvedValue({
+        issuer: 'https://login.example.com',
+        clientId: 'test-client-id',
+        clientSecret: 'test-client-secret',
+        endpoints: {
+          token_endpoint: 'https://login.example.com/token',
+          userinfo_endpoint: 'https://login.example.com/userinfo'
+        }
+      });
+      mockJsonResponse('request', { access_token: 'test-access-token', id_token: 'a.b.c' });
+      mockJsonResponse('get', { sub: 'user123', email: 'user@example.com' });
+      mockJsonResponse('request', {
+        name: 'user_example_com',
+        properties: {
+          email: 'closed-0123456789abcdef@anonymized.invalid',
+          state: 'blocked',
+          identities: [{ provider: 'https://login.example.com', id: 'user123' }]
+        }
+      });
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(403);
+      expect(context.res.body).toMatchObject({ code: 'USER_BLOCKED' });
+      expect(https.request).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('APIM User IDs', () => {
+    beforeEach(() => {
+      https.request.mockReset();
+      https.get.mockReset();
+      process.env.APIM_ACCESS_TOKEN = 'test-apim-token';
+      req.query = {
+        code: 'test-code',
+        state: encodeState({ sid: 'test-sid', timestamp: Date.now(), returnUrl: '/test' })
+      };
+      getOidcConfiguration.mockResolvedValue({
+        issuer: 'https://login.example.com',
+        clientId: 'test-client-id',
+        clientSecret: 'test-client-secret',
+        endpoints: {
+          token_endpoint: 'https://login.example.com/token',
+          userinfo_endpoint: 'https://login.example.com/userinfo'
+        }
+      });
+      validateIdToken.mockResolvedValue({ sub: 'user123', email: 'a_b@x.com' });
+      mockJsonResponse('request', { access_token: 'test-access-token', id_token: 'a.b.c' });
+      mockJsonResponse('get', { sub: 'user123' });
+    });
+
+    test('should refuse to sign in to an APIM user that belongs to another email', async () => {
+      mockJsonResponse('request', { name: 'a_b_x_com', properties: { email: 'a.b@x.com' } });
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(409);
+      expect(context.res.body).toEqual({
+        error: 'APIM user ID belongs to another user',
+        code: 'USER_ID_COLLISION'
+      });
+      expect(https.request).toHaveBeenCalledTimes(2);
+    });
+
+    test('should use the configured user ID strategy', async () => {
+      process.env.APIM_USER_ID_STRATEGY = 'claim';
+      process.env.APIM_USER_ID_CLAIM = 'oid';
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(400);
+      expect(context.res.body).toEqual({ error: 'Missing user identifier' });
+    });
+  });
+
+  describe('Identity Links', () => {
+    beforeEach(() => {
+      https.request.mockReset();
+      https.get.mockReset();
+      process.env.APIM_ACCESS_TOKEN = 'test-apim-token';
+      req.query = {
+        code: 'test-code',
+        state: encodeState({ sid: 'test-sid', timestamp: Date.now(), returnUrl: '/test' })
+      };
+      getOidcConfiguration.mockResolvedValue({
+        issuer: 'https://login.example.com',
+        clientId: 'test-client-id',
+        clientSecret: 'test-client-secret',
+        endpoints: {
+          token_endpoint: 'https://login.example.com/token',
+          userinfo_endpoint: 'https://login.example.com/userinfo'
+        }
+      });
+      validateIdToken.mockResolvedValue({ sub: 'user123', email: 'jane.new@contoso.com' });
+      mockJsonResponse('request', { access_token: 'test-access-token', id_token: 'a.b.c' });
+      mockJsonResponse('get', { sub: 'user123' });
+    });
+
+    test('should keep signing in to the linked user after an email change', async () => {
+      // The IdP owns the email, so its change is copied to the APIM user
+      process.env.PROFILE_LOCKED_FIELDS = 'email';
+      stateStore.get.mockResolvedValue({ userId: 'jane_old_contoso_com' });
+      mockJsonResponse('request', {
+        name: 'jane_old_contoso_com',
+        properties: { email: 'jane.old@contoso.com' }
+      });
+      mockJsonResponse('request', { name: 'jane_old_contoso_com' });
+      mockJsonResponse('request', { value: 'sas-token' });
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(302);
+      const put = https.request.mock.calls[2][0];
+      expect(put.method).toBe('PUT');
+      expect(put.path).toContain('/users/jane_old_contoso_com?');
+      const body = JSON.parse(https.request.mock.results[2].value.write.mock.calls[0][0]);
+      expect(body.properties.email).toBe('jane.new@contoso.com');
+      expect(body.properties.identities).toBeUndefined();
+      expect(stateStore.set).toHaveBeenCalledWith(
+        expect.any(String),
+        { userId: 'jane_old_contoso_com' },
+        expect.any(Number)
+      );
+    });
+
+    test('should record the identity on new users', async () => {
+      mockJsonResponse('request', { error: { code: 'ResourceNotFound' } }, 404);
+      mockJsonResponse('request', { name: 'jane_new_contoso_com' });
+      mockJsonResponse('request', { value: 'sas-token' });
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(302);
+      const body = JSON.parse(https.request.mock.results[2].value.write.mock.calls[0][0]);
+      expect(body.properties.identities).toEqual([
+        { provider: 'https://login.example.com', id: 'user123' }
+      ]);
+      expect(stateStore.set).toHaveBeenCalledWith(
+        expect.any(String),
+        { userId: 'jane_new_contoso_com' },
+        expect.any(Number)
+      );
+    });
+
+    test('should link an existing user by email when APIM_LINK_BY_EMAIL is true', async () => {
+      process.env.APIM_LINK_BY_EMAIL = 'true';
+      mockJsonResponse('request', {
+        value: [{ name: 'legacy-id', properties: { email: 'jane.new@contoso.com' } }]
+      });
+      mockJsonResponse('request', { name: 'legacy-id' });
+      mockJsonResponse('request', { value: 'sas-token' });
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(302);
+      expect(https.request.mock.calls[1][0].path).toContain('/users?$filter=');
+      expect(https.request.mock.calls[2][0].path).toContain('/users/legacy-id?');
+    });
+
+    test('should not sign in to a user recorded by another identity provider', async () => {
+      mockJsonResponse('request', {
+        name: 'jane_new_contoso_com',
+        properties: {
+          email: 'jane.new@contoso.com',
+          identities: [{ provider: 'https://login.microsoftonline.com/tenant/v2.0', id: 'oid-1' }]
+        }
+      });
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(409);
+      expect(context.res.body).toMatchObject({ code: 'USER_ID_COLLISION' });
+      expect(https.request).toHaveBeenCalledTimes(2);
+      expect(stateStore.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Group Sync', () => {
+    test('should sync APIM groups from the IdP groups before signing in', async () => {
+      https.request.mockReset();
+      https.get.mockReset();
+      Object.assign(process.env, {
+        APIM_ACCESS_TOKEN: 'test-apim-token',
+        APIM_GROUP_MAPPING: '{"api-partners": "partners", "api-legacy": "legacy"}'
+      });
+      req.query = {
+        code: 'test-code',
+        state: encodeState({ sid: 'test-sid', timestamp: Date.now(), returnUrl: '/test' })
+      };
+      getOidcConfiguration.mockResolvedValue({
+        issuer: 'https://login.example.com',
+        clientId: 'test-client-id',
+        clientSecret: 'test-client-secret',
+        endpoints: {
+          token_endpoint: 'https://login.example.com/token',
+          userinfo_endpoint: 'https://login.example.com/userinfo'
+        }
+      });
+      mockJsonResponse('request', { access_token: 'test-access-token', id_token: 'a.b.c' });
+      mockJsonResponse('get', { sub: 'user123', groups: ['api-partners'] });
+      mockJsonResponse('request', { name: 'user_example_com', properties: {} });
+      mockJsonResponse('request', { name: 'user_example_com' });
+      mockJsonResponse('request', { value: [{ name: 'developers' }, { name: 'legacy' }] });
+      mockJsonResponse('request', {});
+      mockJsonResponse('request', {});
+      mockJsonResponse('request', { value: 'sas-token' });
+
+      await authCallbackFunction(context, req);
+
+      const calls = https.request.mock.calls.map(([options]) => [
+        options.method,
+        options.path.split('?')[0].split('/test-apim-service/')[1]
+      ]);
+      expect(calls.slice(3, 7)).toEqual([
+        ['GET', 'users/user_example_com/groups'],
+        ['PUT', 'groups/partners/users/user_example_com'],
+        ['DELETE', 'groups/legacy/users/user_example_com'],
+        ['POST', 'users/user_example_com/generateSsoUrl']
+      ]);
+      expect(context.res.status).toBe(302);
+    });
+
+    test('should still sign in and subscribe a new user when the sync fails', async () => {
+      https.request.mockReset();
+      https.get.mockReset();
+      Object.assign(process.env, {
+        APIM_ACCESS_TOKEN: 'test-apim-token',
+        APIM_GROUP_MAPPING: '{"api-partners": "no such group"}',
+        APIM_AUTO_SUBSCRIPTIONS: '[{"product": "starter"}]'
+      });
+      req.query = {
+        code: 'test-code',
+        state: encodeState({ sid: 'test-sid', timestamp: Date.now(), returnUrl: '/test' })
+      };
+      getOidcConfiguration.mockResolvedValue({
+        issuer: 'https://login.example.com',
+        clientId: 'test-client-id',
+        clientSecret: 'test-client-secret',
+        endpoints: {
+          token_endpoint: 'https://login.example.com/token',
+          userinfo_endpoint: 'https://login.example.com/userinfo'
+        }
+      });
+      mockJsonResponse('request', { access_token: 'test-access-token', id_token: 'a.b.c' });
+      mockJsonResponse('get', { sub: 'user123', groups: ['api-partners'] });
+      mockJsonResponse('request', { error: { code: 'ResourceNotFound' } }, 404);
+      mockJsonResponse('request', { name: 'user_example_com' });
+      mockJsonResponse('request', { value: [] });
+      mockJsonResponse('request', { error: { code: 'ValidationError' } }, 400);
+      mockJsonResponse('request', { error: { code: 'ResourceNotFound' } }, 404);
+      mockJsonResponse('request', { name: 'auto-subscription' });
+      mockJsonResponse('request', { value: 'sas-token' });
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(302);
+      expect(context.res.headers.Location).toContain('/signin-sso?token=sas-token');
+      expect(https.request.mock.calls[6][0].path).toMatch(/\/subscriptions\/auto-[0-9a-f]{32}\?/);
+      expect(getLogEntries(context, 'error')).toContainEqual(
+        expect.objectContaining({ message: 'Group sync failed:' })
+      );
+    });
+  });
+
+  describe('Automatic Subscriptions', () => {
+    beforeEach(() => {
+      https.request.mockReset();
+      https.get.mockReset();
+      Object.assign(process.env, {
+        APIM_ACCESS_TOKEN: 'test-apim-token',
+        APIM_AUTO_SUBSCRIPTIONS: '[{"product": "starter"}]'
+      });
+      req.query = {
+        code: 'test-code',
+        state: encodeState({ sid: 'test-sid', timestamp: Date.now(), returnUrl: '/test' })
+      };
+      getOidcConfiguration.mockResolvedValue({
+        issuer: 'https://login.example.com',
+        clientId: 'test-client-id',
+        clientSecret: 'test-client-secret',
+        endpoints: {
+          token_endpoint: 'https://login.example.com/token',
+          userinfo_endpoint: 'https://login.example.com/userinfo'
+        }
+      });
+      mockJsonResponse('request', { access_token: 'test-access-token', id_token: 'a.b.c' });
+      mockJsonResponse('get', { sub: 'user123' });
+    });
+
+    test('should subscribe new users to the configured products', async () => {
+      mockJsonResponse('request', { error: { code: 'ResourceNotFound' } }, 404);
+      mockJsonResponse('request', { name: 'user_example_com' });
+      mockJsonResponse('request', { error: { code: 'ResourceNotFound' } }, 404);
+      mockJsonResponse('request', { name: 'auto-subscription' });
+      mockJsonResponse('request', { value: 'sas-token' });
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(302);
+      const put = https.request.mock.calls[4][0];
+      expect(put.method).toBe('PUT');
+      expect(put.path).toMatch(/\/subscriptions\/auto-[0-9a-f]{32}\?/);
+      const body = JSON.parse(https.request.mock.results[4].value.write.mock.calls[0][0]);
+      expect(body.properties.scope).toMatch(/\/products\/starter$/);
+      expect(body.properties.ownerId).toMatch(/\/users\/user_example_com$/);
+    });
+
+    test('should not subscribe users that already exist', async () => {
+      mockJsonResponse('request', { name: 'user_example_com', properties: {} });
+      mockJsonResponse('request', { name: 'user_example_com' });
+      mockJsonResponse('request', { value: 'sas-token' });
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(302);
+      expect(https.request).toHaveBeenCalledTimes(4);
+      expect(https.request.mock.calls[3][0].path).toContain('/generateSsoUrl');
+    });
+  });
+
+  describe('Access Policy', () => {
+    beforeEach(() => {
+      https.request.mockReset();
+      https.get.mockReset();
+      process.env.APIM_ACCESS_TOKEN = 'test-apim-token';
+      req.query = {
+        code: 'test-code',
+        state: encodeState({ sid: 'test-sid', timestamp: Date.now(), returnUrl: '/test' })
+      };
+      getOidcConfiguration.mockResolvedValue({
+        issuer: 'https://login.example.com',
+        clientId: 'test-client-id',
+        clientSecret: 'test-client-secret',
+        endpoints: {
+          token_endpoint: 'https://login.example.com/token',
+          userinfo_endpoint: 'https://login.example.com/userinfo'
+        }
+      });
+      mockJsonResponse('request', { access_token: 'test-access-token', id_token: 'a.b.c' });
+      mockJsonResponse('get', { sub: 'user123' });
+    });
+
+    test('should show a denial page without provisioning the user', async () => {
+      Object.assign(process.env, {
+        ACCESS_ALLOWED_EMAIL_DOMAINS: 'contoso.com',
+        ACCESS_SUPPORT_CONTACT: 'api-support@contoso.com'
+      });
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(403);
+      expect(context.res.headers['Content-Type']).toBe('text/html; charset=utf-8');
+      expect(context.res.body).toContain('Accounts with your email domain cannot use');
+      expect(context.res.body).toContain(
+        '<a href="mailto:api-support@contoso.com">api-support@contoso.com</a>'
+      );
+      expect(context.res.body).toContain('href="https://test-apim.developer.azure-api.net"');
+      expect(https.request).toHaveBeenCalledTimes(1);
+      expect(getLogEntries(context, 'warn')).toContainEqual(
+        expect.objectContaining({
+          message: 'Sign-in denied by the access policy:',
+          data: 'EMAIL_DOMAIN_NOT_ALLOWED'
+        })
+      );
+    });
+
+    test('should link a support page and escape the contact', async () => {
+      Object.assign(process.env, {
+        ACCESS_REQUIRED_AMR: 'mfa',
+        ACCESS_SUPPORT_CONTACT: 'https://help.contoso.com/?a=1&b="2"'
+      });
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(403);
+      expect(context.res.body).toContain('requires multi-factor authentication');
+      expect(context.res.body).toContain(
+        'href="https://help.contoso.com/?a=1&amp;b=&quot;2&quot;"'
+      );
+    });
+
+    test('should provision users the policy allows', async () => {
+      process.env.ACCESS_ALLOWED_EMAIL_DOMAINS = 'example.com';
+      mockJsonResponse('request', { name: 'user_example_com', properties: {} });
+      mockJsonResponse('request', { name: 'user_example_com' });
+      mockJsonResponse('request', { value: 'sas-token' });
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(302);
+    });
+
+    test('should show the denial page in the language the sign-in started in', async () => {
+      process.env.ACCESS_ALLOWED_EMAIL_DOMAINS = 'contoso.com';
+      delete process.env.ACCESS_SUPPORT_CONTACT;
+      delete process.env.BRAND_SUPPORT_CONTACT;
+      req.headers['accept-language'] = 'fr';
+      req.query.state = encodeState({
+        sid: 'test-sid',
+        timestamp: Date.now(),
+        returnUrl: '/test',
+        locale: 'de'
+      });
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(403);
+      expect(context.res.body).toContain('<html lang="de">');
+      expect(context.res.body).toContain('<h1>Zugriff verweigert</h1>');
+      expect(context.res.body).toContain('wenden Sie sich an Ihren Administrator.');
+    });
+  });
+
+  describe('Localization', () => {
+    test('should translate error pages from the Accept-Language header without a state', async () => {
+      req.headers = { accept: 'text/html', 'accept-language': 'es-ES,es;q=0.9' };
+      req.query = { code: 'test-code' };
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(400);
+      expect(context.res.body).toContain('<html lang="es">');
+      expect(context.res.body).toContain('Falta el parámetro code o state.');
+    });
+  });
+
+  describe('APIM Instances', () => {
+    test('should sign the user in to the instance named in the state', async () => {
+      https.request.mockReset();
+      https.get.mockReset();
+      Object.assign(process.env, {
+        APIM_ACCESS_TOKEN: 'test-apim-token',
+        APIM_INSTANCES: 'dev,partner',
+        APIM_PARTNER_SERVICE_NAME: 'partner-apim',
+        APIM_PARTNER_PORTAL_URL: 'https://partners.example.com'
+      });
+      req.query = {
+        code: 'test-code',
+        state: encodeState({
+          sid: 'test-sid',
+          timestamp: Date.now(),
+          instance: 'partner',
+          returnUrl: '/test'
+        })
+      };
+      getOidcConfiguration.mockResolvedValue({
+        clientId: 'test-client-id',
+        clientSecret: 'test-client-secret',
+        endpoints: {
+          token_endpoint: 'https://test-domain.okta.com/oauth2/token',
+          userinfo_endpoint: 'https://test-domain.okta.com/oauth2/userinfo'
+        }
+      });
+      mockJsonResponse('request', { access_token: 'test-access-token', id_token: 'a.b.c' });
+      mockJsonResponse('get', { sub: 'user123', email: 'user@example.com' });
+      mockJsonResponse('request', { name: 'user_example_com', properties: {} });
+      mockJsonResponse('request', { name: 'user123' });
+      mockJsonResponse('request', { value: 'sas-token' });
+
+      await authCallbackFunction(context, req);
+
+      // Shared settings such as the subscription ID still apply to the instance
+      expect(https.request.mock.calls[1][0].path).toContain(
+        '/subscriptions/test-subscription-id/resourceGroups/test-resource-group/providers/Microsoft.ApiManagement/service/partner-apim/users/'
+      );
+      expect(context.res.headers.Location).toBe(
+        'https://partners.example.com/signin-sso?token=sas-token&returnUrl=%2Ftest'
+      );
+    });
+  });
+
+  describe('Logging', () => {
+    test('should not log tokens, emails or the SSO URL', async () => {
+      // Drop responses queued but not consumed by earlier tests
+      https.request.mockReset();
+      https.get.mockReset();
+      process.env.APIM_ACCESS_TOKEN = 'test-apim-token';
+      req.query = {
+        code: 'test-code',
+        state: encodeState({
+          sid: 'test-sid',
+          timestamp: Date.now(),
+          returnUrl: '/test',
+          salt: 'test-salt'
+        })
+      };
+      getOidcConfiguration.mockResolvedValue({
+        clientId: 'test-client-id',
+        clientSecret: 'test-client-secret',
+        endpoints: {
+          token_endpoint: 'https://test-domain.okta.com/oauth2/token',
+          userinfo_endpoint: 'https://test-domain.okta.com/oauth2/userinfo'
+        }
+      });
+      mockJsonResponse('request', { access_token: 'test-access-token', id_token: 'a.b.c' });
+      mockJsonResponse('get', { sub: 'user123', email: 'user@example.com' });
+      mockJsonResponse('request', { name: 'user_example_com', properties: {} });
+      mockJsonResponse('request', { name: 'user123' });
+      mockJsonResponse('request', {
+        value: 'https://test-apim.developer.azure-api.net/signin-sso?token=sas-secret'
+      });
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.headers.Location).toContain('token=sas-secret');
+      const output = JSON.stringify([context.log.info.mock.calls, context.log.error.mock.calls]);
+      expect(output).not.toContain('sas-secret');
+      expect(output).not.toContain('user@example.com');
+      expect(output).not.toContain('test-access-token');
+      expect(getLogEntries(context)).toContainEqual(
+        expect.objectContaining({
+          message: 'Final SSO URL:',
+          data: 'https://test-apim.developer.azure-api.net/signin-sso?[REDACTED]'
+        })
+      );
+    });
+    test('should not log the profile carried by the fallback redirect', async () => {
+      https.request.mockReset();
+      https.get.mockReset();
+      req.query = {
+        code: 'test-code',
+        state: encodeState({
+          sid: 'test-sid',
+          timestamp: Date.now(),
+          returnUrl: '/test',
+          salt: 'test-salt'
+        })
+      };
+      getOidcConfiguration.mockResolvedValue({
+        clientId: 'test-client-id',
+        clientSecret: 'test-client-secret',
+        endpoints: {
+          token_endpoint: 'https://test-domain.okta.com/oauth2/token',
+          userinfo_endpoint: 'https://test-domain.okta.com/oauth2/userinfo'
+        }
+      });
+      mockJsonResponse('request', { access_token: 'test-access-token' });
+      mockJsonResponse('get', {
+        sub: 'user123',
+        email: 'alice@example.com',
+        name: 'Alice Liddell',
+        given_name: 'Alice',
+        family_name: 'Liddell'
+      });
+      https.request.mockImplementationOnce(() => {
+        throw new Error('APIM unavailable');
+      });
+
+      await authCallbackFunction(context, req);
+
+      expect(new URL(context.res.headers.Location).searchParams.get('firstName')).toBe('Alice');
+      const output = JSON.stringify(context.log.info.mock.calls);
+      expect(output).not.toContain('alice');
+      expect(output).not.toContain('Alice');
+      expect(output).not.toContain('Liddell');
+      const fallbackLog = getLogEntries(context).find(
+        entry => entry.message === 'Fallback: Redirecting with parameters:'
+      );
+      const loggedUrl = new URL(fallbackLog.data);
+      ['email', 'firstName', 'lastName'].forEach(name =>
+        expect(loggedUrl.searchParams.get(name)).toBe('[REDACTED]')
+      );
+    });
   });
 
   describe('Error Handling', () => {
     test('should handle general errors', async () => {
       req.query = {
         code: 'test-code',
-        state: Buffer.from(
-          JSON.stringify({
-            timestamp: Date.now(),
-            returnUrl: '/test',
-            salt: 'test-salt'
-          })
-        ).toString('base64')
+        state: encodeState({
+          sid: 'test-sid',
+          timestamp: Date.now(),
+          returnUrl: '/test',
+          salt: 'test-salt'
+        })
       };
 
       getOidcConfiguration.mockRejectedValue(new Error('Unexpected error'));
@@ -403,5 +1405,22 @@ describe('Auth Callback Function', () => {
       expect(context.res.status).toBe(500);
       expect(context.res.body.error).toBe('Server configuration error');
     });
+
+    test('should show browsers an error page that restarts the operation', async () => {
+      req.headers.accept = 'text/html,application/xhtml+xml,*/*;q=0.8';
+      req.query = {
+        code: 'test-code',
+        state: encodeState({ sid: 'test-sid', timestamp: Date.now() - 11 * 60 * 1000 })
+      };
+
+      await authCallbackFunction(context, req);
+
+      expect(context.res.status).toBe(400);
+      expect(context.res.headers['Content-Type']).toBe('text/html; charset=utf-8');
+      expect(context.res.body).toContain('<p class="error">State parameter expired</p>');
+      expect(context.res.body).toContain(
+        'href="https://test-apim.developer.azure-api.net/signin">Try again</a>'
+      );
+    });
   });
 });
@@ -0,0 +1,175 @@
+jest.mock('../shared/apim-helper');
+
+const { getSubscription, createOrUpdateSubscription } = require('../shared/apim-helper');
+const { setApimInstance } = require('../shared/apim-instances');
+const { parseSubscriptionRules, provisionSubscriptions } = require('../shared/auto-subscriptions');
+
+describe('Automatic Subscriptions', () => {
+  const originalEnv = process.env;
+  const user = { email: 'jane@contoso.com', claims: { sub: 'sub-1' } };
+  let context;
+
+  function setRules(rules) {
+    process.env.APIM_AUTO_SUBSCRIPTIONS = JSON.stringify(rules);
+  }
+
+  function createdProducts() {
+    return createOrUpdateSubscription.mock.calls.map(([, subscription]) => subscription.productId);
+  }
+
+  beforeEach(() => {
+    context = createMockContext();
+    process.env = { ...originalEnv };
+    delete process.env.APIM_INSTANCES;
+    delete process.env.APIM_AUTO_SUBSCRIPTIONS;
+    delete process.env.APIM_GROUP_CLAIMS;
+    jest.clearAllMocks();
+    getSubscription.mockResolvedValue(null);
+    createOrUpdateSubscription.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe('parseSubscriptionRules', () => {
+    test.each([
+      ['not json', 'not valid JSON'],
+      ['{}', 'expected a JSON list of rules'],
+      ['["starter"]', 'rule 0 must be an object'],
+      ['[{}]', 'rule 0 needs a product'],
+      ['[{"product": "a", "domains": []}]', 'unknown key domains in rule 0'],
+      ['[{"product": "a", "state": "suspended"}]', 'state of rule 0 must be active or submitted'],
+      ['[{"product": "a", "emailDomains": "x.com"}]', 'emailDomains of rule 0 must be a list'],
+      ['[{"product": "a", "claims": {"dept": 1}}]', 'claims of rule 0 must map claim names']
+    ])('should reject %s', (json, message) => {
+      expect(() => parseSubscriptionRules(json)).toThrow(
+        `Invalid APIM_AUTO_SUBSCRIPTIONS: ${message}`
+      );
+    });
+  });
+
+  describe('provisionSubscriptions', () => {
+    test('should do nothing without APIM_AUTO_SUBSCRIPTIONS', async () => {
+      await expect(provisionSubscriptions('jane', user, context)).resolves.toEqual([]);
+      expect(createOrUpdateSubscription).not.toHaveBeenCalled();
+    });
+
+    test('should subscribe every new user to a rule without conditions', async () => {
+      setRules([{ product: 'starter', displayName: 'Starter' }]);
+
+      const created = await provisionSubscriptions('jane', user, context);
+
+      expect(created).toEqual([expect.stringMatching(/^auto-[0-9a-f]{32}$/)]);
+      expect(createOrUpdateSubscription).toHaveBeenCalledWith(
+        created[0],
+        { productId: 'starter', userId: 'jane', displayName: 'Starter', state: 'active' },
+        context
+      );
+    });
+
+    test('should derive the same subscription ID for the same user and product', async () => {
+      setRules([{ product: 'starter' }]);
+
+      const [first] = await provisionSubscriptions('jane', user, context);
+      const [second] = await provisionSubscriptions('jane', user, context);
+      const [other] = await provisionSubscriptions('john', user, context);
+
+      expect(second).toBe(first);
+      expect(other).not.toBe(first);
+    });
+
+    test('should leave existing subscriptions alone', async () => {
+      setRules([{ product: 'starter' }]);
+      getSubscription.mockResolvedValue({ properties: { state: 'cancelled' } });
+
+      await expect(provisionSubscriptions('jane', user, context)).resolves.toEqual([]);
+      expect(createOrUpdateSubscription).not.toHaveBeenCalled();
+    });
+
+    test('should match rules by email domain', async () => {
+      setRules([
+        { product: 'contoso', emailDomains: ['Contoso.com'] },
+        { product: 'fabrikam', emailDomains: ['fabrikam.com'] }
+      ]);
+
+      await provisionSubscriptions('jane', user, context);
+
+      expect(createdProducts()).toEqual(['contoso']);
+    });
+
+    test('should match rules by group and role claims', async () => {
+      setRules([
+        { product: 'partner', groups: ['api-partners'] },
+        { product: 'admin', groups: ['Admin'] }
+      ]);
+
+      await provisionSubscriptions(
+        'jane',
+        { ...user, claims: { groups: ['api-partners'], roles: 'Reader' } },
+        context
+      );
+
+      expect(createdProducts()).toEqual(['partner']);
+    });
+
+    test('should require every condition of a rule to match', async () => {
+      setRules([
+        {
+          product: 'sales',
+          emailDomains: ['contoso.com'],
+          claims: { department: ['Sales', 'Support'], country: 'NL' }
+        }
+      ]);
+
+      await provisionSubscriptions(
+        'jane',
+        { ...user, claims: { department: 'Sales', country: 'NL' } },
+        context
+      );
+      await provisionSubscriptions(
+        'john',
+        { ...user, claims: { department: 'Sales', country: 'BE' } },
+        context
+      );
+
+      expect(createOrUpdateSubscription).toHaveBeenCalledTimes(1);
+      expect(createOrUpdateSubscription.mock.calls[0][1].userId).toBe('jane');
+    });
+
+    test('should create subscriptions awaiting approval', async () => {
+      setRules([{ product: 'premium', state: 'submitted' }]);
+
+      await provisionSubscriptions('jane', user, context);
+
+      expect(createOrUpdateSubscription.mock.calls[0][1].state).toBe('submitted');
+    });
+
+    test('should log a failed subscription and carry on with the others', async () => {
+      setRules([{ product: 'broken' }, { product: 'starter' }]);
+      createOrUpdateSubscription.mockRejectedValueOnce(new Error('HTTP 404'));
+
+      const created = await provisionSubscriptions('jane', user, context);
+
+      expect(created).toHaveLength(1);
+      expect(createdProducts()).toEqual(['broken', 'starter']);
+      expect(getLogEntries(context, 'error')).toContainEqual(
+        expect.objectContaining({
+          message: 'Automatic subscription failed:',
+          data: ['broken', 'HTTP 404']
+        })
+      );
+    });
+
+    test('should use the rules of the APIM instance', async () => {
+      process.env.APIM_INSTANCES = 'dev,prod';
+      setRules([{ product: 'starter' }]);
+      process.env.APIM_PROD_AUTO_SUBSCRIPTIONS = '[{"product": "prod-starter"}]';
+      setApimInstance(context, 'prod');
+
+      await provisionSubscriptions('jane', user, context);
+
+      expect(createdProducts()).toEqual(['prod-starter']);
+    });
+  });
+});
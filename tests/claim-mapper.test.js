@@ -0,0 +1,113 @@
+const { parseClaimMapping, mapUserAttributes } = require('../shared/claim-mapper');
+
+describe('Claim Mapper', () => {
+  const variables = { idp: 'okta', action: 'authenticated' };
+
+  describe('parseClaimMapping', () => {
+    test('should use the defaults without a mapping', () => {
+      expect(parseClaimMapping(undefined)).toEqual({
+        attributes: {
+          firstName: ['given_name', '${name|first}'],
+          lastName: ['family_name', '${name|rest}'],
+          email: ['email'],
+          note: ['User ${action} via ${idp}']
+        },
+        required: ['email']
+      });
+    });
+
+    test('should override listed attributes and always require the email', () => {
+      const mapping = parseClaimMapping(
+        '{"email": ["email", "upn"], "note": "${idp}:${sub}", "required": ["lastName"]}'
+      );
+
+      expect(mapping.attributes.email).toEqual(['email', 'upn']);
+      expect(mapping.attributes.note).toEqual(['${idp}:${sub}']);
+      expect(mapping.attributes.firstName).toEqual(['given_name', '${name|first}']);
+      expect(mapping.required).toEqual(['email', 'lastName']);
+    });
+
+    test.each([
+      ['not json', 'Invalid OIDC_CLAIM_MAPPING: not valid JSON'],
+      ['["email"]', 'Invalid OIDC_CLAIM_MAPPING: expected a JSON object'],
+      ['{"phone": "phone_number"}', 'Invalid OIDC_CLAIM_MAPPING: unknown attribute phone'],
+      ['{"email": []}', 'email must be a claim path, template or a list of them'],
+      ['{"note": "${sub|upper}"}', 'unknown filter upper in ${sub|upper}'],
+      ['{"required": ["phone"]}', 'required must list attributes from']
+    ])('should reject %s', (json, message) => {
+      expect(() => parseClaimMapping(json)).toThrow(message);
+    });
+  });
+
+  describe('mapUserAttributes', () => {
+    test('should keep the default mapping for OIDC standard claims', () => {
+      expect(
+        mapUserAttributes(
+          { sub: 'user1', email: 'jane@example.com', name: 'Jane van Dijk' },
+          undefined,
+          variables
+        )
+      ).toEqual({
+        firstName: 'Jane',
+        lastName: 'van Dijk',
+        email: 'jane@example.com',
+        note: 'User authenticated via okta'
+      });
+    });
+
+    test('should fall back through claim paths, skipping values that are not emails', () => {
+      const mapping = parseClaimMapping(
+        '{"email": ["email", "preferred_username", "${upn|lower}"], "firstName": "profile.first"}'
+      );
+
+      expect(
+        mapUserAttributes(
+          {
+            preferred_username: 'JDOE',
+            upn: 'Jane.Doe@Contoso.com',
+            profile: { first: 'Jane' }
+          },
+          mapping,
+          variables
+        )
+      ).toMatchObject({ email: 'jane.doe@contoso.com', firstName: 'Jane' });
+    });
+
+    test('should read the first element of array claims', () => {
+      const mapping = parseClaimMapping('{"email": "emails"}');
+
+      expect(mapUserAttributes({ emails: ['a@example.com', 'b@example.com'] }, mapping).email).toBe(
+        'a@example.com'
+      );
+    });
+
+    test('should fill templates and skip them when a value is missing', () => {
+      const mapping = parseClaimMapping(
+        '{"email": "${email|lower}", "note": ["${idp}:${oid}", "${idp}:${sub}"]}'
+      );
+
+      expect(
+        mapUserAttributes({ sub: 'abc', email: 'Jane@Example.com' }, mapping, variables)
+      ).toMatchObject({ email: 'jane@example.com', note: 'okta:abc' });
+    });
+
+    test('should let variables take precedence over claims', () => {
+      const mapping = parseClaimMapping('{"note": "${idp}"}');
+
+      expect(
+        mapUserAttributes({ email: 'a@example.com', idp: 'live.com' }, mapping, variables).note
+      ).toBe('okta');
+    });
+
+    test('should throw MISSING_USER_ATTRIBUTES listing every missing attribute', () => {
+      const mapping = parseClaimMapping('{"required": ["firstName"]}');
+
+      expect(() => mapUserAttributes({ email: 'not-an-email' }, mapping)).toThrow(
+        expect.objectContaining({
+          code: 'MISSING_USER_ATTRIBUTES',
+          attributes: ['email', 'firstName']
+        })
+      );
+    });
+  });
+});
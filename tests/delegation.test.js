@@ -1,8 +1,42 @@
-// Mock the OIDC helper BEFORE any other imports
+// Mock the OIDC and APIM helpers BEFORE any other imports
 jest.mock('../shared/oidc-helper');
+jest.mock('../shared/apim-helper');
+jest.mock('../shared/subscription-approval');
 
+const crypto = require('crypto');
 const delegationFunction = require('../delegation/index');
-const { getOidcConfiguration, buildAuthorizationUrl } = require('../shared/oidc-helper');
+const {
+  getOidcProviders,
+  findProviderForEmail,
+  getOidcConfiguration,
+  buildAuthorizationUrl,
+  buildSignUpUrl,
+  buildChangePasswordUrl,
+  changePasswordReturnsToPortal,
+  generatePkce
+} = require('../shared/oidc-helper');
+const {
+  getUserFromAPIM,
+  createOrUpdateUserInAPIM,
+  updateUserInAPIM,
+  deleteUserFromAPIM,
+  listUserSubscriptions,
+  deleteSubscription,
+  createOrUpdateSubscription,
+  updateSubscription,
+  getDelegationValidationKey,
+  httpRequestJson
+} = require('../shared/apim-helper');
+const { evaluateSubscriptionRequest } = require('../shared/subscription-approval');
+const { decodeState } = require('../shared/state-helper');
+const { hashId } = require('../shared/logger');
+const { getStateStore, clearStateStores } = require('../shared/state-store');
+
+// Sign the newline-joined parts with the test validation key, as APIM does
+function signParts(...parts) {
+  const keyBytes = Buffer.from(process.env.APIM_VALIDATION_KEY, 'base64');
+  return crypto.createHmac('sha512', keyBytes).update(parts.join('\n'), 'utf8').digest('base64');
+}
 
 describe('Delegation Function', () => {
   let context;
@@ -20,8 +54,13 @@ describe('Delegation Function', () => {
       APIM_PORTAL_URL: 'https://test-apim.developer.azure-api.net'
     };
 
-    // Reset mocks
+    // Reset mocks and the replay cache shared by every test's signed request
     jest.clearAllMocks();
+    clearStateStores();
+
+    // A single provider configured with the plain OIDC_* settings
+    getOidcProviders.mockReturnValue([]);
+    changePasswordReturnsToPortal.mockReturnValue(true);
   });
 
   afterEach(() => {
@@ -56,6 +95,126 @@ describe('Delegation Function', () => {
       expect(context.res.body.error).toBe('Invalid signature');
     });
 
+    describe('validation key rotation', () => {
+      const secondaryKey = Buffer.from('previous-validation-key').toString('base64');
+
+      beforeEach(() => {
+        getOidcConfiguration.mockResolvedValue({
+          issuer: 'https://test-domain.okta.com',
+          clientId: 'test-client-id',
+          redirectUri: 'https://test-function-app.azurewebsites.net/api/auth-callback'
+        });
+        buildAuthorizationUrl.mockReturnValue('https://test-auth-url.com');
+      });
+
+      function signWith(key) {
+        return crypto
+          .createHmac('sha512', Buffer.from(key, 'base64'))
+          .update('test-salt\n/test', 'utf8')
+          .digest('base64');
+      }
+
+      test('should log that the primary key matched', async () => {
+        process.env.APIM_VALIDATION_KEY_SECONDARY = secondaryKey;
+        req.query = { operation: 'SignIn', salt: 'test-salt', returnUrl: '/test' };
+        req.query.sig = signWith(process.env.APIM_VALIDATION_KEY);
+
+        await delegationFunction(context, req);
+
+        expect(context.res.status).toBe(302);
+        expect(getLogEntries(context)).toContainEqual(
+          expect.objectContaining({
+            message: 'Signature validated with APIM validation key:',
+            data: 'primary'
+          })
+        );
+      });
+
+      test('should accept the secondary key during a rotation', async () => {
+        process.env.APIM_VALIDATION_KEY_SECONDARY = secondaryKey;
+        req.query = { operation: 'SignIn', salt: 'test-salt', returnUrl: '/test' };
+        req.query.sig = signWith(secondaryKey);
+
+        await delegationFunction(context, req);
+
+        expect(context.res.status).toBe(302);
+        expect(getLogEntries(context)).toContainEqual(
+          expect.objectContaining({
+            message: 'Signature validated with APIM validation key:',
+            data: 'secondary'
+          })
+        );
+      });
+
+      test('should reject the old key once the secondary key is removed', async () => {
+        req.query = { operation: 'SignIn', salt: 'test-salt', returnUrl: '/test' };
+        req.query.sig = signWith(secondaryKey);
+
+        await delegationFunction(context, req);
+
+        expect(context.res.status).toBe(401);
+      });
+
+      test('should reject a truncated signature', async () => {
+        req.query = { operation: 'SignIn', salt: 'test-salt', returnUrl: '/test' };
+        req.query.sig = signWith(process.env.APIM_VALIDATION_KEY).slice(0, 20);
+
+        await delegationFunction(context, req);
+
+        expect(context.res.status).toBe(401);
+      });
+
+      test('should validate with the key read from APIM', async () => {
+        process.env.APIM_VALIDATION_KEY_SOURCE = 'apim';
+        getDelegationValidationKey.mockResolvedValue(secondaryKey);
+        req.query = { operation: 'SignIn', salt: 'test-salt', returnUrl: '/test' };
+        req.query.sig = signWith(secondaryKey);
+
+        await delegationFunction(context, req);
+
+        expect(context.res.status).toBe(302);
+        expect(getDelegationValidationKey).toHaveBeenCalledWith(context, { forceRefresh: false });
+      });
+
+      test('should refetch the APIM key after a mismatch and retry', async () => {
+        process.env.APIM_VALIDATION_KEY_SOURCE = 'apim';
+        getDelegationValidationKey
+          .mockResolvedValueOnce(process.env.APIM_VALIDATION_KEY)
+          .mockResolvedValueOnce(secondaryKey);
+        req.query = { operation: 'SignIn', salt: 'test-salt', returnUrl: '/test' };
+        req.query.sig = signWith(secondaryKey);
+
+        await delegationFunction(context, req);
+
+        expect(context.res.status).toBe(302);
+        expect(getDelegationValidationKey).toHaveBeenLastCalledWith(context, {
+          forceRefresh: true
+        });
+      });
+
+      test('should reject when the refetched APIM key still does not match', async () => {
+        process.env.APIM_VALIDATION_KEY_SOURCE = 'apim';
+        getDelegationValidationKey.mockResolvedValue(process.env.APIM_VALIDATION_KEY);
+        req.query = { operation: 'SignIn', salt: 'test-salt', returnUrl: '/test' };
+        req.query.sig = signWith(secondaryKey);
+
+        await delegationFunction(context, req);
+
+        expect(context.res.status).toBe(401);
+        expect(getDelegationValidationKey).toHaveBeenCalledTimes(2);
+      });
+
+      test('should reject repeated sig parameters', async () => {
+        const signature = signWith(process.env.APIM_VALIDATION_KEY);
+        req.query = { operation: 'SignIn', salt: 'test-salt', returnUrl: '/test' };
+        req.query.sig = [signature, signature];
+
+        await delegationFunction(context, req);
+
+        expect(context.res.status).toBe(401);
+      });
+    });
+
     test('should accept request with valid signature for SignIn', async () => {
       const salt = 'test-salt';
       const returnUrl = '/test';
@@ -96,7 +255,7 @@ describe('Delegation Function', () => {
 
       expect(context.res.status).toBe(302);
       expect(context.res.headers.Location).toBe(mockAuthUrl);
-      expect(getOidcConfiguration).toHaveBeenCalledWith(context);
+      expect(getOidcConfiguration).toHaveBeenCalledWith(context, undefined);
       expect(buildAuthorizationUrl).toHaveBeenCalled();
     });
 
@@ -171,7 +330,41 @@ describe('Delegation Function', () => {
 
       expect(context.res.status).toBe(302);
       expect(context.res.headers.Location).toBe(expectedAuthUrl);
-      expect(buildAuthorizationUrl).toHaveBeenCalledWith(mockOidcConfig, expect.any(String));
+      expect(buildAuthorizationUrl).toHaveBeenCalledWith(
+        mockOidcConfig,
+        expect.any(String),
+        undefined,
+        { nonce: expect.any(String), ui_locales: 'en' }
+      );
+    });
+
+    test('should send a PKCE challenge and keep the verifier in state', async () => {
+      const mockOidcConfig = {
+        issuer: 'https://test-domain.okta.com',
+        clientId: 'test-client-id',
+        redirectUri: 'https://test-function-app.azurewebsites.net/api/auth-callback',
+        usePkce: true
+      };
+
+      getOidcConfiguration.mockResolvedValue(mockOidcConfig);
+      generatePkce.mockReturnValue({
+        codeVerifier: 'test-verifier',
+        codeChallenge: 'test-challenge',
+        codeChallengeMethod: 'S256'
+      });
+      buildAuthorizationUrl.mockReturnValue('https://test-auth-url.com');
+
+      await delegationFunction(context, req);
+
+      const [, encodedState, , params] = buildAuthorizationUrl.mock.calls[0];
+      expect(params).toEqual({
+        nonce: expect.any(String),
+        code_challenge: 'test-challenge',
+        code_challenge_method: 'S256',
+        ui_locales: 'en'
+      });
+      expect(decodeState(encodedState).codeVerifier).toBe('test-verifier');
+      expect(encodedState).not.toContain('test-verifier');
     });
 
     test('should handle OIDC configuration error', async () => {
@@ -193,7 +386,7 @@ describe('Delegation Function', () => {
       getOidcConfiguration.mockResolvedValue(mockOidcConfig);
       buildAuthorizationUrl.mockImplementation((config, encodedState) => {
         // Decode and verify state data
-        const stateData = JSON.parse(Buffer.from(encodedState, 'base64').toString());
+        const stateData = decodeState(encodedState);
         expect(stateData.returnUrl).toBe('/test');
         expect(stateData.salt).toBe('test-salt');
         expect(stateData.timestamp).toBeGreaterThan(Date.now() - 5000);
@@ -204,166 +397,1366 @@ describe('Delegation Function', () => {
 
       expect(buildAuthorizationUrl).toHaveBeenCalled();
     });
-  });
 
-  describe('SignOut Operation', () => {
-    beforeEach(() => {
-      const salt = 'test-salt';
-      const userId = 'test-user@example.com';
+    test('should store a validated returnUrl in state', async () => {
+      req.query.returnUrl = '/\\evil.example';
+      req.query.sig = signParts('test-salt', '/\\evil.example');
+      getOidcConfiguration.mockResolvedValue({
+        issuer: 'https://test-domain.okta.com',
+        clientId: 'test-client-id',
+        redirectUri: 'https://test-function-app.azurewebsites.net/api/auth-callback'
+      });
+      buildAuthorizationUrl.mockReturnValue('https://test-auth-url.com');
 
-      const crypto = require('crypto');
-      const keyBytes = Buffer.from(process.env.APIM_VALIDATION_KEY, 'base64');
-      const stringToSign = salt + '\n' + userId;
-      const hmac = crypto.createHmac('sha512', keyBytes);
-      const validSignature = hmac.update(stringToSign, 'utf8').digest('base64');
+      await delegationFunction(context, req);
 
-      req.query = {
-        operation: 'SignOut',
-        salt: salt,
-        userId: userId,
-        returnUrl: '/dashboard',
-        sig: validSignature
-      };
+      expect(context.res.status).toBe(302);
+      expect(decodeState(buildAuthorizationUrl.mock.calls[0][1]).returnUrl).toBe('/');
     });
 
-    test('should redirect to OIDC logout endpoint when available', async () => {
-      const mockOidcConfig = {
-        endpoints: {
-          end_session_endpoint: 'https://test-domain.okta.com/oauth2/logout'
-        }
-      };
+    test('should send the nonce that is stored in state', async () => {
+      getOidcConfiguration.mockResolvedValue({
+        issuer: 'https://test-domain.okta.com',
+        clientId: 'test-client-id',
+        redirectUri: 'https://test-function-app.azurewebsites.net/api/auth-callback'
+      });
+      buildAuthorizationUrl.mockReturnValue('https://test-auth-url.com');
 
-      getOidcConfiguration.mockResolvedValue(mockOidcConfig);
+      await delegationFunction(context, req);
+
+      const [, encodedState, , params] = buildAuthorizationUrl.mock.calls[0];
+      expect(params.nonce).toMatch(/^[A-Za-z0-9_-]{22}$/);
+      expect(decodeState(encodedState).nonce).toBe(params.nonce);
+    });
+  });
+
+  describe('State Records', () => {
+    test('should register a one-time record for the issued state', async () => {
+      req.query = {
+        operation: 'SignIn',
+        salt: 'test-salt',
+        returnUrl: '/test',
+        sig: signParts('test-salt', '/test')
+      };
+      getOidcConfiguration.mockResolvedValue({
+        issuer: 'https://test-domain.okta.com',
+        clientId: 'test-client-id',
+        redirectUri: 'https://test-function-app.azurewebsites.net/api/auth-callback'
+      });
+      buildAuthorizationUrl.mockReturnValue('https://test-auth-url.com');
 
       await delegationFunction(context, req);
 
-      expect(context.res.status).toBe(302);
-      expect(context.res.headers.Location).toContain('https://test-domain.okta.com/oauth2/logout');
-      expect(context.res.headers.Location).toContain('post_logout_redirect_uri');
-      expect(context.res.headers.Location).toContain('state');
+      const { sid } = decodeState(buildAuthorizationUrl.mock.calls[0][1]);
+      const store = getStateStore();
+      await expect(store.consume(sid)).resolves.toEqual({ operation: 'SignIn' });
+      await expect(store.consume(sid)).resolves.toBeNull();
     });
+  });
 
-    test('should fallback to APIM portal when no logout endpoint', async () => {
-      const mockOidcConfig = {
-        endpoints: {}
+  describe('Identity Providers', () => {
+    const providers = [
+      { id: 'entra', displayName: 'Employees' },
+      { id: 'okta', displayName: 'Partners' }
+    ];
+
+    beforeEach(() => {
+      req.query = {
+        operation: 'SignIn',
+        salt: 'test-salt',
+        returnUrl: '/test',
+        sig: signParts('test-salt', '/test')
       };
+      getOidcProviders.mockReturnValue(providers);
+      getOidcConfiguration.mockImplementation(async (_context, provider) => ({
+        provider,
+        clientId: `${provider}-client-id`,
+        redirectUri: 'https://test-function-app.azurewebsites.net/api/auth-callback',
+        endpoints: { end_session_endpoint: `https://${provider}.example/logout` }
+      }));
+      buildAuthorizationUrl.mockReturnValue('https://test-auth-url.com');
+    });
 
-      getOidcConfiguration.mockResolvedValue(mockOidcConfig);
+    test('should show the provider chooser without a provider hint', async () => {
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(200);
+      expect(context.res.body).toContain('Choose how to sign in');
+      expect(context.res.body).toContain('Employees');
+      expect(context.res.body).toContain('provider=okta');
+      expect(getOidcConfiguration).not.toHaveBeenCalled();
+    });
+
+    test('should list the remembered provider first', async () => {
+      req.headers = { cookie: 'other=1; apim_delegation_provider=okta' };
 
       await delegationFunction(context, req);
 
-      expect(context.res.status).toBe(302);
-      expect(context.res.headers.Location).toBe(
-        'https://test-apim.developer.azure-api.net/dashboard'
+      expect(context.res.body.indexOf('Partners')).toBeLessThan(
+        context.res.body.indexOf('Employees')
       );
+      expect(context.res.body).toContain('Last used');
     });
 
-    test('should handle OIDC configuration error gracefully', async () => {
-      getOidcConfiguration.mockRejectedValue(new Error('OIDC configuration failed'));
-
+    test('should sign in with the chosen provider and remember it', async () => {
       await delegationFunction(context, req);
 
-      expect(context.res.status).toBe(302);
-      expect(context.res.headers.Location).toBe(
-        'https://test-apim.developer.azure-api.net/dashboard'
+      req.query.provider = 'okta';
+      const choiceContext = createMockContext();
+      await delegationFunction(choiceContext, req);
+
+      expect(choiceContext.res.status).toBe(302);
+      expect(getOidcConfiguration).toHaveBeenCalledWith(choiceContext, 'okta');
+      expect(decodeState(buildAuthorizationUrl.mock.calls[0][1]).provider).toBe('okta');
+      expect(choiceContext.res.headers['Set-Cookie']).toMatch(
+        /^apim_delegation_provider=okta; Path=\/; Max-Age=\d+; Secure; HttpOnly; SameSite=Lax$/
       );
     });
 
-    test('should use default portal URL when APIM_PORTAL_URL not set', async () => {
-      delete process.env.APIM_PORTAL_URL;
+    test('should reject an unknown provider hint', async () => {
+      req.query.provider = 'github';
 
-      const mockOidcConfig = {
-        endpoints: {}
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(400);
+      expect(context.res.body).toEqual({ error: 'Unknown identity provider' });
+    });
+
+    test('should sign out at the remembered provider', async () => {
+      req.query = {
+        operation: 'SignOut',
+        salt: 'test-salt',
+        userId: 'user1',
+        sig: signParts('test-salt', 'user1')
       };
+      req.headers = { cookie: 'apim_delegation_provider=okta' };
 
-      getOidcConfiguration.mockResolvedValue(mockOidcConfig);
+      await delegationFunction(context, req);
+
+      expect(getOidcConfiguration).toHaveBeenCalledWith(context, 'okta');
+      expect(context.res.headers.Location).toContain('https://okta.example/logout');
+    });
+
+    test('should ignore a remembered provider that is no longer configured', async () => {
+      req.query = {
+        operation: 'SignOut',
+        salt: 'test-salt',
+        userId: 'user1',
+        sig: signParts('test-salt', 'user1')
+      };
+      req.headers = { cookie: 'apim_delegation_provider=removed' };
 
       await delegationFunction(context, req);
 
-      expect(context.res.status).toBe(302);
-      expect(context.res.headers.Location).toBe('https://localhost/dashboard');
+      expect(getOidcConfiguration).toHaveBeenCalledWith(context, undefined);
     });
   });
 
-  describe('Unsupported Operations', () => {
-    test('should return 400 for unsupported operation', async () => {
-      const salt = 'test-salt';
-      const userId = 'test-user@example.com';
+  describe('APIM Instances', () => {
+    const devKey = Buffer.from('dev-validation-key').toString('base64');
+    const partnerKey = Buffer.from('partner-validation-key').toString('base64');
 
-      const crypto = require('crypto');
-      const keyBytes = Buffer.from(process.env.APIM_VALIDATION_KEY, 'base64');
-      const stringToSign = salt + '\n' + userId;
-      const hmac = crypto.createHmac('sha512', keyBytes);
-      const validSignature = hmac.update(stringToSign, 'utf8').digest('base64');
+    function signWith(key, ...parts) {
+      return crypto
+        .createHmac('sha512', Buffer.from(key, 'base64'))
+        .update(parts.join('\n'), 'utf8')
+        .digest('base64');
+    }
 
+    beforeEach(() => {
+      Object.assign(process.env, {
+        APIM_INSTANCES: 'dev,partner',
+        APIM_DEV_VALIDATION_KEY: devKey,
+        APIM_DEV_PORTAL_URL: 'https://dev.developer.azure-api.net',
+        APIM_PARTNER_VALIDATION_KEY: partnerKey,
+        APIM_PARTNER_PORTAL_URL: 'https://partners.example.com'
+      });
+      getOidcConfiguration.mockResolvedValue({
+        clientId: 'test-client-id',
+        redirectUri: 'https://test-function-app.azurewebsites.net/api/auth-callback',
+        endpoints: {}
+      });
+      buildAuthorizationUrl.mockReturnValue('https://test-auth-url.com');
+    });
+
+    test('should validate with the key of the instance in the route and keep it in the state', async () => {
+      req.params = { instance: 'partner' };
       req.query = {
-        operation: 'ChangeProfile', // This is supported in signature validation but not implemented
-        salt: salt,
-        userId: userId,
-        sig: validSignature
+        operation: 'SignIn',
+        salt: 'test-salt',
+        returnUrl: '/test',
+        sig: signWith(partnerKey, 'test-salt', '/test')
       };
 
       await delegationFunction(context, req);
 
-      expect(context.res.status).toBe(400);
-      expect(context.res.body.error).toBe('Unsupported operation');
+      expect(context.res.status).toBe(302);
+      expect(decodeState(buildAuthorizationUrl.mock.calls[0][1]).instance).toBe('partner');
     });
 
-    test('should support ChangePassword operation signature validation', async () => {
-      const salt = 'test-salt';
-      const userId = 'test-user@example.com';
+    test('should reject a request signed by another instance', async () => {
+      req.params = { instance: 'partner' };
+      req.query = {
+        operation: 'SignIn',
+        salt: 'test-salt',
+        returnUrl: '/test',
+        sig: signWith(devKey, 'test-salt', '/test')
+      };
 
-      const crypto = require('crypto');
-      const keyBytes = Buffer.from(process.env.APIM_VALIDATION_KEY, 'base64');
-      const stringToSign = salt + '\n' + userId;
-      const hmac = crypto.createHmac('sha512', keyBytes);
-      const validSignature = hmac.update(stringToSign, 'utf8').digest('base64');
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(401);
+    });
 
+    test('should read the instance from the query and return to its portal', async () => {
       req.query = {
-        operation: 'ChangePassword',
-        salt: salt,
-        userId: userId,
-        sig: validSignature
+        instance: 'partner',
+        operation: 'SignOut',
+        salt: 'test-salt',
+        userId: 'user1',
+        returnUrl: '/docs',
+        sig: signWith(partnerKey, 'test-salt', 'user1')
       };
 
       await delegationFunction(context, req);
 
-      // Should pass signature validation but return unsupported operation
-      expect(context.res.status).toBe(400);
-      expect(context.res.body.error).toBe('Unsupported operation');
+      expect(context.res.headers.Location).toBe('https://partners.example.com/docs');
     });
-  });
 
-  describe('Error Handling', () => {
-    test('should handle general errors gracefully', async () => {
+    test('should use the first instance when none is named', async () => {
       req.query = {
         operation: 'SignIn',
         salt: 'test-salt',
-        returnUrl: '/test'
+        returnUrl: '/test',
+        sig: signWith(devKey, 'test-salt', '/test')
       };
 
-      // Force an error by not providing signature
       await delegationFunction(context, req);
 
-      expect(context.res.status).toBe(401);
-      expect(context.res.body.error).toBe('Invalid signature');
+      expect(context.res.status).toBe(302);
+      expect(decodeState(buildAuthorizationUrl.mock.calls[0][1]).instance).toBe('dev');
     });
 
-    test('should log operation details', async () => {
+    test('should reject an unknown instance before checking the signature', async () => {
+      req.params = { instance: 'staging' };
+      req.query = { operation: 'SignIn', salt: 'test-salt', returnUrl: '/test', sig: 'x' };
+
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(404);
+      expect(context.res.body).toEqual({ error: 'Unknown APIM instance' });
+    });
+  });
+
+  describe('Home Realm Discovery', () => {
+    beforeEach(() => {
+      process.env.OIDC_HOME_REALM_DISCOVERY = 'true';
       req.query = {
         operation: 'SignIn',
-        userId: 'test-user',
         salt: 'test-salt',
-        returnUrl: '/test'
+        returnUrl: '/test',
+        sig: signParts('test-salt', '/test')
       };
+      getOidcProviders.mockReturnValue([
+        { id: 'entra', displayName: 'Employees' },
+        { id: 'okta', displayName: 'Partners' }
+      ]);
+      getOidcConfiguration.mockImplementation(async (_context, provider) => ({
+        provider,
+        clientId: `${provider}-client-id`
+      }));
+      buildAuthorizationUrl.mockReturnValue('https://test-auth-url.com');
+    });
+
+    test('should ask for an email address instead of showing the chooser', async () => {
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(200);
+      expect(context.res.body).toContain('name="email"');
+      expect(context.res.body).toContain('method="post"');
+      expect(getOidcConfiguration).not.toHaveBeenCalled();
+    });
+
+    test('should send the user to the provider for their domain with a login hint', async () => {
+      findProviderForEmail.mockReturnValue({ provider: 'entra' });
+      req.method = 'POST';
+      req.body = 'email=jane%40contoso.com';
+
+      await delegationFunction(context, req);
+
+      expect(findProviderForEmail).toHaveBeenCalledWith('jane@contoso.com');
+      expect(getOidcConfiguration).toHaveBeenCalledWith(context, 'entra');
+      expect(buildAuthorizationUrl.mock.calls[0][3]).toMatchObject({
+        login_hint: 'jane@contoso.com'
+      });
+      expect(context.res.status).toBe(302);
+    });
+
+    test('should reject an unknown domain with a friendly message', async () => {
+      findProviderForEmail.mockReturnValue(null);
+      req.method = 'POST';
+      req.body = 'email=jane%40unknown.example';
+
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(400);
+      expect(context.res.body).toContain(
+        'We couldn&#39;t find a sign-in option for unknown.example'
+      );
+      expect(context.res.body).toContain('value="jane@unknown.example"');
+      expect(getOidcConfiguration).not.toHaveBeenCalled();
+    });
+
+    test('should not use up the request when the domain is rejected', async () => {
+      findProviderForEmail.mockReturnValueOnce(null).mockReturnValueOnce({ provider: 'okta' });
+      req.method = 'POST';
+      req.body = 'email=jane%40unknown.example';
+      await delegationFunction(context, req);
+
+      req.body = 'email=jane%40fabrikam.com';
+      const retryContext = createMockContext();
+      await delegationFunction(retryContext, req);
+
+      expect(retryContext.res.status).toBe(302);
+    });
+
+    test('should reject an invalid email address', async () => {
+      req.method = 'POST';
+      req.body = 'email=not-an-email';
+
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(400);
+      expect(context.res.body).toContain('Enter a valid email address.');
+      expect(findProviderForEmail).not.toHaveBeenCalled();
+    });
+
+    test('should skip discovery when the URL names a provider', async () => {
+      req.query.provider = 'okta';
 
       await delegationFunction(context, req);
 
-      expect(context.log).toHaveBeenCalledWith('Delegation endpoint called');
-      expect(context.log).toHaveBeenCalledWith('Operation:', 'SignIn');
-      expect(context.log).toHaveBeenCalledWith('UserId:', 'test-user');
-      expect(context.log).toHaveBeenCalledWith('ReturnUrl:', '/test');
-      expect(context.log).toHaveBeenCalledWith('Salt:', 'test-salt');
+      expect(getOidcConfiguration).toHaveBeenCalledWith(context, 'okta');
+      expect(findProviderForEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Replay Detection', () => {
+    const mockOidcConfig = {
+      issuer: 'https://test-domain.okta.com',
+      clientId: 'test-client-id',
+      redirectUri: 'https://test-function-app.azurewebsites.net/api/auth-callback'
+    };
+
+    beforeEach(() => {
+      req.query = {
+        operation: 'SignIn',
+        salt: 'test-salt',
+        returnUrl: '/test',
+        sig: signParts('test-salt', '/test')
+      };
+      getOidcConfiguration.mockResolvedValue(mockOidcConfig);
+      buildAuthorizationUrl.mockReturnValue('https://test-auth-url.com');
+    });
+
+    test('should reject a delegation request that was already used', async () => {
+      await delegationFunction(context, req);
+      expect(context.res.status).toBe(302);
+
+      const replayContext = createMockContext();
+      await delegationFunction(replayContext, req);
+
+      expect(replayContext.res.status).toBe(409);
+      expect(replayContext.res.body).toEqual({
+        error: 'Delegation request has already been used',
+        code: 'DELEGATION_REPLAYED'
+      });
+      expect(buildAuthorizationUrl).toHaveBeenCalledTimes(1);
+    });
+
+    test.each([
+      ['without padding', sig => sig.replace(/=+$/, '')],
+      ['in base64url', sig => sig.replace(/\+/g, '-').replace(/\//g, '_')],
+      ['with a stray character', sig => `${sig}!`],
+      ['with a leading space', sig => ` ${sig}`]
+    ])('should not accept the signature again %s', async (variant, reencode) => {
+      await delegationFunction(context, req);
+      expect(context.res.status).toBe(302);
+
+      req.query = { ...req.query, sig: reencode(req.query.sig) };
+      const replayContext = createMockContext();
+      await delegationFunction(replayContext, req);
+
+      expect(replayContext.res.status).toBe(401);
+      expect(replayContext.res.body).toEqual({ error: 'Invalid signature' });
+      expect(buildAuthorizationUrl).toHaveBeenCalledTimes(1);
+    });
+
+    test('should accept a new salt for the same operation', async () => {
+      await delegationFunction(context, req);
+
+      req.query = {
+        ...req.query,
+        salt: 'other-salt',
+        sig: signParts('other-salt', '/test')
+      };
+      const nextContext = createMockContext();
+      await delegationFunction(nextContext, req);
+
+      expect(nextContext.res.status).toBe(302);
+    });
+
+    test('should accept the request again once the window has passed', async () => {
+      process.env.DELEGATION_REPLAY_WINDOW_SECONDS = '60';
+      await delegationFunction(context, req);
+
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 61000);
+      const laterContext = createMockContext();
+      await delegationFunction(laterContext, req);
+
+      expect(laterContext.res.status).toBe(302);
+    });
+
+    test('should allow replays when the window is 0', async () => {
+      process.env.DELEGATION_REPLAY_WINDOW_SECONDS = '0';
+      await delegationFunction(context, req);
+
+      const replayContext = createMockContext();
+      await delegationFunction(replayContext, req);
+
+      expect(replayContext.res.status).toBe(302);
+    });
+
+    test('should not use up the request when showing the profile form', async () => {
+      const userId = 'user123';
+      req.query = {
+        operation: 'ChangeProfile',
+        salt: 'test-salt',
+        userId,
+        sig: signParts('test-salt', userId)
+      };
+      getUserFromAPIM.mockResolvedValue({
+        properties: { firstName: 'Test', lastName: 'User', email: 'test@example.com' }
+      });
+
+      await delegationFunction(context, req);
+      expect(context.res.status).toBe(200);
+
+      req.method = 'POST';
+      req.body = 'firstName=New&lastName=Name&email=test%40example.com';
+      const submitContext = createMockContext();
+      await delegationFunction(submitContext, req);
+      expect(submitContext.res.status).toBe(302);
+
+      const replayContext = createMockContext();
+      await delegationFunction(replayContext, req);
+      expect(replayContext.res.status).toBe(409);
+      expect(createOrUpdateUserInAPIM).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('SignUp Operation', () => {
+    const mockOidcConfig = {
+      issuer: 'https://test-domain.okta.com',
+      clientId: 'test-client-id',
+      redirectUri: 'https://test-function-app.azurewebsites.net/api/auth-callback'
+    };
+
+    beforeEach(() => {
+      req.query = {
+        operation: 'SignUp',
+        salt: 'test-salt',
+        returnUrl: '/signup-complete',
+        sig: signParts('test-salt', '/signup-complete')
+      };
+    });
+
+    test('should redirect to the registration URL', async () => {
+      const signUpUrl = 'https://test-domain.okta.com/oauth2/authorize?prompt=create';
+
+      getOidcConfiguration.mockResolvedValue(mockOidcConfig);
+      buildSignUpUrl.mockReturnValue(signUpUrl);
+
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(302);
+      expect(context.res.headers.Location).toBe(signUpUrl);
+      expect(buildSignUpUrl).toHaveBeenCalledWith(mockOidcConfig, expect.any(String), undefined, {
+        nonce: expect.any(String),
+        ui_locales: 'en'
+      });
+      expect(buildAuthorizationUrl).not.toHaveBeenCalled();
+    });
+
+    test('should carry the SignUp operation and returnUrl in state', async () => {
+      getOidcConfiguration.mockResolvedValue(mockOidcConfig);
+      buildSignUpUrl.mockReturnValue('https://test-auth-url.com');
+
+      await delegationFunction(context, req);
+
+      const encodedState = buildSignUpUrl.mock.calls[0][1];
+      const stateData = decodeState(encodedState);
+      expect(stateData.operation).toBe('SignUp');
+      expect(stateData.returnUrl).toBe('/signup-complete');
+    });
+
+    test('should reject SignUp with an invalid signature', async () => {
+      req.query.sig = signParts('test-salt', '/somewhere-else');
+
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(401);
+      expect(buildSignUpUrl).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('SignOut Operation', () => {
+    beforeEach(() => {
+      const salt = 'test-salt';
+      const userId = 'test-user@example.com';
+
+      const crypto = require('crypto');
+      const keyBytes = Buffer.from(process.env.APIM_VALIDATION_KEY, 'base64');
+      const stringToSign = salt + '\n' + userId;
+      const hmac = crypto.createHmac('sha512', keyBytes);
+      const validSignature = hmac.update(stringToSign, 'utf8').digest('base64');
+
+      req.query = {
+        operation: 'SignOut',
+        salt: salt,
+        userId: userId,
+        returnUrl: '/dashboard',
+        sig: validSignature
+      };
+    });
+
+    test('should redirect to OIDC logout endpoint when available', async () => {
+      const mockOidcConfig = {
+        endpoints: {
+          end_session_endpoint: 'https://test-domain.okta.com/oauth2/logout'
+        }
+      };
+
+      getOidcConfiguration.mockResolvedValue(mockOidcConfig);
+
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(302);
+      expect(context.res.headers.Location).toContain('https://test-domain.okta.com/oauth2/logout');
+      expect(context.res.headers.Location).toContain('post_logout_redirect_uri');
+      expect(context.res.headers.Location).toContain('state');
+    });
+
+    test('should fallback to APIM portal when no logout endpoint', async () => {
+      const mockOidcConfig = {
+        endpoints: {}
+      };
+
+      getOidcConfiguration.mockResolvedValue(mockOidcConfig);
+
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(302);
+      expect(context.res.headers.Location).toBe(
+        'https://test-apim.developer.azure-api.net/dashboard'
+      );
+    });
+
+    test('should handle OIDC configuration error gracefully', async () => {
+      getOidcConfiguration.mockRejectedValue(new Error('OIDC configuration failed'));
+
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(302);
+      expect(context.res.headers.Location).toBe(
+        'https://test-apim.developer.azure-api.net/dashboard'
+      );
+    });
+
+    test('should use default portal URL when APIM_PORTAL_URL not set', async () => {
+      delete process.env.APIM_PORTAL_URL;
+
+      const mockOidcConfig = {
+        endpoints: {}
+      };
+
+      getOidcConfiguration.mockResolvedValue(mockOidcConfig);
+
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(302);
+      expect(context.res.headers.Location).toBe('https://localhost/dashboard');
+    });
+
+    test('should not redirect to a signed returnUrl on another origin', async () => {
+      req.query.returnUrl = 'https://evil.example/phish';
+      getOidcConfiguration.mockResolvedValue({ endpoints: {} });
+
+      await delegationFunction(context, req);
+
+      expect(context.res.headers.Location).toBe('https://test-apim.developer.azure-api.net/');
+    });
+
+    test('should validate the post-logout redirect URI', async () => {
+      req.query.returnUrl = '//evil.example/phish';
+      getOidcConfiguration.mockResolvedValue({
+        clientId: 'test-client-id',
+        endpoints: { end_session_endpoint: 'https://test-domain.okta.com/oauth2/logout' }
+      });
+
+      await delegationFunction(context, req);
+
+      const logoutUrl = new URL(context.res.headers.Location);
+      expect(logoutUrl.searchParams.get('post_logout_redirect_uri')).toBe(
+        'https://test-apim.developer.azure-api.net/'
+      );
+    });
+  });
+
+  describe('ChangePassword Operation', () => {
+    const mockOidcConfig = {
+      issuer: 'https://test-domain.okta.com',
+      clientId: 'test-client-id',
+      redirectUri: 'https://test-function-app.azurewebsites.net/api/auth-callback'
+    };
+
+    beforeEach(() => {
+      req.query = {
+        operation: 'ChangePassword',
+        salt: 'test-salt',
+        userId: 'test-user',
+        returnUrl: '/profile',
+        sig: signParts('test-salt', 'test-user')
+      };
+      getOidcConfiguration.mockResolvedValue(mockOidcConfig);
+    });
+
+    test('should redirect to the password change URL with the APIM user as hint', async () => {
+      getUserFromAPIM.mockResolvedValue({ properties: { email: 'test-user@example.com' } });
+      buildAuthorizationUrl.mockReturnValue('https://test-domain.okta.com/oauth2/authorize');
+      buildChangePasswordUrl.mockReturnValue('https://test-domain.okta.com/enduser/settings');
+
+      await delegationFunction(context, req);
+
+      expect(getUserFromAPIM).toHaveBeenCalledWith('test-user', context);
+      expect(buildChangePasswordUrl).toHaveBeenCalledWith(mockOidcConfig, {
+        returnUrl: 'https://test-apim.developer.azure-api.net/profile',
+        loginHint: 'test-user@example.com',
+        authorizationUrl: 'https://test-domain.okta.com/oauth2/authorize'
+      });
+      expect(buildAuthorizationUrl).toHaveBeenCalledWith(
+        mockOidcConfig,
+        expect.any(String),
+        undefined,
+        { nonce: expect.any(String), login_hint: 'test-user@example.com', ui_locales: 'en' }
+      );
+      expect(context.res.status).toBe(302);
+      expect(context.res.headers.Location).toBe('https://test-domain.okta.com/enduser/settings');
+    });
+
+    test('should carry the ChangePassword operation in state', async () => {
+      getUserFromAPIM.mockResolvedValue({ properties: { email: 'test-user@example.com' } });
+      buildChangePasswordUrl.mockReturnValue('https://test-domain.okta.com/enduser/settings');
+
+      await delegationFunction(context, req);
+
+      const encodedState = buildAuthorizationUrl.mock.calls[0][1];
+      const stateData = decodeState(encodedState);
+      expect(stateData.operation).toBe('ChangePassword');
+      expect(stateData.returnUrl).toBe('/profile');
+      expect(stateData.userId).toBe('test-user');
+    });
+
+    test('should link back to the portal when the password page cannot return', async () => {
+      getUserFromAPIM.mockResolvedValue({ properties: { email: 'test-user@example.com' } });
+      buildChangePasswordUrl.mockReturnValue('https://test-domain.okta.com/enduser/settings');
+      changePasswordReturnsToPortal.mockReturnValue(false);
+
+      await delegationFunction(context, req);
+
+      expect(changePasswordReturnsToPortal).toHaveBeenCalledWith(mockOidcConfig);
+      expect(context.res.status).toBe(200);
+      expect(context.res.headers['Content-Type']).toBe('text/html; charset=utf-8');
+      expect(context.res.body).toContain(
+        '<a class="button" href="https://test-domain.okta.com/enduser/settings" target="_blank"'
+      );
+      expect(context.res.body).toContain(
+        '<a href="https://test-apim.developer.azure-api.net/profile">Return to the developer portal</a>'
+      );
+    });
+
+    test('should return 404 when the APIM user does not exist', async () => {
+      getUserFromAPIM.mockResolvedValue(null);
+
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(404);
+      expect(context.res.body.error).toBe('User not found');
+      expect(buildChangePasswordUrl).not.toHaveBeenCalled();
+    });
+
+    test('should return 500 when no password change URL is configured', async () => {
+      getUserFromAPIM.mockResolvedValue({ properties: { email: 'test-user@example.com' } });
+      buildChangePasswordUrl.mockReturnValue(null);
+
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(500);
+      expect(context.res.body.error).toBe('Server configuration error');
+    });
+  });
+
+  describe('ChangeProfile Operation', () => {
+    const apimUser = {
+      name: 'test-user',
+      properties: {
+        firstName: 'Test',
+        lastName: 'User',
+        email: 'test-user@example.com',
+        state: 'active',
+        note: 'User authenticated via Okta'
+      }
+    };
+
+    beforeEach(() => {
+      req.query = {
+        operation: 'ChangeProfile',
+        salt: 'test-salt',
+        userId: 'test-user',
+        returnUrl: '/profile',
+        sig: signParts('test-salt', 'test-user')
+      };
+      getUserFromAPIM.mockResolvedValue(apimUser);
+    });
+
+    test('should render the profile form prefilled from APIM', async () => {
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(200);
+      expect(context.res.headers['Content-Type']).toBe('text/html; charset=utf-8');
+      expect(context.res.body).toContain('value="Test"');
+      expect(context.res.body).toContain('value="User"');
+      expect(context.res.body).toContain('value="test-user@example.com"');
+      expect(context.res.body).toContain('method="post"');
+      expect(context.res.body).toContain('sig=');
+      expect(createOrUpdateUserInAPIM).not.toHaveBeenCalled();
+    });
+
+    test('should escape APIM values in the form', async () => {
+      getUserFromAPIM.mockResolvedValue({
+        properties: { ...apimUser.properties, firstName: '"><script>alert(1)</script>' }
+      });
+
+      await delegationFunction(context, req);
+
+      expect(context.res.body).not.toContain('<script>alert(1)</script>');
+      expect(context.res.body).toContain('&quot;&gt;&lt;script&gt;');
+    });
+
+    test('should update the APIM user and redirect on submit', async () => {
+      req.method = 'POST';
+      req.rawBody = 'firstName=New&lastName=Name&email=new%40example.com';
+
+      await delegationFunction(context, req);
+
+      expect(createOrUpdateUserInAPIM).toHaveBeenCalledWith(
+        'test-user',
+        {
+          firstName: 'New',
+          lastName: 'Name',
+          email: 'new@example.com',
+          note: 'User authenticated via Okta',
+          state: 'active'
+        },
+        context
+      );
+      expect(context.res.status).toBe(302);
+      expect(context.res.headers.Location).toBe(
+        'https://test-apim.developer.azure-api.net/profile'
+      );
+    });
+
+    test('should re-render the form with errors for invalid input', async () => {
+      req.method = 'POST';
+      req.rawBody = 'firstName=&lastName=Name&email=not-an-email';
+
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(400);
+      expect(context.res.body).toContain('First name is required.');
+      expect(context.res.body).toContain('Email must be a valid email address.');
+      expect(createOrUpdateUserInAPIM).not.toHaveBeenCalled();
+    });
+
+    test('should render locked fields as read-only', async () => {
+      process.env.PROFILE_LOCKED_FIELDS = 'email';
+
+      await delegationFunction(context, req);
+
+      expect(context.res.body).toMatch(/name="email"[^>]*readonly/);
+      expect(context.res.body).toMatch(/name="firstName"[^>]*required/);
+    });
+
+    test('should reject changes to locked fields', async () => {
+      process.env.PROFILE_LOCKED_FIELDS = 'email';
+      req.method = 'POST';
+      req.rawBody = 'firstName=Test&lastName=User&email=other%40example.com';
+
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(400);
+      expect(context.res.body).toContain('Email is managed by your identity provider');
+      expect(createOrUpdateUserInAPIM).not.toHaveBeenCalled();
+    });
+
+    test('should keep locked field values when they are not submitted', async () => {
+      process.env.PROFILE_LOCKED_FIELDS = 'email';
+      req.method = 'POST';
+      req.rawBody = 'firstName=New&lastName=Name';
+
+      await delegationFunction(context, req);
+
+      expect(createOrUpdateUserInAPIM).toHaveBeenCalledWith(
+        'test-user',
+        expect.objectContaining({ firstName: 'New', email: 'test-user@example.com' }),
+        context
+      );
+    });
+
+    test('should return 404 when the APIM user does not exist', async () => {
+      getUserFromAPIM.mockResolvedValue(null);
+
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(404);
+    });
+  });
+
+  describe('CloseAccount Operation', () => {
+    const apimUser = {
+      name: 'test-user',
+      properties: { firstName: 'Test', lastName: 'User', email: 'test-user@example.com' }
+    };
+
+    beforeEach(() => {
+      req.query = {
+        operation: 'CloseAccount',
+        salt: 'test-salt',
+        userId: 'test-user',
+        returnUrl: '/profile',
+        sig: signParts('test-salt', 'test-user')
+      };
+      getUserFromAPIM.mockResolvedValue(apimUser);
+      getOidcConfiguration.mockResolvedValue({
+        clientId: 'test-client-id',
+        endpoints: { end_session_endpoint: 'https://test-domain.okta.com/oauth2/logout' }
+      });
+      listUserSubscriptions.mockResolvedValue([{ name: 'sub-1' }, { name: 'sub-2' }]);
+    });
+
+    const confirm = () => {
+      req.method = 'POST';
+      req.rawBody = 'confirm=yes';
+    };
+
+    test('should show a confirmation page before changing anything', async () => {
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(200);
+      expect(context.res.body).toContain('Close your account');
+      expect(context.res.body).toContain('name="confirm" value="yes"');
+      expect(context.res.body).toContain('https://test-apim.developer.azure-api.net/profile');
+      expect(updateUserInAPIM).not.toHaveBeenCalled();
+      expect(deleteUserFromAPIM).not.toHaveBeenCalled();
+    });
+
+    test('should not close the account on a POST without confirmation', async () => {
+      req.method = 'POST';
+      req.rawBody = '';
+
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(200);
+      expect(updateUserInAPIM).not.toHaveBeenCalled();
+    });
+
+    test('should block the user and delete subscriptions by default', async () => {
+      confirm();
+
+      await delegationFunction(context, req);
+
+      expect(deleteSubscription).toHaveBeenCalledWith('sub-1', context);
+      expect(deleteSubscription).toHaveBeenCalledWith('sub-2', context);
+      expect(updateUserInAPIM).toHaveBeenCalledWith('test-user', { state: 'blocked' }, context);
+      expect(deleteUserFromAPIM).not.toHaveBeenCalled();
+    });
+
+    test('should sign the user out after closing the account', async () => {
+      confirm();
+
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(302);
+      const logoutUrl = new URL(context.res.headers.Location);
+      expect(logoutUrl.origin + logoutUrl.pathname).toBe(
+        'https://test-domain.okta.com/oauth2/logout'
+      );
+      expect(logoutUrl.searchParams.get('post_logout_redirect_uri')).toBe(
+        'https://test-apim.developer.azure-api.net/'
+      );
+    });
+
+    test('should keep subscriptions when configured', async () => {
+      process.env.CLOSE_ACCOUNT_DELETE_SUBSCRIPTIONS = 'false';
+      confirm();
+
+      await delegationFunction(context, req);
+
+      expect(listUserSubscriptions).not.toHaveBeenCalled();
+      expect(deleteSubscription).not.toHaveBeenCalled();
+      expect(updateUserInAPIM).toHaveBeenCalled();
+    });
+
+    test('should hard delete the user in delete mode', async () => {
+      process.env.CLOSE_ACCOUNT_MODE = 'delete';
+      confirm();
+
+      await delegationFunction(context, req);
+
+      expect(deleteUserFromAPIM).toHaveBeenCalledWith(
+        'test-user',
+        { deleteSubscriptions: true },
+        context
+      );
+      expect(updateUserInAPIM).not.toHaveBeenCalled();
+    });
+
+    test('should anonymize and block the user in anonymize mode', async () => {
+      process.env.CLOSE_ACCOUNT_MODE = 'anonymize';
+      confirm();
+
+      await delegationFunction(context, req);
+
+      const properties = updateUserInAPIM.mock.calls[0][1];
+      expect(properties.state).toBe('blocked');
+      expect(properties.firstName).toBe('Closed');
+      expect(properties.email).toMatch(/^closed-[0-9a-f]{16}@anonymized\.invalid$/);
+      expect(JSON.stringify(properties)).not.toContain('test-user@example.com');
+    });
+
+    test('should notify the identity provider when configured', async () => {
+      process.env.CLOSE_ACCOUNT_NOTIFY_URL = 'https://idp.example.com/hooks/closed';
+      process.env.CLOSE_ACCOUNT_NOTIFY_TOKEN = 'hook-token';
+      confirm();
+
+      await delegationFunction(context, req);
+
+      expect(httpRequestJson).toHaveBeenCalledWith(
+        'POST',
+        'https://idp.example.com/hooks/closed',
+        expect.objectContaining({
+          event: 'account.closed',
+          userId: 'test-user',
+          email: 'test-user@example.com',
+          mode: 'block'
+        }),
+        { Authorization: 'Bearer hook-token' }
+      );
+    });
+
+    test('should still sign out when the notification fails', async () => {
+      process.env.CLOSE_ACCOUNT_NOTIFY_URL = 'https://idp.example.com/hooks/closed';
+      httpRequestJson.mockRejectedValue(new Error('unreachable'));
+      confirm();
+
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(302);
+      expect(getLogEntries(context, 'error')).toContainEqual(
+        expect.objectContaining({
+          message: 'Failed to notify identity provider of closed account:',
+          data: 'unreachable'
+        })
+      );
+    });
+
+    test('should not notify the identity provider by default', async () => {
+      confirm();
+
+      await delegationFunction(context, req);
+
+      expect(httpRequestJson).not.toHaveBeenCalled();
+    });
+
+    test('should fail on an invalid mode before changing anything', async () => {
+      process.env.CLOSE_ACCOUNT_MODE = 'shred';
+      confirm();
+
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(500);
+      expect(updateUserInAPIM).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Subscription Operations', () => {
+    describe('Subscribe', () => {
+      beforeEach(() => {
+        req.query = {
+          operation: 'Subscribe',
+          productId: 'starter',
+          userId: 'test-user',
+          subscriptionName: 'My app',
+          salt: 'test-salt',
+          sig: signParts('test-salt', 'starter', 'test-user', 'My app')
+        };
+      });
+
+      test('should create an active subscription when approved', async () => {
+        evaluateSubscriptionRequest.mockResolvedValue({ decision: 'allow' });
+
+        await delegationFunction(context, req);
+
+        expect(evaluateSubscriptionRequest).toHaveBeenCalledWith(
+          expect.objectContaining({
+            operation: 'Subscribe',
+            productId: 'starter',
+            userId: 'test-user',
+            subscriptionName: 'My app'
+          }),
+          context
+        );
+        expect(createOrUpdateSubscription).toHaveBeenCalledWith(
+          expect.stringMatching(/^[0-9a-f]{24}$/),
+          { productId: 'starter', userId: 'test-user', displayName: 'My app', state: 'active' },
+          context
+        );
+        expect(context.res.status).toBe(302);
+        expect(context.res.headers.Location).toBe(
+          'https://test-apim.developer.azure-api.net/profile'
+        );
+      });
+
+      test('should create a submitted subscription when approval is pending', async () => {
+        evaluateSubscriptionRequest.mockResolvedValue({ decision: 'pending' });
+
+        await delegationFunction(context, req);
+
+        expect(createOrUpdateSubscription).toHaveBeenCalledWith(
+          expect.any(String),
+          expect.objectContaining({ state: 'submitted' }),
+          context
+        );
+        expect(context.res.status).toBe(302);
+      });
+
+      test('should render a denial page and not subscribe when denied', async () => {
+        evaluateSubscriptionRequest.mockResolvedValue({
+          decision: 'deny',
+          reason: 'Partners only'
+        });
+
+        await delegationFunction(context, req);
+
+        expect(createOrUpdateSubscription).not.toHaveBeenCalled();
+        expect(context.res.status).toBe(403);
+        expect(context.res.body).toContain('Partners only');
+      });
+
+      test('should accept signatures without a subscription name', async () => {
+        delete req.query.subscriptionName;
+        req.query.sig = signParts('test-salt', 'starter', 'test-user');
+        evaluateSubscriptionRequest.mockResolvedValue({ decision: 'allow' });
+
+        await delegationFunction(context, req);
+
+        expect(context.res.status).toBe(302);
+        expect(createOrUpdateSubscription).toHaveBeenCalledWith(
+          expect.any(String),
+          expect.objectContaining({ displayName: 'starter' }),
+          context
+        );
+      });
+
+      test('should reject a signature for a different product', async () => {
+        req.query.productId = 'premium';
+
+        await delegationFunction(context, req);
+
+        expect(context.res.status).toBe(401);
+        expect(createOrUpdateSubscription).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('Unsubscribe', () => {
+      test('should cancel the subscription without consulting the hook', async () => {
+        req.query = {
+          operation: 'Unsubscribe',
+          subscriptionId: 'sub-1',
+          salt: 'test-salt',
+          sig: signParts('test-salt', 'sub-1')
+        };
+
+        await delegationFunction(context, req);
+
+        expect(updateSubscription).toHaveBeenCalledWith('sub-1', { state: 'cancelled' }, context);
+        expect(evaluateSubscriptionRequest).not.toHaveBeenCalled();
+        expect(context.res.status).toBe(302);
+      });
+    });
+
+    describe('Renew', () => {
+      beforeEach(() => {
+        req.query = {
+          operation: 'Renew',
+          subscriptionId: 'sub-1',
+          salt: 'test-salt',
+          sig: signParts('test-salt', 'sub-1')
+        };
+      });
+
+      test('should reactivate the subscription when approved', async () => {
+        evaluateSubscriptionRequest.mockResolvedValue({ decision: 'allow' });
+
+        await delegationFunction(context, req);
+
+        expect(updateSubscription).toHaveBeenCalledWith('sub-1', { state: 'active' }, context);
+        expect(context.res.status).toBe(302);
+      });
+
+      test('should not renew when denied', async () => {
+        evaluateSubscriptionRequest.mockResolvedValue({ decision: 'deny' });
+
+        await delegationFunction(context, req);
+
+        expect(updateSubscription).not.toHaveBeenCalled();
+        expect(context.res.status).toBe(403);
+      });
+    });
+  });
+
+  describe('Localization', () => {
+    beforeEach(() => {
+      delete process.env.I18N_LOCALES;
+      delete process.env.I18N_DEFAULT_LOCALE;
+      req.query = {
+        operation: 'SignIn',
+        salt: 'test-salt',
+        returnUrl: '/test',
+        sig: signParts('test-salt', '/test')
+      };
+      getOidcConfiguration.mockResolvedValue({
+        clientId: 'test-client-id',
+        redirectUri: 'https://test-function-app.azurewebsites.net/api/auth-callback'
+      });
+      buildAuthorizationUrl.mockReturnValue('https://test-auth-url.com');
+    });
+
+    test('should render pages in the language of the Accept-Language header', async () => {
+      req.headers['accept-language'] = 'nl-NL, de-AT;q=0.9, en;q=0.5';
+      getOidcProviders.mockReturnValue([
+        { id: 'entra', displayName: 'Employees' },
+        { id: 'okta', displayName: 'Partners' }
+      ]);
+
+      await delegationFunction(context, req);
+
+      expect(context.res.body).toContain('<html lang="de">');
+      expect(context.res.body).toContain('<h1>Wählen Sie, wie Sie sich anmelden möchten</h1>');
+    });
+
+    test('should forward the locale to the identity provider and auth-callback', async () => {
+      req.headers['accept-language'] = 'de';
+      req.query.ui_locales = 'fr-CA es';
+
+      await delegationFunction(context, req);
+
+      const [, encodedState, , params] = buildAuthorizationUrl.mock.calls[0];
+      expect(params.ui_locales).toBe('fr');
+      expect(decodeState(encodedState).locale).toBe('fr');
+    });
+
+    test('should translate profile validation errors', async () => {
+      req.headers['accept-language'] = 'es-MX';
+      req.method = 'POST';
+      req.rawBody = 'firstName=&lastName=Name&email=new%40example.com';
+      req.query = {
+        operation: 'ChangeProfile',
+        salt: 'test-salt',
+        userId: 'test-user',
+        sig: signParts('test-salt', 'test-user')
+      };
+      getUserFromAPIM.mockResolvedValue({ properties: { firstName: 'Test' } });
+
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(400);
+      expect(context.res.body).toContain('<li>Nombre es obligatorio.</li>');
+      expect(context.res.body).toContain('<label for="lastName">Apellidos</label>');
+    });
+
+    test('should translate error pages', async () => {
+      req.headers = { accept: 'text/html', 'accept-language': 'fr' };
+      req.query.sig = 'invalid-signature';
+
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(401);
+      expect(context.res.body).toContain('<h1>Échec de la connexion</h1>');
+      expect(context.res.body).toContain('<p class="error">Signature non valide.</p>');
+      expect(context.res.body).toContain('>Réessayer</a>');
+    });
+  });
+
+  describe('Unsupported Operations', () => {
+    test('should reject operations without a signature scheme', async () => {
+      req.query = {
+        operation: 'DeleteEverything',
+        salt: 'test-salt',
+        userId: 'test-user@example.com',
+        sig: signParts('test-salt', 'test-user@example.com')
+      };
+
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(401);
+      expect(context.res.body.error).toBe('Invalid signature');
+    });
+
+    test('should support ChangePassword operation signature validation', async () => {
+      const salt = 'test-salt';
+      const userId = 'test-user@example.com';
+
+      const crypto = require('crypto');
+      const keyBytes = Buffer.from(process.env.APIM_VALIDATION_KEY, 'base64');
+      const stringToSign = salt + '\n' + userId;
+      const hmac = crypto.createHmac('sha512', keyBytes);
+      const validSignature = hmac.update(stringToSign, 'utf8').digest('base64');
+
+      req.query = {
+        operation: 'ChangePassword',
+        salt: salt,
+        userId: userId,
+        sig: validSignature
+      };
+
+      getUserFromAPIM.mockResolvedValue({ properties: { email: 'test-user@example.com' } });
+      getOidcConfiguration.mockResolvedValue({ issuer: 'https://test-domain.okta.com' });
+      buildChangePasswordUrl.mockReturnValue('https://test-domain.okta.com/enduser/settings');
+
+      await delegationFunction(context, req);
+
+      // Should pass signature validation and be handled
+      expect(context.res.status).toBe(302);
+    });
+  });
+
+  describe('Error Handling', () => {
+    test('should handle general errors gracefully', async () => {
+      req.query = {
+        operation: 'SignIn',
+        salt: 'test-salt',
+        returnUrl: '/test'
+      };
+
+      // Force an error by not providing signature
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(401);
+      expect(context.res.body.error).toBe('Invalid signature');
+    });
+
+    test('should not expose error details', async () => {
+      req.query = {
+        operation: 'ChangeProfile',
+        salt: 'test-salt',
+        userId: 'test-user',
+        sig: signParts('test-salt', 'test-user')
+      };
+      getUserFromAPIM.mockRejectedValue(
+        new Error('HTTP 403: AuthorizationFailed for /subscriptions/x')
+      );
+
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(500);
+      expect(context.res.body).toEqual({ error: 'Internal server error' });
+    });
+
+    test('should show browsers an error page with a try again link', async () => {
+      req.headers.accept = 'text/html,application/xhtml+xml,*/*;q=0.8';
+      req.query = {
+        operation: 'SignUp',
+        salt: 'test-salt',
+        returnUrl: '/test',
+        sig: 'invalid-signature'
+      };
+
+      await delegationFunction(context, req);
+
+      expect(context.res.status).toBe(401);
+      expect(context.res.headers['Content-Type']).toBe('text/html; charset=utf-8');
+      expect(context.res.body).toContain('<h1>Sign-in failed</h1>');
+      expect(context.res.body).toContain(
+        'href="https://test-apim.developer.azure-api.net/signup">Try again</a>'
+      );
+    });
+
+    test('should log operation details', async () => {
+      req.query = {
+        operation: 'SignIn',
+        userId: 'test-user',
+        salt: 'test-salt',
+        returnUrl: '/test'
+      };
+
+      await delegationFunction(context, req);
+
+      expect(getLogEntries(context)).toContainEqual(
+        expect.objectContaining({ message: 'Delegation endpoint called' })
+      );
+      expect(getLogEntries(context)).toContainEqual(
+        expect.objectContaining({ message: 'Operation:', data: 'SignIn' })
+      );
+      expect(getLogEntries(context)).toContainEqual(
+        expect.objectContaining({ message: 'UserId hash:', data: hashId('test-user') })
+      );
+      expect(JSON.stringify(context.log.info.mock.calls)).not.toContain('test-user');
+      expect(getLogEntries(context)).toContainEqual(
+        expect.objectContaining({ message: 'ReturnUrl:', data: '/test' })
+      );
+    });
+
+    test('should not log the salt, signature or authorization URL parameters', async () => {
+      req.query = {
+        operation: 'SignIn',
+        salt: 'secret-salt',
+        returnUrl: '/test',
+        sig: signParts('secret-salt', '/test')
+      };
+      getOidcConfiguration.mockResolvedValue({
+        issuer: 'https://test-domain.okta.com',
+        clientId: 'test-client-id',
+        redirectUri: 'https://test-function-app.azurewebsites.net/api/auth-callback'
+      });
+      buildAuthorizationUrl.mockReturnValue(
+        'https://test-domain.okta.com/authorize?client_id=test-client-id&state=v1.abc&nonce=n1'
+      );
+
+      await delegationFunction(context, req);
+
+      const output = JSON.stringify(context.log.info.mock.calls);
+      expect(output).not.toContain('secret-salt');
+      expect(output).not.toContain(req.query.sig);
+      expect(output).not.toContain('v1.abc');
+      expect(getLogEntries(context)).toContainEqual(
+        expect.objectContaining({
+          message: 'Redirecting to OIDC provider:',
+          data: 'https://test-domain.okta.com/authorize?client_id=test-client-id&state=[REDACTED]&nonce=[REDACTED]',
+          function: 'delegation',
+          correlationId: 'test-invocation-id'
+        })
+      );
     });
   });
 });
@@ -0,0 +1,89 @@
+const { prefersHtml, getRetryUrl, errorResponse } = require('../shared/error-page');
+
+describe('Error Pages', () => {
+  const originalEnv = process.env;
+  const browserAccept = 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8';
+  let context;
+
+  beforeEach(() => {
+    context = createMockContext();
+    process.env = {
+      ...originalEnv,
+      APIM_PORTAL_URL: 'https://portal.example.com'
+    };
+    delete process.env.APIM_INSTANCES;
+    delete process.env.BRAND_SUPPORT_CONTACT;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe('prefersHtml', () => {
+    test.each([
+      [browserAccept, true],
+      ['text/html', true],
+      ['application/json', false],
+      ['application/json, text/html;q=0.5', false],
+      ['text/html;q=0.9, application/json;q=0.9', true],
+      ['text/html;q=0', false],
+      ['*/*', false],
+      [undefined, false]
+    ])('should treat Accept %s as %s', (accept, expected) => {
+      expect(prefersHtml(createMockRequest({ headers: { accept } }))).toBe(expected);
+    });
+  });
+
+  describe('getRetryUrl', () => {
+    test.each([
+      [undefined, 'https://portal.example.com/signin'],
+      ['SignIn', 'https://portal.example.com/signin'],
+      ['SignUp', 'https://portal.example.com/signup'],
+      ['ChangeProfile', 'https://portal.example.com/profile'],
+      ['Subscribe', 'https://portal.example.com/profile']
+    ])('should restart %s at %s', (operation, url) => {
+      expect(getRetryUrl(context, operation)).toBe(url);
+    });
+  });
+
+  describe('errorResponse', () => {
+    test('should keep the JSON body for API clients', () => {
+      const req = createMockRequest({ headers: { accept: 'application/json' } });
+
+      const res = errorResponse(context, req, 409, { error: 'Already used', code: 'REPLAYED' });
+
+      expect(res).toEqual({
+        status: 409,
+        headers: { 'Content-Type': 'application/json' },
+        body: { error: 'Already used', code: 'REPLAYED' }
+      });
+    });
+
+    test('should render an error page for browsers', () => {
+      process.env.BRAND_SUPPORT_CONTACT = 'help@example.com';
+      const req = createMockRequest({
+        headers: { accept: browserAccept, 'x-correlation-id': 'abc-123' }
+      });
+
+      const res = errorResponse(context, req, 400, { error: 'State <expired>' }, 'SignUp');
+
+      expect(res.status).toBe(400);
+      expect(res.headers['Content-Type']).toBe('text/html; charset=utf-8');
+      expect(res.body).toContain('<h1>We could not complete your request</h1>');
+      expect(res.body).toContain('<p class="error">State &lt;expired&gt;</p>');
+      expect(res.body).toContain(
+        '<a class="button" href="https://portal.example.com/signup">Try again</a>'
+      );
+      expect(res.body).toContain('href="mailto:help@example.com"');
+      expect(res.body).toContain('Reference: abc-123');
+    });
+
+    test('should use the generic title for other statuses', () => {
+      const req = createMockRequest({ headers: { accept: 'text/html' } });
+
+      expect(errorResponse(context, req, 502, { error: 'Bad gateway' }).body).toContain(
+        '<h1>Something went wrong</h1>'
+      );
+    });
+  });
+});
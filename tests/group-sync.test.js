@@ -0,0 +1,157 @@
+jest.mock('../shared/apim-helper');
+
+const { listUserGroups, addUserToGroup, removeUserFromGroup } = require('../shared/apim-helper');
+const { setApimInstance } = require('../shared/apim-instances');
+const { parseGroupMapping, syncUserGroups } = require('../shared/group-sync');
+
+describe('Group Sync', () => {
+  const originalEnv = process.env;
+  let context;
+
+  beforeEach(() => {
+    context = createMockContext();
+    process.env = {
+      ...originalEnv,
+      APIM_GROUP_MAPPING: JSON.stringify({
+        'api-partners': 'partners',
+        Admin: ['partners', 'internal']
+      })
+    };
+    delete process.env.APIM_INSTANCES;
+    delete process.env.APIM_GROUP_CLAIMS;
+    delete process.env.APIM_PROTECTED_GROUPS;
+    delete process.env.APIM_GROUP_SYNC_DRY_RUN;
+    jest.clearAllMocks();
+    listUserGroups.mockResolvedValue([{ name: 'developers' }]);
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe('parseGroupMapping', () => {
+    test('should map claim values to lists of group IDs', () => {
+      expect(parseGroupMapping('{"a": "one", "b": ["two", " three "]}')).toEqual(
+        new Map([
+          ['a', ['one']],
+          ['b', ['two', 'three']]
+        ])
+      );
+    });
+
+    test.each([
+      ['not json', 'not valid JSON'],
+      ['[]', 'expected a JSON object'],
+      ['{"a": []}', 'a must map to a group ID or a list of them'],
+      ['{"a": [1]}', 'a must map to a group ID or a list of them']
+    ])('should reject %s', (json, message) => {
+      expect(() => parseGroupMapping(json)).toThrow(`Invalid APIM_GROUP_MAPPING: ${message}`);
+    });
+  });
+
+  describe('syncUserGroups', () => {
+    test('should do nothing without APIM_GROUP_MAPPING', async () => {
+      delete process.env.APIM_GROUP_MAPPING;
+
+      await expect(syncUserGroups('jane', { groups: ['Admin'] }, context)).resolves.toEqual({
+        added: [],
+        removed: []
+      });
+      expect(listUserGroups).not.toHaveBeenCalled();
+    });
+
+    test('should add the groups mapped from the groups and roles claims', async () => {
+      const result = await syncUserGroups(
+        'jane',
+        { groups: ['api-partners', 'unmapped'], roles: 'Admin' },
+        context
+      );
+
+      expect(result).toEqual({ added: ['partners', 'internal'], removed: [] });
+      expect(addUserToGroup).toHaveBeenCalledWith('partners', 'jane', context);
+      expect(addUserToGroup).toHaveBeenCalledWith('internal', 'jane', context);
+      expect(removeUserFromGroup).not.toHaveBeenCalled();
+    });
+
+    test('should remove managed groups the claims no longer map to', async () => {
+      listUserGroups.mockResolvedValue([
+        { name: 'developers' },
+        { name: 'Partners' },
+        { name: 'internal' }
+      ]);
+
+      const result = await syncUserGroups('jane', { groups: ['api-partners'] }, context);
+
+      expect(result).toEqual({ added: [], removed: ['internal'] });
+      expect(addUserToGroup).not.toHaveBeenCalled();
+      expect(removeUserFromGroup).toHaveBeenCalledTimes(1);
+      expect(removeUserFromGroup).toHaveBeenCalledWith('internal', 'jane', context);
+    });
+
+    test('should keep groups the mapping does not manage', async () => {
+      listUserGroups.mockResolvedValue([{ name: 'beta-testers' }, { name: 'internal' }]);
+
+      const result = await syncUserGroups('jane', {}, context);
+
+      expect(result).toEqual({ added: [], removed: ['internal'] });
+      expect(removeUserFromGroup).not.toHaveBeenCalledWith('beta-testers', 'jane', context);
+    });
+
+    test('should never remove protected groups', async () => {
+      process.env.APIM_GROUP_MAPPING = '{"Admin": ["administrators", "internal"]}';
+      listUserGroups.mockResolvedValue([{ name: 'administrators' }, { name: 'internal' }]);
+
+      const result = await syncUserGroups('jane', {}, context);
+
+      expect(result.removed).toEqual(['internal']);
+    });
+
+    test('should use APIM_PROTECTED_GROUPS instead of the built-in groups', async () => {
+      process.env.APIM_PROTECTED_GROUPS = 'internal';
+      listUserGroups.mockResolvedValue([{ name: 'partners' }, { name: 'internal' }]);
+
+      const result = await syncUserGroups('jane', {}, context);
+
+      expect(result.removed).toEqual(['partners']);
+    });
+
+    test('should read the claims listed in APIM_GROUP_CLAIMS', async () => {
+      process.env.APIM_GROUP_CLAIMS = 'teams';
+
+      const result = await syncUserGroups(
+        'jane',
+        { groups: ['Admin'], teams: ['api-partners'] },
+        context
+      );
+
+      expect(result.added).toEqual(['partners']);
+    });
+
+    test('should only log the changes in a dry run', async () => {
+      process.env.APIM_GROUP_SYNC_DRY_RUN = 'true';
+      listUserGroups.mockResolvedValue([{ name: 'internal' }]);
+
+      const result = await syncUserGroups('jane', { groups: ['api-partners'] }, context);
+
+      expect(result).toEqual({ added: ['partners'], removed: ['internal'] });
+      expect(addUserToGroup).not.toHaveBeenCalled();
+      expect(removeUserFromGroup).not.toHaveBeenCalled();
+      expect(getLogEntries(context)).toContainEqual(
+        expect.objectContaining({
+          message: 'Group sync dry run, would remove:',
+          data: ['internal']
+        })
+      );
+    });
+
+    test('should use the mapping of the APIM instance', async () => {
+      process.env.APIM_INSTANCES = 'dev,prod';
+      process.env.APIM_PROD_GROUP_MAPPING = '{"api-partners": "prod-partners"}';
+      setApimInstance(context, 'prod');
+
+      const result = await syncUserGroups('jane', { groups: ['api-partners'] }, context);
+
+      expect(result.added).toEqual(['prod-partners']);
+    });
+  });
+});
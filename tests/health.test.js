@@ -26,7 +26,9 @@ describe('Health Function', () => {
   test('should log health check call', async () => {
     await healthFunction(context, req);
 
-    expect(context.log).toHaveBeenCalledWith('Health check called');
+    expect(getLogEntries(context)).toContainEqual(
+      expect.objectContaining({ message: 'Health check called' })
+    );
   });
 
   test('should return valid ISO timestamp', async () => {
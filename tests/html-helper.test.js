@@ -0,0 +1,148 @@
+const {
+  escapeHtml,
+  renderPage,
+  renderSupportContact,
+  htmlResponse,
+  parseFormBody,
+  parseCookies
+} = require('../shared/html-helper');
+
+describe('HTML Helper', () => {
+  describe('escapeHtml', () => {
+    test('should escape HTML special characters', () => {
+      expect(escapeHtml('<a href="x">Tom & Jerry\'s</a>')).toBe(
+        '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;'
+      );
+    });
+
+    test('should render null and undefined as empty strings', () => {
+      expect(escapeHtml(null)).toBe('');
+      expect(escapeHtml(undefined)).toBe('');
+    });
+  });
+
+  describe('renderPage', () => {
+    test('should wrap content in a document with an escaped title', () => {
+      const html = renderPage('<Profile>', '<p>content</p>');
+
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).toContain('<title>&lt;Profile&gt;</title>');
+      expect(html).toContain('<p>content</p>');
+    });
+
+    test('should set the document language', () => {
+      expect(renderPage('Profile', '')).toContain('<html lang="en">');
+      expect(renderPage('Profil', '', 'de-CH')).toContain('<html lang="de-CH">');
+    });
+
+    describe('branding', () => {
+      const originalEnv = process.env;
+
+      beforeEach(() => {
+        process.env = { ...originalEnv };
+      });
+
+      afterEach(() => {
+        process.env = originalEnv;
+      });
+
+      test('should show the logo and name the brand in the title', () => {
+        process.env.BRAND_NAME = 'Contoso APIs';
+        process.env.BRAND_LOGO_URL = 'https://cdn.contoso.com/logo.png';
+
+        const html = renderPage('Profile', '');
+
+        expect(html).toContain('<title>Profile - Contoso APIs</title>');
+        expect(html).toContain(
+          '<img class="logo" src="https://cdn.contoso.com/logo.png" alt="Contoso APIs">'
+        );
+      });
+
+      test('should only show https logos', () => {
+        process.env.BRAND_LOGO_URL = 'http://cdn.contoso.com/logo.png';
+
+        expect(renderPage('Profile', '')).not.toContain('<img');
+      });
+
+      test('should apply valid brand colors and ignore others', () => {
+        process.env.BRAND_PRIMARY_COLOR = '#c50f1f';
+        process.env.BRAND_BACKGROUND_COLOR = 'red; } body { display: none';
+
+        const html = renderPage('Profile', '');
+
+        expect(html).toContain('a { color: #c50f1f; }');
+        expect(html).toContain('background: #f4f5f7;');
+        expect(html).not.toContain('display: none');
+      });
+    });
+  });
+
+  describe('renderSupportContact', () => {
+    test('should link email addresses and URLs', () => {
+      expect(renderSupportContact('help@contoso.com')).toBe(
+        '<p>If you need help, contact <a href="mailto:help@contoso.com">help@contoso.com</a>.</p>'
+      );
+      expect(renderSupportContact('https://help.contoso.com', 'Questions? Ask {contact}.')).toBe(
+        '<p>Questions? Ask <a href="https://help.contoso.com">https://help.contoso.com</a>.</p>'
+      );
+    });
+
+    test('should show other contacts as text', () => {
+      expect(renderSupportContact('the <API> team')).toBe(
+        '<p>If you need help, contact the &lt;API&gt; team.</p>'
+      );
+    });
+
+    test('should point to the administrator without a contact', () => {
+      expect(renderSupportContact(undefined)).toBe(
+        '<p>If you need help, contact your administrator.</p>'
+      );
+      expect(renderSupportContact('', 'Ask {contact}.', 'Ask your <administrator>.')).toBe(
+        '<p>Ask your &lt;administrator&gt;.</p>'
+      );
+    });
+  });
+
+  describe('htmlResponse', () => {
+    test('should set HTML and security headers', () => {
+      const res = htmlResponse(200, '<p>ok</p>');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toBe('<p>ok</p>');
+      expect(res.headers['Content-Type']).toBe('text/html; charset=utf-8');
+      expect(res.headers['Cache-Control']).toBe('no-store');
+      expect(res.headers['Content-Security-Policy']).toContain("frame-ancestors 'none'");
+    });
+  });
+
+  describe('parseFormBody', () => {
+    test('should parse a urlencoded raw body', () => {
+      expect(parseFormBody({ rawBody: 'a=1&b=hello+world&c=%40' })).toEqual({
+        a: '1',
+        b: 'hello world',
+        c: '@'
+      });
+    });
+
+    test('should accept an already parsed body object', () => {
+      expect(parseFormBody({ body: { a: '1' } })).toEqual({ a: '1' });
+    });
+
+    test('should return an empty object without a body', () => {
+      expect(parseFormBody({ body: null, rawBody: null })).toEqual({});
+    });
+  });
+
+  describe('parseCookies', () => {
+    test('should parse the Cookie header', () => {
+      expect(parseCookies({ headers: { cookie: 'a=1; b=hello%20world; flag' } })).toEqual({
+        a: '1',
+        b: 'hello world'
+      });
+    });
+
+    test('should return an empty object without cookies', () => {
+      expect(parseCookies({ headers: {} })).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const { getSupportedLocales, negotiateLocale, setLocale, getLocale, t } = require('../shared/i18n');
+
+describe('Localization', () => {
+  const originalEnv = process.env;
+  let context;
+
+  function request(acceptLanguage, query = {}) {
+    return createMockRequest({ headers: { 'accept-language': acceptLanguage }, query });
+  }
+
+  beforeEach(() => {
+    context = createMockContext();
+    process.env = { ...originalEnv };
+    delete process.env.I18N_LOCALES;
+    delete process.env.I18N_DEFAULT_LOCALE;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe('catalogs', () => {
+    const english = require('../shared/locales/en.json');
+    const files = fs.readdirSync(path.join(__dirname, '../shared/locales'));
+
+    function placeholders(catalog) {
+      return Object.fromEntries(
+        Object.entries(catalog).map(([key, message]) => [key, message.match(/\{\w+\}/g) || []])
+      );
+    }
+
+    test.each(files)('%s should translate every English message', file => {
+      const catalog = require(`../shared/locales/${file}`);
+
+      expect(Object.keys(catalog).sort()).toEqual(Object.keys(english).sort());
+      expect(placeholders(catalog)).toEqual(placeholders(english));
+    });
+  });
+
+  describe('getSupportedLocales', () => {
+    test('should offer every catalog by default', () => {
+      expect(getSupportedLocales()).toEqual(expect.arrayContaining(['en', 'de', 'fr', 'es']));
+    });
+
+    test('should limit the locales to I18N_LOCALES with a catalog', () => {
+      process.env.I18N_LOCALES = 'EN, fr, xx';
+
+      expect(getSupportedLocales()).toEqual(['en', 'fr']);
+    });
+  });
+
+  describe('negotiateLocale', () => {
+    test.each([
+      ['de', 'de'],
+      ['fr-CA, en;q=0.8', 'fr'],
+      ['nl, es;q=0.5, de;q=0.7', 'de'],
+      ['en;q=0, fr;q=0.1', 'fr'],
+      ['*', 'en'],
+      ['ja', 'en'],
+      [undefined, 'en']
+    ])('should pick the locale for Accept-Language %s', (acceptLanguage, locale) => {
+      expect(negotiateLocale(request(acceptLanguage))).toBe(locale);
+    });
+
+    test('should prefer the ui_locales query parameter', () => {
+      expect(negotiateLocale(request('de', { ui_locales: 'ja es-419' }))).toBe('es');
+    });
+
+    test('should prefer a hint over the request', () => {
+      expect(negotiateLocale(request('de', { ui_locales: 'es' }), 'fr')).toBe('fr');
+    });
+
+    test('should fall back to I18N_DEFAULT_LOCALE', () => {
+      process.env.I18N_DEFAULT_LOCALE = 'de';
+
+      expect(negotiateLocale(request('ja'))).toBe('de');
+    });
+
+    test('should only offer the configured locales', () => {
+      process.env.I18N_LOCALES = 'en,es';
+
+      expect(negotiateLocale(request('de, es;q=0.5'))).toBe('es');
+    });
+  });
+
+  describe('t', () => {
+    test('should translate into the locale bound to the invocation', () => {
+      expect(setLocale(context, request('de-DE'))).toBe('de');
+      expect(getLocale(context)).toBe('de');
+
+      expect(t(context, 'homeRealm.unknownDomain', { domain: 'contoso.com' })).toMatch(
+        /^Für contoso\.com wurde keine Anmeldemöglichkeit gefunden/
+      );
+    });
+
+    test('should use the default locale for an invocation without one', () => {
+      expect(getLocale(context)).toBe('en');
+      expect(t(context, 'error.tryAgain')).toBe('Try again');
+    });
+
+    test('should fall back to the fallback text, then the key', () => {
+      setLocale(context, request('fr'));
+
+      expect(t(context, 'error.message.Quota exceeded', {}, 'Quota exceeded')).toBe(
+        'Quota exceeded'
+      );
+      expect(t(context, 'missing.key')).toBe('missing.key');
+    });
+
+    test('should keep placeholders without a value', () => {
+      expect(t(context, 'common.supportContact')).toBe('If you need help, contact {contact}.');
+    });
+  });
+});
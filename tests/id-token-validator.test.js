@@ -0,0 +1,188 @@
+// Mock the https module BEFORE imports
+jest.mock('https', () => ({
+  get: jest.fn()
+}));
+
+const crypto = require('crypto');
+const https = require('https');
+const { validateIdToken, clearJwksCache } = require('../shared/id-token-validator');
+
+const rsaKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ecKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+function publicJwk(keyPair, kid) {
+  return { ...keyPair.publicKey.export({ format: 'jwk' }), kid, use: 'sig' };
+}
+
+function signToken(claims, { alg = 'RS256', kid = 'rsa-1', keyPair = rsaKeys } = {}) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode({ alg, kid, typ: 'JWT' })}.${encode(claims)}`;
+  const signature = crypto.sign('sha256', Buffer.from(signingInput), {
+    key: keyPair.privateKey,
+    dsaEncoding: 'ieee-p1363'
+  });
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+// Queue a JWKS response on https.get
+function mockJwks(keys) {
+  https.get.mockImplementationOnce((url, callback) => {
+    callback({
+      statusCode: 200,
+      on: jest.fn((event, handler) => {
+        if (event === 'data') {
+          handler(JSON.stringify({ keys }));
+        } else if (event === 'end') {
+          handler();
+        }
+      })
+    });
+    return { on: jest.fn() };
+  });
+}
+
+describe('ID Token Validator', () => {
+  const oidcConfig = {
+    issuer: 'https://test-domain.okta.com',
+    clientId: 'test-client-id',
+    endpoints: {
+      issuer: 'https://test-domain.okta.com',
+      jwks_uri: 'https://test-domain.okta.com/oauth2/v1/keys'
+    }
+  };
+  let context;
+  let claims;
+
+  beforeEach(() => {
+    context = createMockContext();
+    clearJwksCache();
+    jest.clearAllMocks();
+
+    claims = {
+      iss: 'https://test-domain.okta.com',
+      aud: 'test-client-id',
+      sub: 'user123',
+      exp: Math.floor(Date.now() / 1000) + 300,
+      nonce: 'test-nonce'
+    };
+  });
+
+  test('should validate an RS256 token and return its claims', async () => {
+    mockJwks([publicJwk(rsaKeys, 'rsa-1')]);
+
+    const result = await validateIdToken(
+      signToken(claims),
+      { oidcConfig, nonce: 'test-nonce' },
+      context
+    );
+
+    expect(result.sub).toBe('user123');
+    expect(https.get.mock.calls[0][0]).toBe('https://test-domain.okta.com/oauth2/v1/keys');
+  });
+
+  test('should validate an ES256 token', async () => {
+    mockJwks([publicJwk(ecKeys, 'ec-1')]);
+
+    const token = signToken(claims, { alg: 'ES256', kid: 'ec-1', keyPair: ecKeys });
+
+    await expect(
+      validateIdToken(token, { oidcConfig, nonce: 'test-nonce' }, context)
+    ).resolves.toMatchObject({ sub: 'user123' });
+  });
+
+  test('should cache the JWKS between validations', async () => {
+    mockJwks([publicJwk(rsaKeys, 'rsa-1')]);
+
+    await validateIdToken(signToken(claims), { oidcConfig, nonce: 'test-nonce' }, context);
+    await validateIdToken(signToken(claims), { oidcConfig, nonce: 'test-nonce' }, context);
+
+    expect(https.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('should refetch the JWKS when the key id is unknown', async () => {
+    const rotatedKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    mockJwks([publicJwk(rsaKeys, 'rsa-1')]);
+    await validateIdToken(signToken(claims), { oidcConfig, nonce: 'test-nonce' }, context);
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 120000);
+    mockJwks([publicJwk(rotatedKeys, 'rsa-2')]);
+    const token = signToken(claims, { kid: 'rsa-2', keyPair: rotatedKeys });
+
+    await expect(
+      validateIdToken(token, { oidcConfig, nonce: 'test-nonce' }, context)
+    ).resolves.toMatchObject({ sub: 'user123' });
+    expect(https.get).toHaveBeenCalledTimes(2);
+  });
+
+  test('should not refetch the JWKS again right after a fetch', async () => {
+    mockJwks([publicJwk(rsaKeys, 'rsa-1')]);
+    const token = signToken(claims, { kid: 'unknown' });
+
+    await expect(
+      validateIdToken(token, { oidcConfig, nonce: 'test-nonce' }, context)
+    ).rejects.toThrow('No signing key found');
+    expect(https.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject a token signed by another key', async () => {
+    const otherKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    mockJwks([publicJwk(rsaKeys, 'rsa-1')]);
+
+    await expect(
+      validateIdToken(
+        signToken(claims, { keyPair: otherKeys }),
+        { oidcConfig, nonce: 'test-nonce' },
+        context
+      )
+    ).rejects.toMatchObject({ code: 'ID_TOKEN_INVALID', message: 'ID token signature is invalid' });
+  });
+
+  test('should reject unsigned and HMAC tokens', async () => {
+    const payload = signToken(claims).split('.')[1];
+    const noneHeader = Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url');
+    const hsHeader = Buffer.from(JSON.stringify({ alg: 'HS256' })).toString('base64url');
+
+    await expect(
+      validateIdToken(`${noneHeader}.${payload}.`, { oidcConfig, nonce: 'test-nonce' }, context)
+    ).rejects.toThrow('algorithm none is not accepted');
+    await expect(
+      validateIdToken(`${hsHeader}.${payload}.sig`, { oidcConfig, nonce: 'test-nonce' }, context)
+    ).rejects.toThrow('algorithm HS256 is not accepted');
+    expect(https.get).not.toHaveBeenCalled();
+  });
+
+  test('should reject a malformed token', async () => {
+    await expect(
+      validateIdToken('not-a-jwt', { oidcConfig, nonce: 'test-nonce' }, context)
+    ).rejects.toMatchObject({ code: 'ID_TOKEN_INVALID' });
+    await expect(
+      validateIdToken(undefined, { oidcConfig, nonce: 'test-nonce' }, context)
+    ).rejects.toMatchObject({ code: 'ID_TOKEN_INVALID' });
+  });
+
+  test.each([
+    ['issuer', { iss: 'https://evil.example' }, 'does not match'],
+    ['audience', { aud: 'other-client' }, 'not issued for this client'],
+    ['authorized party', { aud: ['test-client-id', 'other'], azp: 'other' }, 'authorized party'],
+    ['expiry', { exp: Math.floor(Date.now() / 1000) - 120 }, 'has expired'],
+    ['nonce', { nonce: 'other-nonce' }, 'nonce does not match']
+  ])('should reject a token with the wrong %s', async (_name, overrides, message) => {
+    mockJwks([publicJwk(rsaKeys, 'rsa-1')]);
+
+    await expect(
+      validateIdToken(
+        signToken({ ...claims, ...overrides }),
+        { oidcConfig, nonce: 'test-nonce' },
+        context
+      )
+    ).rejects.toThrow(message);
+  });
+
+  test('should reject a token when the state carried no nonce', async () => {
+    mockJwks([publicJwk(rsaKeys, 'rsa-1')]);
+
+    await expect(validateIdToken(signToken(claims), { oidcConfig }, context)).rejects.toThrow(
+      'nonce does not match'
+    );
+  });
+});
@@ -0,0 +1,184 @@
+const {
+  redact,
+  hashId,
+  getCorrelationId,
+  createLogger,
+  initLogger,
+  getLogger
+} = require('../shared/logger');
+
+describe('Logger', () => {
+  const originalEnv = process.env;
+  let context;
+
+  beforeEach(() => {
+    context = createMockContext();
+    process.env = { ...originalEnv };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe('redact', () => {
+    test('should redact sensitive query parameters in URLs', () => {
+      expect(
+        redact(
+          'Redirecting to https://idp.example/authorize?client_id=abc&state=v1.x&code_challenge=c&login_hint=a%40b.com'
+        )
+      ).toBe(
+        'Redirecting to https://idp.example/authorize?client_id=abc&state=[REDACTED]&code_challenge=[REDACTED]&login_hint=[REDACTED]'
+      );
+    });
+
+    test('should redact profile query parameters and encoded email addresses', () => {
+      expect(
+        redact(
+          'https://portal.example/signin?email=alice%40example.com&firstName=Alice&LastName=Doe&salt=s&returnUrl=%2F'
+        )
+      ).toBe(
+        'https://portal.example/signin?email=[REDACTED]&firstName=[REDACTED]&LastName=[REDACTED]&salt=[REDACTED]&returnUrl=%2F'
+      );
+      expect(redact('Invited alice%40example.com')).toBe('Invited [REDACTED_EMAIL]');
+    });
+
+    test('should redact the whole query of APIM SSO URLs', () => {
+      expect(
+        redact('https://portal.example/signin-sso?token=user1%26202501010000%26abc&returnUrl=%2F')
+      ).toBe('https://portal.example/signin-sso?[REDACTED]');
+    });
+
+    test('should redact JWTs and email addresses in strings', () => {
+      expect(
+        redact('token eyJhbGciOiJSUzI1NiJ9.eyJzdWIiOiIxIn0.c2ln for jane.doe@example.com')
+      ).toBe('token [REDACTED] for [REDACTED_EMAIL]');
+    });
+
+    test('should redact sensitive object keys at any depth', () => {
+      expect(
+        redact({
+          firstName: 'Jane',
+          email: 'jane@example.com',
+          tokens: [{ access_token: 'abc', token_type: 'Bearer' }],
+          endpoints: { token_endpoint: 'https://idp.example/token' },
+          validationKey: 'a2V5',
+          empty: null
+        })
+      ).toEqual({
+        firstName: '[REDACTED]',
+        email: '[REDACTED]',
+        tokens: [{ access_token: '[REDACTED]', token_type: 'Bearer' }],
+        endpoints: { token_endpoint: 'https://idp.example/token' },
+        validationKey: '[REDACTED]',
+        empty: null
+      });
+    });
+
+    test('should reduce errors to their name, message and code', () => {
+      const error = Object.assign(new Error('HTTP 404 for jane@example.com'), { statusCode: 404 });
+
+      expect(redact(error)).toEqual({
+        name: 'Error',
+        message: 'HTTP 404 for [REDACTED_EMAIL]',
+        statusCode: 404
+      });
+    });
+
+    test('should handle circular references', () => {
+      const value = { name: 'loop' };
+      value.self = value;
+
+      expect(redact(value)).toEqual({ name: 'loop', self: '[Circular]' });
+    });
+  });
+
+  describe('hashId', () => {
+    test('should log a short, stable hash instead of the ID', () => {
+      expect(hashId('jane_doe_contoso_com')).toMatch(/^[0-9a-f]{12}$/);
+      expect(hashId('jane_doe_contoso_com')).toBe(hashId('jane_doe_contoso_com'));
+      expect(hashId('john_doe_contoso_com')).not.toBe(hashId('jane_doe_contoso_com'));
+      expect(hashId(undefined)).toBeUndefined();
+    });
+  });
+
+  describe('getCorrelationId', () => {
+    test('should use the x-correlation-id header', () => {
+      const req = createMockRequest({ headers: { 'x-correlation-id': 'abc-123' } });
+
+      expect(getCorrelationId(context, req)).toBe('abc-123');
+    });
+
+    test('should ignore unsafe header values and fall back to the invocation ID', () => {
+      const req = createMockRequest({ headers: { 'x-correlation-id': 'bad\nvalue' } });
+
+      expect(getCorrelationId(context, req)).toBe('test-invocation-id');
+    });
+  });
+
+  describe('createLogger', () => {
+    test('should write JSON entries through the matching host log level', () => {
+      const log = createLogger(context, { functionName: 'delegation', correlationId: 'abc' });
+
+      log.warn('Rejected request:', { sig: 'c2ln', operation: 'SignIn' });
+
+      expect(getLogEntries(context, 'warn')).toEqual([
+        {
+          timestamp: expect.any(String),
+          level: 'warn',
+          message: 'Rejected request:',
+          function: 'delegation',
+          correlationId: 'abc',
+          invocationId: 'test-invocation-id',
+          data: { sig: '[REDACTED]', operation: 'SignIn' }
+        }
+      ]);
+    });
+
+    test('should collect several arguments into data', () => {
+      createLogger(context).info('Subscription created:', 'sub-1', 'active');
+
+      expect(getLogEntries(context)[0].data).toEqual(['sub-1', 'active']);
+    });
+
+    test('should drop entries below LOG_LEVEL', () => {
+      process.env.LOG_LEVEL = 'warn';
+      const log = createLogger(context);
+
+      log.info('hidden');
+      log.verbose('hidden');
+      log.error('shown');
+
+      expect(context.log.info).not.toHaveBeenCalled();
+      expect(context.log.verbose).not.toHaveBeenCalled();
+      expect(getLogEntries(context, 'error')[0].message).toBe('shown');
+    });
+  });
+
+  describe('getLogger', () => {
+    test('should return the logger created for the invocation', () => {
+      const req = createMockRequest({ headers: { 'x-request-id': 'req-1' } });
+      const log = initLogger(context, req, 'auth-callback');
+
+      expect(getLogger(context)).toBe(log);
+
+      getLogger(context).info('From a helper');
+      expect(getLogEntries(context)[0]).toMatchObject({
+        function: 'auth-callback',
+        correlationId: 'req-1'
+      });
+    });
+
+    test('should create a default logger for an uninitialized context', () => {
+      getLogger(context).info('From a helper');
+
+      expect(getLogEntries(context)[0]).toMatchObject({
+        function: 'test-function',
+        correlationId: 'test-invocation-id'
+      });
+    });
+
+    test('should be silent without a context', () => {
+      expect(() => getLogger(undefined).error('nowhere')).not.toThrow();
+    });
+  });
+});
@@ -4,10 +4,16 @@ jest.mock('https', () => ({
 }));
 
 const {
+  getOidcProviders,
+  findProviderForEmail,
   getOidcConfig,
+  generatePkce,
   discoverOidcEndpoints,
   getOidcConfiguration,
   buildAuthorizationUrl,
+  buildSignUpUrl,
+  buildChangePasswordUrl,
+  changePasswordReturnsToPortal,
   validateOidcConfig,
   clearDiscoveryCache
 } = require('../shared/oidc-helper');
@@ -47,7 +53,11 @@ describe('OIDC Helper', () => {
         issuer: 'https://test-domain.okta.com',
         clientId: 'test-client-id',
         clientSecret: 'test-client-secret',
-        redirectUri: 'https://test-function-app.azurewebsites.net/api/auth-callback'
+        redirectUri: 'https://test-function-app.azurewebsites.net/api/auth-callback',
+        publicClient: false,
+        usePkce: true,
+        pkceRequired: false,
+        claimMapping: expect.objectContaining({ required: ['email'] })
       });
     });
 
@@ -82,6 +92,196 @@ describe('OIDC Helper', () => {
         getOidcConfig();
       }).toThrow('Missing required OIDC configuration');
     });
+
+    test('should allow a public client without a client secret and require PKCE', () => {
+      delete process.env.OIDC_CLIENT_SECRET;
+      process.env.OIDC_PUBLIC_CLIENT = 'true';
+      process.env.OIDC_USE_PKCE = 'false';
+
+      const config = getOidcConfig();
+
+      expect(config.publicClient).toBe(true);
+      expect(config.usePkce).toBe(true);
+      expect(config.pkceRequired).toBe(true);
+    });
+
+    test('should disable PKCE when OIDC_USE_PKCE is false', () => {
+      process.env.OIDC_USE_PKCE = 'false';
+
+      expect(getOidcConfig().usePkce).toBe(false);
+    });
+  });
+
+  describe('multiple providers', () => {
+    beforeEach(() => {
+      Object.assign(process.env, {
+        OIDC_PROVIDERS: 'entra, Okta',
+        OIDC_ENTRA_DISPLAY_NAME: 'Employees',
+        OIDC_ENTRA_ISSUER: 'https://login.microsoftonline.com/tenant/v2.0',
+        OIDC_ENTRA_CLIENT_ID: 'entra-client-id',
+        OIDC_ENTRA_CLIENT_SECRET: 'entra-client-secret',
+        OIDC_OKTA_ISSUER: 'https://partners.okta.com',
+        OIDC_OKTA_CLIENT_ID: 'okta-client-id',
+        OIDC_OKTA_CLIENT_SECRET: 'okta-client-secret'
+      });
+    });
+
+    test('should list the providers with their display names', () => {
+      expect(getOidcProviders()).toEqual([
+        { id: 'entra', displayName: 'Employees' },
+        { id: 'okta', displayName: 'okta' }
+      ]);
+    });
+
+    test('should read the prefixed settings of the requested provider', () => {
+      const config = getOidcConfig('okta');
+
+      expect(config).toMatchObject({
+        provider: 'okta',
+        issuer: 'https://partners.okta.com',
+        clientId: 'okta-client-id',
+        clientSecret: 'okta-client-secret',
+        // Shared settings fall back to the unprefixed value
+        redirectUri: 'https://test-function-app.azurewebsites.net/api/auth-callback'
+      });
+    });
+
+    test('should use the first provider by default', () => {
+      expect(getOidcConfig().provider).toBe('entra');
+    });
+
+    test('should use OIDC_DEFAULT_PROVIDER when set', () => {
+      process.env.OIDC_DEFAULT_PROVIDER = 'okta';
+
+      expect(getOidcConfig().clientId).toBe('okta-client-id');
+    });
+
+    test('should reject an unknown provider', () => {
+      expect(() => getOidcConfig('github')).toThrow(
+        expect.objectContaining({ code: 'UNKNOWN_PROVIDER' })
+      );
+    });
+
+    test('should not fall back to the shared client credentials', () => {
+      delete process.env.OIDC_OKTA_CLIENT_SECRET;
+
+      expect(() => getOidcConfig('okta')).toThrow(
+        'Please set OIDC_OKTA_ISSUER, OIDC_OKTA_CLIENT_ID, OIDC_OKTA_CLIENT_SECRET'
+      );
+      expect(validateOidcConfig()).toBe(false);
+    });
+
+    test('should read the claim mapping per provider', () => {
+      process.env.OIDC_CLAIM_MAPPING = '{"email": ["email", "upn"]}';
+      process.env.OIDC_OKTA_CLAIM_MAPPING = '{"note": "${idp}:${sub}"}';
+
+      expect(getOidcConfig('entra').claimMapping.attributes.email).toEqual(['email', 'upn']);
+      expect(getOidcConfig('okta').claimMapping.attributes).toMatchObject({
+        email: ['email'],
+        note: ['${idp}:${sub}']
+      });
+    });
+
+    test('should reject an invalid claim mapping', () => {
+      process.env.OIDC_OKTA_CLAIM_MAPPING = '{"phone": "phone_number"}';
+
+      expect(() => getOidcConfig('okta')).toThrow(
+        'Invalid OIDC_OKTA_CLAIM_MAPPING or OIDC_CLAIM_MAPPING: unknown attribute phone'
+      );
+      expect(validateOidcConfig()).toBe(false);
+    });
+
+    test('should reject provider IDs that cannot be used in setting names', () => {
+      process.env.OIDC_PROVIDERS = 'entra,partner-idp';
+
+      expect(() => getOidcProviders()).toThrow('Invalid OIDC provider ID: partner-idp');
+    });
+
+    test('should use the provider fallback endpoint paths', async () => {
+      process.env.OIDC_OKTA_TOKEN_ENDPOINT = '/v1/token';
+      https.get.mockImplementationOnce(() => ({
+        on: jest.fn((event, handler) => {
+          if (event === 'error') handler(new Error('Network error'));
+        })
+      }));
+
+      const config = await getOidcConfiguration(context, 'okta');
+
+      expect(config.endpoints.token_endpoint).toBe('https://partners.okta.com/v1/token');
+    });
+
+    test('should build the password change URL from the provider type', () => {
+      process.env.OIDC_OKTA_PROVIDER_TYPE = 'okta';
+      process.env.OIDC_ENTRA_PROVIDER_TYPE = 'entra';
+
+      expect(buildChangePasswordUrl(getOidcConfig('okta'))).toBe(
+        'https://partners.okta.com/enduser/settings'
+      );
+      expect(buildChangePasswordUrl(getOidcConfig('entra'))).toBe(
+        'https://mysignins.microsoft.com/security-info/password/change'
+      );
+    });
+  });
+
+  describe('findProviderForEmail', () => {
+    beforeEach(() => {
+      Object.assign(process.env, {
+        OIDC_PROVIDERS: 'entra,okta',
+        OIDC_ENTRA_DOMAINS: 'contoso.com, *.contoso.com',
+        OIDC_OKTA_DOMAINS: 'fabrikam.com,*.eu.contoso.com,*'
+      });
+    });
+
+    test('should match an exact domain case-insensitively', () => {
+      expect(findProviderForEmail('Jane@Contoso.com')).toEqual({ provider: 'entra' });
+      expect(findProviderForEmail('bob@fabrikam.com')).toEqual({ provider: 'okta' });
+    });
+
+    test('should prefer the most specific wildcard', () => {
+      expect(findProviderForEmail('jane@us.contoso.com')).toEqual({ provider: 'entra' });
+      expect(findProviderForEmail('jane@paris.eu.contoso.com')).toEqual({ provider: 'okta' });
+    });
+
+    test('should not treat a wildcard as matching the bare domain suffix', () => {
+      process.env.OIDC_OKTA_DOMAINS = 'fabrikam.com';
+
+      expect(findProviderForEmail('jane@evilcontoso.com')).toBeNull();
+    });
+
+    test('should fall back to a catch-all rule', () => {
+      expect(findProviderForEmail('someone@example.org')).toEqual({ provider: 'okta' });
+    });
+
+    test('should return null when no rule matches', () => {
+      process.env.OIDC_OKTA_DOMAINS = 'fabrikam.com';
+
+      expect(findProviderForEmail('someone@example.org')).toBeNull();
+    });
+
+    test('should use OIDC_DOMAINS with a single provider', () => {
+      delete process.env.OIDC_PROVIDERS;
+      process.env.OIDC_DOMAINS = 'contoso.com';
+
+      expect(findProviderForEmail('jane@contoso.com')).toEqual({ provider: undefined });
+      expect(findProviderForEmail('jane@fabrikam.com')).toBeNull();
+    });
+  });
+
+  describe('generatePkce', () => {
+    test('should derive an S256 code challenge from the verifier', () => {
+      const { codeVerifier, codeChallenge, codeChallengeMethod } = generatePkce();
+      const crypto = require('crypto');
+
+      expect(codeVerifier).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(codeChallengeMethod).toBe('S256');
+      expect(codeChallenge).toBe(
+        crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+      );
+    });
+
+    test('should generate a new verifier each time', () => {
+      expect(generatePkce().codeVerifier).not.toBe(generatePkce().codeVerifier);
+    });
   });
 
   describe('discoverOidcEndpoints', () => {
@@ -91,7 +291,8 @@ describe('OIDC Helper', () => {
         authorization_endpoint: 'https://test-domain.okta.com/oauth2/authorize',
         token_endpoint: 'https://test-domain.okta.com/oauth2/token',
         userinfo_endpoint: 'https://test-domain.okta.com/oauth2/userinfo',
-        end_session_endpoint: 'https://test-domain.okta.com/oauth2/logout'
+        end_session_endpoint: 'https://test-domain.okta.com/oauth2/logout',
+        jwks_uri: 'https://test-domain.okta.com/oauth2/v1/keys'
       };
 
       https.get.mockImplementationOnce((url, callback) => {
@@ -118,14 +319,19 @@ describe('OIDC Helper', () => {
         token_endpoint: 'https://test-domain.okta.com/oauth2/token',
         userinfo_endpoint: 'https://test-domain.okta.com/oauth2/userinfo',
         end_session_endpoint: 'https://test-domain.okta.com/oauth2/logout',
+        jwks_uri: 'https://test-domain.okta.com/oauth2/v1/keys',
         issuer: 'https://test-domain.okta.com'
       });
 
-      expect(context.log).toHaveBeenCalledWith(
-        'Discovering OIDC endpoints for:',
-        'https://test-domain.okta.com'
+      expect(getLogEntries(context)).toContainEqual(
+        expect.objectContaining({
+          message: 'Discovering OIDC endpoints for:',
+          data: 'https://test-domain.okta.com'
+        })
+      );
+      expect(getLogEntries(context)).toContainEqual(
+        expect.objectContaining({ message: 'OIDC endpoints discovered:', data: expect.any(Object) })
       );
-      expect(context.log).toHaveBeenCalledWith('OIDC endpoints discovered:', expect.any(Object));
     });
 
     test('should fallback to manual configuration when discovery fails', async () => {
@@ -151,14 +357,19 @@ describe('OIDC Helper', () => {
         token_endpoint: 'https://test-domain.okta.com/oauth2/token',
         userinfo_endpoint: 'https://test-domain.okta.com/oauth2/userinfo',
         end_session_endpoint: undefined,
+        jwks_uri: 'https://test-domain.okta.com/oauth2/keys',
         issuer: 'https://test-domain.okta.com'
       });
 
-      expect(context.log).toHaveBeenCalledWith(
-        'OIDC discovery failed, falling back to manual configuration:',
-        expect.any(String)
+      expect(getLogEntries(context)).toContainEqual(
+        expect.objectContaining({
+          message: 'OIDC discovery failed, falling back to manual configuration:',
+          data: expect.any(String)
+        })
+      );
+      expect(getLogEntries(context)).toContainEqual(
+        expect.objectContaining({ message: 'Using fallback endpoints:', data: expect.any(Object) })
       );
-      expect(context.log).toHaveBeenCalledWith('Using fallback endpoints:', expect.any(Object));
     });
 
     test('should use custom endpoint paths in fallback', async () => {
@@ -166,6 +377,7 @@ describe('OIDC Helper', () => {
       process.env.OIDC_TOKEN_ENDPOINT = '/auth/token';
       process.env.OIDC_USERINFO_ENDPOINT = '/auth/userinfo';
       process.env.OIDC_END_SESSION_ENDPOINT = '/auth/logout';
+      process.env.OIDC_JWKS_ENDPOINT = '/auth/keys';
 
       https.get.mockImplementationOnce((url, callback) => {
         const response = {
@@ -189,6 +401,7 @@ describe('OIDC Helper', () => {
         token_endpoint: 'https://test-domain.okta.com/auth/token',
         userinfo_endpoint: 'https://test-domain.okta.com/auth/userinfo',
         end_session_endpoint: 'https://test-domain.okta.com/auth/logout',
+        jwks_uri: 'https://test-domain.okta.com/auth/keys',
         issuer: 'https://test-domain.okta.com'
       });
     });
@@ -209,9 +422,11 @@ describe('OIDC Helper', () => {
       expect(endpoints.authorization_endpoint).toBe(
         'https://test-domain.okta.com/oauth2/authorize'
       );
-      expect(context.log).toHaveBeenCalledWith(
-        'OIDC discovery failed, falling back to manual configuration:',
-        'Network error'
+      expect(getLogEntries(context)).toContainEqual(
+        expect.objectContaining({
+          message: 'OIDC discovery failed, falling back to manual configuration:',
+          data: 'Network error'
+        })
       );
     });
   });
@@ -247,6 +462,10 @@ describe('OIDC Helper', () => {
         clientId: 'test-client-id',
         clientSecret: 'test-client-secret',
         redirectUri: 'https://test-function-app.azurewebsites.net/api/auth-callback',
+        publicClient: false,
+        usePkce: true,
+        pkceRequired: false,
+        claimMapping: expect.objectContaining({ required: ['email'] }),
         endpoints: {
           authorization_endpoint: 'https://test-domain.okta.com/oauth2/authorize',
           token_endpoint: 'https://test-domain.okta.com/oauth2/token',
@@ -305,6 +524,25 @@ describe('OIDC Helper', () => {
       expect(authUrl).toContain('scope=openid+profile+email+groups');
     });
 
+    test('should include additional parameters that have a value', () => {
+      const mockConfig = {
+        clientId: 'test-client-id',
+        redirectUri: 'https://test-function-app.azurewebsites.net/api/auth-callback',
+        endpoints: {
+          authorization_endpoint: 'https://test-domain.okta.com/oauth2/authorize'
+        }
+      };
+
+      const authUrl = buildAuthorizationUrl(mockConfig, 'state', undefined, {
+        prompt: 'create',
+        login_hint: undefined
+      });
+
+      expect(authUrl).toContain('prompt=create');
+      expect(authUrl).toContain('scope=openid+profile+email');
+      expect(authUrl).not.toContain('login_hint');
+    });
+
     test('should properly encode redirect URI and state', () => {
       const mockConfig = {
         clientId: 'test-client-id',
@@ -324,6 +562,127 @@ describe('OIDC Helper', () => {
     });
   });
 
+  describe('buildSignUpUrl', () => {
+    const mockConfig = {
+      clientId: 'test-client-id',
+      redirectUri: 'https://test-function-app.azurewebsites.net/api/auth-callback',
+      endpoints: {
+        authorization_endpoint: 'https://test-domain.okta.com/oauth2/authorize'
+      }
+    };
+
+    test('should add prompt=create to the authorization URL by default', () => {
+      const signUpUrl = buildSignUpUrl(mockConfig, 'encoded-state-data');
+
+      expect(signUpUrl).toContain('https://test-domain.okta.com/oauth2/authorize?');
+      expect(signUpUrl).toContain('prompt=create');
+      expect(signUpUrl).toContain('state=encoded-state-data');
+    });
+
+    test('should use a custom prompt value', () => {
+      process.env.OIDC_SIGNUP_PROMPT = 'login';
+
+      const signUpUrl = buildSignUpUrl(mockConfig, 'encoded-state-data');
+
+      expect(signUpUrl).toContain('prompt=login');
+    });
+
+    test('should omit prompt when OIDC_SIGNUP_PROMPT is empty', () => {
+      process.env.OIDC_SIGNUP_PROMPT = '';
+
+      const signUpUrl = buildSignUpUrl(mockConfig, 'encoded-state-data');
+
+      expect(signUpUrl).not.toContain('prompt=');
+    });
+
+    test('should use the configured registration URL with the authorization URL embedded', () => {
+      process.env.OIDC_REGISTRATION_URL =
+        'https://test-domain.okta.com/signin/register?fromURI={authorizationUrl}';
+
+      const signUpUrl = buildSignUpUrl(mockConfig, 'encoded-state-data');
+      const registrationUrl = new URL(signUpUrl);
+
+      expect(registrationUrl.pathname).toBe('/signin/register');
+      expect(registrationUrl.searchParams.get('fromURI')).toBe(
+        buildAuthorizationUrl(mockConfig, 'encoded-state-data')
+      );
+    });
+  });
+
+  describe('buildChangePasswordUrl', () => {
+    const mockConfig = {
+      issuer: 'https://test-domain.okta.com/oauth2/default'
+    };
+    const values = {
+      returnUrl: 'https://test-apim.developer.azure-api.net/profile',
+      loginHint: 'user@example.com',
+      authorizationUrl: 'https://test-domain.okta.com/oauth2/authorize?state=abc'
+    };
+
+    test('should return null when nothing is configured', () => {
+      expect(buildChangePasswordUrl(mockConfig, values)).toBeNull();
+    });
+
+    test('should use the Okta template for OIDC_PROVIDER_TYPE=okta', () => {
+      process.env.OIDC_PROVIDER_TYPE = 'okta';
+
+      expect(buildChangePasswordUrl(mockConfig, values)).toBe(
+        'https://test-domain.okta.com/enduser/settings'
+      );
+    });
+
+    test('should use the Entra template for OIDC_PROVIDER_TYPE=entra', () => {
+      process.env.OIDC_PROVIDER_TYPE = 'Entra';
+
+      expect(buildChangePasswordUrl(mockConfig, values)).toBe(
+        'https://mysignins.microsoft.com/security-info/password/change'
+      );
+    });
+
+    test('should fill placeholders in OIDC_CHANGE_PASSWORD_URL', () => {
+      process.env.OIDC_PROVIDER_TYPE = 'okta';
+      process.env.OIDC_CHANGE_PASSWORD_URL =
+        'https://idp.example.com/password?return={returnUrl}&hint={loginHint}';
+
+      const url = new URL(buildChangePasswordUrl(mockConfig, values));
+
+      expect(url.origin).toBe('https://idp.example.com');
+      expect(url.searchParams.get('return')).toBe(values.returnUrl);
+      expect(url.searchParams.get('hint')).toBe('user@example.com');
+    });
+
+    test('should embed the authorization URL for round-trip templates', () => {
+      process.env.OIDC_CHANGE_PASSWORD_URL =
+        'https://idp.example.com/change?next={authorizationUrl}';
+
+      const url = new URL(buildChangePasswordUrl(mockConfig, values));
+
+      expect(url.searchParams.get('next')).toBe(values.authorizationUrl);
+    });
+  });
+
+  describe('changePasswordReturnsToPortal', () => {
+    const mockConfig = { issuer: 'https://test-domain.okta.com' };
+
+    test('should be false for the built-in templates', () => {
+      process.env.OIDC_PROVIDER_TYPE = 'okta';
+      expect(changePasswordReturnsToPortal(mockConfig)).toBe(false);
+
+      process.env.OIDC_PROVIDER_TYPE = 'entra';
+      expect(changePasswordReturnsToPortal(mockConfig)).toBe(false);
+    });
+
+    test.each([
+      ['https://idp.example.com/password?return={returnUrl}', true],
+      ['https://idp.example.com/change?next={authorizationUrl}', true],
+      ['https://idp.example.com/password?hint={loginHint}', false]
+    ])('should be %s for OIDC_CHANGE_PASSWORD_URL %s', (template, expected) => {
+      process.env.OIDC_CHANGE_PASSWORD_URL = template;
+
+      expect(changePasswordReturnsToPortal(mockConfig)).toBe(expected);
+    });
+  });
+
   describe('validateOidcConfig', () => {
     test('should return true for valid configuration', () => {
       const result = validateOidcConfig();
@@ -368,9 +727,11 @@ describe('OIDC Helper', () => {
       expect(endpoints.authorization_endpoint).toBe(
         'https://test-domain.okta.com/oauth2/authorize'
       );
-      expect(context.log).toHaveBeenCalledWith(
-        'OIDC discovery failed, falling back to manual configuration:',
-        expect.stringContaining('Failed to parse response')
+      expect(getLogEntries(context)).toContainEqual(
+        expect.objectContaining({
+          message: 'OIDC discovery failed, falling back to manual configuration:',
+          data: expect.stringContaining('Failed to parse response')
+        })
       );
     });
 
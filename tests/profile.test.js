@@ -0,0 +1,40 @@
+const { getLockedProfileFields, mergeSignInProfile } = require('../shared/profile');
+
+describe('Profile', () => {
+  const originalEnv = process.env;
+  const current = { firstName: 'Janet', lastName: '', email: 'janet@contoso.com', state: 'active' };
+  const signIn = { firstName: 'Jane', lastName: 'Smith', email: 'jane@contoso.com' };
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.PROFILE_LOCKED_FIELDS;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should read the locked fields from PROFILE_LOCKED_FIELDS', () => {
+    process.env.PROFILE_LOCKED_FIELDS = 'email, lastName';
+
+    expect(getLockedProfileFields()).toEqual(['email', 'lastName']);
+  });
+
+  test("should keep the user's values and fill in empty fields", () => {
+    expect(mergeSignInProfile(current, signIn)).toEqual({
+      firstName: 'Janet',
+      lastName: 'Smith',
+      email: 'janet@contoso.com'
+    });
+  });
+
+  test('should take the locked fields from the identity provider', () => {
+    process.env.PROFILE_LOCKED_FIELDS = 'email';
+
+    expect(mergeSignInProfile(current, signIn)).toEqual({
+      firstName: 'Janet',
+      lastName: 'Smith',
+      email: 'jane@contoso.com'
+    });
+  });
+});
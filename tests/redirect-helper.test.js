@@ -0,0 +1,111 @@
+const { getPortalUrl, normalizeReturnUrl, resolveReturnUrl } = require('../shared/redirect-helper');
+const { setApimInstance } = require('../shared/apim-instances');
+
+describe('Redirect Helper', () => {
+  const originalEnv = process.env;
+  let context;
+
+  beforeEach(() => {
+    context = createMockContext();
+    process.env = {
+      ...originalEnv,
+      APIM_PORTAL_URL: 'https://portal.example.com/'
+    };
+    delete process.env.ALLOWED_RETURN_ORIGINS;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe('getPortalUrl', () => {
+    test('should strip the trailing slash', () => {
+      expect(getPortalUrl()).toBe('https://portal.example.com');
+    });
+
+    test('should default to localhost', () => {
+      delete process.env.APIM_PORTAL_URL;
+
+      expect(getPortalUrl()).toBe('https://localhost');
+    });
+
+    test("should use the portal of the invocation's APIM instance", () => {
+      process.env.APIM_INSTANCES = 'dev,partner';
+      process.env.APIM_PARTNER_PORTAL_URL = 'https://partners.example.com';
+      setApimInstance(context, 'partner');
+
+      expect(getPortalUrl(context)).toBe('https://partners.example.com');
+      expect(resolveReturnUrl('https://portal.example.com/docs', context)).toBe(
+        'https://partners.example.com/'
+      );
+    });
+  });
+
+  describe('normalizeReturnUrl', () => {
+    test.each([
+      ['/profile', '/profile'],
+      ['/docs/../profile?tab=keys#top', '/profile?tab=keys#top'],
+      ['profile', '/profile'],
+      ['/path with space', '/path%20with%20space']
+    ])('should keep relative path %s as %s', (input, expected) => {
+      expect(normalizeReturnUrl(input, context)).toBe(expected);
+    });
+
+    test.each([
+      ['protocol-relative URL', '//evil.example/phish'],
+      ['backslash URL', '/\\evil.example'],
+      ['URL with embedded tab', '/\t/evil.example'],
+      ['foreign origin', 'https://evil.example/'],
+      ['javascript URL', 'javascript:alert(1)'],
+      ['data URL', 'data:text/html,<script>alert(1)</script>']
+    ])('should replace a %s with the portal home', (_name, input) => {
+      expect(normalizeReturnUrl(input, context)).toBe('/');
+      expect(getLogEntries(context, 'warn')).toContainEqual(
+        expect.objectContaining({
+          message: 'Rejected returnUrl outside the allowed origins:',
+          data: input
+        })
+      );
+    });
+
+    test('should default missing values to the portal home', () => {
+      expect(normalizeReturnUrl(undefined)).toBe('/');
+      expect(normalizeReturnUrl('  ')).toBe('/');
+    });
+
+    test('should allow absolute URLs on the portal origin', () => {
+      expect(normalizeReturnUrl('https://portal.example.com/apis', context)).toBe(
+        'https://portal.example.com/apis'
+      );
+    });
+
+    test('should allow configured origins and ignore malformed entries', () => {
+      process.env.ALLOWED_RETURN_ORIGINS = 'not a url, https://docs.example.com/ignored-path';
+
+      expect(normalizeReturnUrl('https://docs.example.com/guide', context)).toBe(
+        'https://docs.example.com/guide'
+      );
+      expect(normalizeReturnUrl('http://docs.example.com/guide', context)).toBe('/');
+    });
+  });
+
+  describe('resolveReturnUrl', () => {
+    test('should prefix relative paths with the portal URL', () => {
+      expect(resolveReturnUrl('/profile', context)).toBe('https://portal.example.com/profile');
+    });
+
+    test('should keep allowed absolute URLs', () => {
+      process.env.ALLOWED_RETURN_ORIGINS = 'https://docs.example.com';
+
+      expect(resolveReturnUrl('https://docs.example.com/guide', context)).toBe(
+        'https://docs.example.com/guide'
+      );
+    });
+
+    test('should fall back to the portal home for rejected URLs', () => {
+      expect(resolveReturnUrl('https://evil.example/', context)).toBe(
+        'https://portal.example.com/'
+      );
+    });
+  });
+});
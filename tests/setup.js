@@ -31,6 +31,10 @@ global.createMockContext = () => {
   return context;
 };
 
+// Parse the JSON entries the shared logger wrote through a mock context
+global.getLogEntries = (context, level = 'info') =>
+  context.log[level].mock.calls.map(([line]) => JSON.parse(line));
+
 // Mock HTTP request
 global.createMockRequest = (options = {}) => {
   return {
@@ -56,6 +60,7 @@ process.env.OIDC_CLIENT_ID = 'test-client-id';
 process.env.OIDC_CLIENT_SECRET = 'test-client-secret';
 process.env.OIDC_REDIRECT_URI = 'https://test-function-app.azurewebsites.net/api/auth-callback';
 process.env.BASE_URL = 'https://test-function-app.azurewebsites.net';
+process.env.STATE_ENCRYPTION_KEYS = `test:${Buffer.alloc(32, 1).toString('base64')}`;
 
 // Global test utilities
 global.sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { encodeState, decodeState } = require('../shared/state-helper');
+
+const keyA = crypto.randomBytes(32).toString('base64');
+const keyB = crypto.randomBytes(32).toString('base64');
+
+describe('State Helper', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, STATE_ENCRYPTION_KEYS: `a:${keyA}` };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should round-trip state data', () => {
+    const stateData = { returnUrl: '/test', salt: 'test-salt', timestamp: 1700000000000 };
+
+    expect(decodeState(encodeState(stateData))).toEqual(stateData);
+  });
+
+  test('should not expose state data in the token', () => {
+    const token = encodeState({ returnUrl: '/secret-return-path' });
+
+    expect(token).toMatch(/^v1\.a\./);
+    expect(token).not.toContain('secret-return-path');
+    expect(Buffer.from(token.split('.')[3], 'base64url').toString()).not.toContain('secret');
+  });
+
+  test('should use a fresh IV for every token', () => {
+    expect(encodeState({ a: 1 })).not.toBe(encodeState({ a: 1 }));
+  });
+
+  test('should reject plain base64 JSON state', () => {
+    const forged = Buffer.from(JSON.stringify({ returnUrl: 'https://evil.example' })).toString(
+      'base64'
+    );
+
+    expect(() => decodeState(forged)).toThrow(expect.objectContaining({ code: 'STATE_MALFORMED' }));
+  });
+
+  test('should reject a tampered ciphertext', () => {
+    const parts = encodeState({ returnUrl: '/test' }).split('.');
+    const ciphertext = Buffer.from(parts[3], 'base64url');
+    ciphertext[0] ^= 0xff;
+    parts[3] = ciphertext.toString('base64url');
+
+    expect(() => decodeState(parts.join('.'))).toThrow(
+      expect.objectContaining({ code: 'STATE_TAMPERED' })
+    );
+  });
+
+  test('should reject a truncated auth tag', () => {
+    const parts = encodeState({ returnUrl: '/test' }).split('.');
+    parts[4] = Buffer.from(parts[4], 'base64url').subarray(0, 4).toString('base64url');
+
+    expect(() => decodeState(parts.join('.'))).toThrow(
+      expect.objectContaining({ code: 'STATE_TAMPERED' })
+    );
+  });
+
+  test('should reject a token whose key id was swapped', () => {
+    process.env.STATE_ENCRYPTION_KEYS = `a:${keyA},b:${keyA}`;
+    const parts = encodeState({ returnUrl: '/test' }).split('.');
+    parts[1] = 'b';
+
+    expect(() => decodeState(parts.join('.'))).toThrow(
+      expect.objectContaining({ code: 'STATE_TAMPERED' })
+    );
+  });
+
+  test('should reject state issued with an unknown key', () => {
+    process.env.STATE_ENCRYPTION_KEYS = `other:${keyB}`;
+    const token = encodeState({ returnUrl: '/test' });
+    process.env.STATE_ENCRYPTION_KEYS = `a:${keyA}`;
+
+    expect(() => decodeState(token)).toThrow(
+      expect.objectContaining({ code: 'STATE_UNKNOWN_KEY' })
+    );
+  });
+
+  test('should decrypt state issued with a previous key during rotation', () => {
+    const token = encodeState({ returnUrl: '/test' });
+    process.env.STATE_ENCRYPTION_KEYS = `b:${keyB},a:${keyA}`;
+
+    expect(decodeState(token)).toEqual({ returnUrl: '/test' });
+    expect(encodeState({ returnUrl: '/test' })).toMatch(/^v1\.b\./);
+  });
+
+  test('should require STATE_ENCRYPTION_KEYS', () => {
+    delete process.env.STATE_ENCRYPTION_KEYS;
+
+    expect(() => encodeState({})).toThrow('Missing STATE_ENCRYPTION_KEYS');
+  });
+
+  test('should reject keys that are not 256 bits', () => {
+    process.env.STATE_ENCRYPTION_KEYS = `short:${Buffer.alloc(16).toString('base64')}`;
+
+    expect(() => encodeState({})).toThrow('State encryption key short must be 32 bytes');
+  });
+
+  test('should reject entries without a key id', () => {
+    process.env.STATE_ENCRYPTION_KEYS = keyA;
+
+    expect(() => encodeState({})).toThrow('expected keyId:base64Key');
+  });
+});
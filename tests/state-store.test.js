@@ -0,0 +1,298 @@
+const mockTableClient = {
+  createTable: jest.fn(),
+  createEntity: jest.fn(),
+  getEntity: jest.fn(),
+  updateEntity: jest.fn(),
+  upsertEntity: jest.fn(),
+  deleteEntity: jest.fn()
+};
+
+jest.mock('@azure/data-tables', () => ({
+  TableClient: {
+    fromConnectionString: jest.fn(() => mockTableClient)
+  }
+}));
+
+const { TableClient } = require('@azure/data-tables');
+const {
+  getStateStore,
+  createMemoryStore,
+  createTableStore,
+  clearStateStores
+} = require('../shared/state-store');
+
+function storageError(statusCode) {
+  return Object.assign(new Error(`HTTP ${statusCode}`), { statusCode });
+}
+
+describe('State Store', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    clearStateStores();
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe('getStateStore', () => {
+    test('should default to one memory store per namespace', async () => {
+      delete process.env.STATE_STORE_TYPE;
+
+      const store = getStateStore();
+      await store.create('key', { a: 1 }, 60000);
+
+      expect(getStateStore()).toBe(store);
+      await expect(getStateStore('other').consume('key')).resolves.toBeNull();
+      await expect(getStateStore().consume('key')).resolves.toEqual({ a: 1 });
+    });
+
+    test('should reject an unknown store type', () => {
+      process.env.STATE_STORE_TYPE = 'redis';
+
+      expect(() => getStateStore()).toThrow('Invalid STATE_STORE_TYPE: redis');
+    });
+  });
+
+  describe('memory store', () => {
+    test('should consume a record only once', async () => {
+      const store = createMemoryStore();
+
+      await expect(store.create('key', { operation: 'SignIn' }, 60000)).resolves.toBe(true);
+      await expect(store.consume('key')).resolves.toEqual({ operation: 'SignIn' });
+      await expect(store.consume('key')).resolves.toBeNull();
+    });
+
+    test('should refuse to create an existing unexpired record', async () => {
+      const store = createMemoryStore();
+
+      await store.create('key', 1, 60000);
+
+      await expect(store.create('key', 2, 60000)).resolves.toBe(false);
+    });
+
+    test('should not return expired records', async () => {
+      const store = createMemoryStore();
+      await store.create('key', 1, 1000);
+
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2000);
+
+      await expect(store.consume('key')).resolves.toBeNull();
+      await expect(store.create('key', 2, 1000)).resolves.toBe(true);
+    });
+
+    test('should evict the oldest records beyond STATE_STORE_MAX_ENTRIES', async () => {
+      process.env.STATE_STORE_MAX_ENTRIES = '2';
+      const store = createMemoryStore();
+
+      await store.create('first', 1, 60000);
+      await store.create('second', 2, 60000);
+      await store.create('third', 3, 60000);
+
+      await expect(store.consume('first')).resolves.toBeNull();
+      await expect(store.consume('second')).resolves.toBe(2);
+      await expect(store.consume('third')).resolves.toBe(3);
+    });
+
+    test('should read a record without consuming it', async () => {
+      const store = createMemoryStore();
+      await store.create('key', 1, 60000);
+
+      await expect(store.get('key')).resolves.toBe(1);
+      await expect(store.get('key')).resolves.toBe(1);
+      await expect(store.get('missing')).resolves.toBeNull();
+    });
+
+    test('should replace a record with set', async () => {
+      const store = createMemoryStore();
+      await store.create('key', 1, 1000);
+
+      await store.set('key', 2, 60000);
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2000);
+
+      await expect(store.get('key')).resolves.toBe(2);
+    });
+  });
+
+  describe('table store', () => {
+    beforeEach(() => {
+      process.env.AzureWebJobsStorage = 'UseDevelopmentStorage=true';
+      mockTableClient.createTable.mockResolvedValue();
+    });
+
+    test('should connect with AzureWebJobsStorage and allow Azurite over HTTP', () => {
+      createTableStore('state');
+
+      expect(TableClient.fromConnectionString).toHaveBeenCalledWith(
+        'UseDevelopmentStorage=true',
+        'delegationstate',
+        { allowInsecureConnection: true }
+      );
+    });
+
+    test('should prefer STATE_STORE_CONNECTION_STRING and STATE_STORE_TABLE', () => {
+      process.env.STATE_STORE_CONNECTION_STRING =
+        'DefaultEndpointsProtocol=https;AccountName=acct;AccountKey=a2V5;EndpointSuffix=core.windows.net';
+      process.env.STATE_STORE_TABLE = 'customstate';
+
+      createTableStore('state');
+
+      expect(TableClient.fromConnectionString).toHaveBeenCalledWith(
+        process.env.STATE_STORE_CONNECTION_STRING,
+        'customstate',
+        { allowInsecureConnection: false }
+      );
+    });
+
+    test('should throw when no connection string is configured', () => {
+      delete process.env.AzureWebJobsStorage;
+
+      expect(() => createTableStore('state')).toThrow('Missing state store configuration');
+    });
+
+    test('should create the record in the namespace partition', async () => {
+      mockTableClient.createEntity.mockResolvedValue({});
+      const store = createTableStore('state');
+
+      await expect(store.create('sid-1', { operation: 'SignIn' }, 60000)).resolves.toBe(true);
+
+      expect(mockTableClient.createTable).toHaveBeenCalledTimes(1);
+      expect(mockTableClient.createEntity).toHaveBeenCalledWith(
+        expect.objectContaining({
+          partitionKey: 'state',
+          rowKey: 'sid-1',
+          value: JSON.stringify({ operation: 'SignIn' }),
+          expiresAt: expect.any(Date)
+        })
+      );
+    });
+
+    test('should refuse to create over an unexpired record', async () => {
+      mockTableClient.createEntity.mockRejectedValue(storageError(409));
+      mockTableClient.getEntity.mockResolvedValue({
+        etag: 'W/"1"',
+        value: '1',
+        expiresAt: new Date(Date.now() + 60000)
+      });
+      const store = createTableStore('state');
+
+      await expect(store.create('sid-1', 2, 60000)).resolves.toBe(false);
+      expect(mockTableClient.updateEntity).not.toHaveBeenCalled();
+    });
+
+    test('should replace an expired record using its ETag', async () => {
+      mockTableClient.createEntity.mockRejectedValue(storageError(409));
+      mockTableClient.getEntity.mockResolvedValue({
+        etag: 'W/"1"',
+        value: '1',
+        expiresAt: new Date(Date.now() - 1000)
+      });
+      mockTableClient.updateEntity.mockResolvedValue({});
+      const store = createTableStore('state');
+
+      await expect(store.create('sid-1', 2, 60000)).resolves.toBe(true);
+      expect(mockTableClient.updateEntity).toHaveBeenCalledWith(
+        expect.objectContaining({ rowKey: 'sid-1', value: '2' }),
+        'Replace',
+        { etag: 'W/"1"' }
+      );
+    });
+
+    test('should consume a record by deleting it with its ETag', async () => {
+      mockTableClient.getEntity.mockResolvedValue({
+        etag: 'W/"1"',
+        value: JSON.stringify({ operation: 'SignIn' }),
+        expiresAt: new Date(Date.now() + 60000)
+      });
+      mockTableClient.deleteEntity.mockResolvedValue({});
+      const store = createTableStore('state');
+
+      await expect(store.consume('sid-1')).resolves.toEqual({ operation: 'SignIn' });
+      expect(mockTableClient.getEntity).toHaveBeenCalledWith('state', 'sid-1');
+      expect(mockTableClient.deleteEntity).toHaveBeenCalledWith('state', 'sid-1', {
+        etag: 'W/"1"'
+      });
+    });
+
+    test('should return null when the record does not exist', async () => {
+      mockTableClient.getEntity.mockRejectedValue(storageError(404));
+      const store = createTableStore('state');
+
+      await expect(store.consume('sid-1')).resolves.toBeNull();
+      expect(mockTableClient.deleteEntity).not.toHaveBeenCalled();
+    });
+
+    test('should return null when a concurrent request consumed the record first', async () => {
+      mockTableClient.getEntity.mockResolvedValue({
+        etag: 'W/"1"',
+        value: '{}',
+        expiresAt: new Date(Date.now() + 60000)
+      });
+      mockTableClient.deleteEntity.mockRejectedValue(storageError(412));
+      const store = createTableStore('state');
+
+      await expect(store.consume('sid-1')).resolves.toBeNull();
+    });
+
+    test('should delete but not return an expired record', async () => {
+      mockTableClient.getEntity.mockResolvedValue({
+        etag: 'W/"1"',
+        value: '{}',
+        expiresAt: new Date(Date.now() - 1000)
+      });
+      mockTableClient.deleteEntity.mockResolvedValue({});
+      const store = createTableStore('state');
+
+      await expect(store.consume('sid-1')).resolves.toBeNull();
+      expect(mockTableClient.deleteEntity).toHaveBeenCalled();
+    });
+
+    test('should read a record without deleting it', async () => {
+      mockTableClient.getEntity.mockResolvedValue({
+        value: JSON.stringify({ userId: 'jane' }),
+        expiresAt: new Date(Date.now() + 60000)
+      });
+      const store = createTableStore('links');
+
+      await expect(store.get('key-1')).resolves.toEqual({ userId: 'jane' });
+      expect(mockTableClient.getEntity).toHaveBeenCalledWith('links', 'key-1');
+      expect(mockTableClient.deleteEntity).not.toHaveBeenCalled();
+    });
+
+    test('should not read an expired record', async () => {
+      mockTableClient.getEntity.mockResolvedValue({
+        value: JSON.stringify({ userId: 'jane' }),
+        expiresAt: new Date(Date.now() - 1000)
+      });
+      const store = createTableStore('links');
+
+      await expect(store.get('key-1')).resolves.toBeNull();
+    });
+
+    test('should replace a record with set', async () => {
+      mockTableClient.upsertEntity.mockResolvedValue({});
+      const store = createTableStore('links');
+
+      await store.set('key-1', { userId: 'jane' }, 60000);
+
+      expect(mockTableClient.upsertEntity).toHaveBeenCalledWith(
+        expect.objectContaining({
+          partitionKey: 'links',
+          rowKey: 'key-1',
+          value: JSON.stringify({ userId: 'jane' })
+        }),
+        'Replace'
+      );
+    });
+
+    test('should surface storage errors', async () => {
+      mockTableClient.getEntity.mockRejectedValue(storageError(503));
+      const store = createTableStore('state');
+
+      await expect(store.consume('sid-1')).rejects.toThrow('HTTP 503');
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const path = require('path');
+
+const { evaluateSubscriptionRequest } = require('../shared/subscription-approval');
+
+// Register a virtual approval hook module at the given app-relative path
+function mockHook(relativePath, hook) {
+  jest.doMock(path.resolve(__dirname, '..', relativePath), () => hook, { virtual: true });
+  process.env.SUBSCRIPTION_APPROVAL_MODULE = relativePath;
+}
+
+describe('Subscription Approval', () => {
+  const originalEnv = process.env;
+  const request = {
+    operation: 'Subscribe',
+    productId: 'starter',
+    userId: 'user1',
+    subscriptionName: 'My app'
+  };
+  let context;
+
+  beforeEach(() => {
+    context = createMockContext();
+    process.env = { ...originalEnv };
+    delete process.env.SUBSCRIPTION_APPROVAL_MODULE;
+    delete process.env.SUBSCRIPTION_APPROVAL_DEFAULT;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    jest.resetModules();
+  });
+
+  test('should allow requests when no hook is configured', async () => {
+    await expect(evaluateSubscriptionRequest(request, context)).resolves.toEqual({
+      decision: 'allow',
+      reason: undefined
+    });
+  });
+
+  test('should use SUBSCRIPTION_APPROVAL_DEFAULT without a hook', async () => {
+    process.env.SUBSCRIPTION_APPROVAL_DEFAULT = 'pending';
+
+    const result = await evaluateSubscriptionRequest(request, context);
+
+    expect(result.decision).toBe('pending');
+  });
+
+  test('should pass the request and context to a function hook', async () => {
+    const hook = jest.fn().mockResolvedValue('pending');
+    mockHook('hooks/function-hook.js', hook);
+
+    const result = await evaluateSubscriptionRequest(request, context);
+
+    expect(hook).toHaveBeenCalledWith(request, context);
+    expect(result.decision).toBe('pending');
+  });
+
+  test('should support an approveSubscription export with a reason', async () => {
+    mockHook('hooks/object-hook.js', {
+      approveSubscription: async () => ({ decision: 'deny', reason: 'Partners only' })
+    });
+
+    await expect(evaluateSubscriptionRequest(request, context)).resolves.toEqual({
+      decision: 'deny',
+      reason: 'Partners only'
+    });
+  });
+
+  test('should deny when the hook returns an unknown decision', async () => {
+    mockHook('hooks/bad-decision.js', async () => 'maybe');
+
+    const result = await evaluateSubscriptionRequest(request, context);
+
+    expect(result.decision).toBe('deny');
+    expect(getLogEntries(context, 'error')).toContainEqual(
+      expect.objectContaining({
+        message: 'Subscription approval hook failed:',
+        data: expect.stringContaining('maybe')
+      })
+    );
+  });
+
+  test('should deny when the hook throws', async () => {
+    mockHook('hooks/throwing-hook.js', async () => {
+      throw new Error('CRM unavailable');
+    });
+
+    const result = await evaluateSubscriptionRequest(request, context);
+
+    expect(result.decision).toBe('deny');
+  });
+
+  test('should deny when the hook module does not export a function', async () => {
+    mockHook('hooks/empty-hook.js', {});
+
+    const result = await evaluateSubscriptionRequest(request, context);
+
+    expect(result.decision).toBe('deny');
+    expect(getLogEntries(context, 'error')).toContainEqual(
+      expect.objectContaining({
+        message: 'Failed to load subscription approval hook:',
+        data: expect.stringContaining('must export a function')
+      })
+    );
+  });
+});
@@ -0,0 +1,190 @@
+jest.mock('../shared/apim-helper');
+
+const crypto = require('crypto');
+const { getUserFromAPIM } = require('../shared/apim-helper');
+const { getApimUserId, checkUserIdCollision } = require('../shared/user-id');
+
+describe('APIM User IDs', () => {
+  const originalEnv = process.env;
+  let context;
+
+  beforeEach(() => {
+    context = createMockContext();
+    process.env = { ...originalEnv };
+    delete process.env.APIM_INSTANCES;
+    delete process.env.APIM_USER_ID_STRATEGY;
+    delete process.env.APIM_USER_ID_CLAIM;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe('email strategy', () => {
+    test('should keep the IDs of existing users', () => {
+      expect(getApimUserId({ email: 'jane.doe@contoso.com' }, context)).toBe(
+        'jane_doe_contoso_com'
+      );
+    });
+
+    test('should replace characters APIM does not allow in IDs', () => {
+      expect(getApimUserId({ email: "o'neil+api@contoso.com" }, context)).toBe(
+        'o_neil_api_contoso_com'
+      );
+    });
+
+    test('should shorten long IDs to 80 characters with a hash suffix', () => {
+      const email = `${'a'.repeat(90)}@contoso.com`;
+      const userId = getApimUserId({ email }, context);
+
+      expect(userId).toHaveLength(80);
+      expect(userId).toMatch(/^a{63}_[0-9a-f]{16}$/);
+      expect(getApimUserId({ email: `${'a'.repeat(91)}@contoso.com` }, context)).not.toBe(userId);
+    });
+  });
+
+  describe('subject strategy', () => {
+    beforeEach(() => {
+      process.env.APIM_USER_ID_STRATEGY = 'subject';
+    });
+
+    test('should hash the issuer and subject, ignoring the email', () => {
+      const expected = crypto
+        .createHash('sha256')
+        .update('https://login.example.com\nuser123')
+        .digest('hex');
+      const identity = { claims: { sub: 'user123' }, issuer: 'https://login.example.com' };
+
+      expect(getApimUserId({ ...identity, email: 'old@contoso.com' }, context)).toBe(expected);
+      expect(getApimUserId({ ...identity, email: 'new@contoso.com' }, context)).toBe(expected);
+    });
+
+    test('should throw USER_ID_UNAVAILABLE without a subject', () => {
+      expect(() =>
+        getApimUserId({ claims: {}, issuer: 'https://login.example.com' }, context)
+      ).toThrow(expect.objectContaining({ code: 'USER_ID_UNAVAILABLE' }));
+    });
+  });
+
+  describe('claim strategy', () => {
+    beforeEach(() => {
+      process.env.APIM_USER_ID_STRATEGY = 'claim';
+      process.env.APIM_USER_ID_CLAIM = 'employee_id';
+    });
+
+    test('should use a safe claim value as it is', () => {
+      expect(getApimUserId({ claims: { employee_id: 'E-1234' } }, context)).toBe('E-1234');
+    });
+
+    test('should give values that sanitize alike different IDs', () => {
+      const dotted = getApimUserId({ claims: { employee_id: 'a.b' } }, context);
+      const underscored = getApimUserId({ claims: { employee_id: 'a_b' } }, context);
+
+      expect(dotted).toMatch(/^a_b_[0-9a-f]{16}$/);
+      expect(underscored).toBe('a_b');
+    });
+
+    test('should throw USER_ID_UNAVAILABLE when the claim is missing', () => {
+      expect(() => getApimUserId({ claims: {} }, context)).toThrow(
+        'The sign-in has no employee_id claim'
+      );
+    });
+
+    test('should require APIM_USER_ID_CLAIM', () => {
+      delete process.env.APIM_USER_ID_CLAIM;
+
+      expect(() => getApimUserId({ claims: {} }, context)).toThrow(
+        'APIM_USER_ID_CLAIM must be set'
+      );
+    });
+  });
+
+  test('should reject an unknown strategy', () => {
+    process.env.APIM_USER_ID_STRATEGY = 'upn';
+
+    expect(() => getApimUserId({ email: 'a@b.com' }, context)).toThrow(
+      'Invalid APIM_USER_ID_STRATEGY: upn'
+    );
+  });
+
+  describe('checkUserIdCollision', () => {
+    const identity = { issuer: 'https://login.example.com', subject: 'sub-1' };
+
+    test('should return the existing user of the same email', async () => {
+      const existingUser = { name: 'a_b_x_com', properties: { email: 'A.B@x.com' } };
+      getUserFromAPIM.mockResolvedValue(existingUser);
+
+      await expect(
+        checkUserIdCollision('a_b_x_com', { email: 'a.b@x.com' }, {}, context)
+      ).resolves.toBe(existingUser);
+      expect(getUserFromAPIM).toHaveBeenCalledWith('a_b_x_com', context);
+    });
+
+    test('should throw USER_ID_COLLISION when another email owns the ID', async () => {
+      getUserFromAPIM.mockResolvedValue({ properties: { email: 'a.b@x.com' } });
+
+      await expect(
+        checkUserIdCollision('a_b_x_com', { email: 'a_b@x.com' }, {}, context)
+      ).rejects.toMatchObject({ code: 'USER_ID_COLLISION' });
+    });
+
+    test('should return the own user after a profile email change', async () => {
+      const existingUser = {
+        properties: {
+          email: 'jane@example.org',
+          identities: [{ provider: 'https://login.example.com', id: 'sub-1' }]
+        }
+      };
+      getUserFromAPIM.mockResolvedValue(existingUser);
+
+      await expect(
+        checkUserIdCollision('jane_contoso_com', { email: 'jane@contoso.com' }, identity, context)
+      ).resolves.toBe(existingUser);
+    });
+
+    test('should return the own user after it was anonymized', async () => {
+      const existingUser = {
+        properties: {
+          state: 'blocked',
+          email: 'closed-0123456789abcdef@anonymized.invalid',
+          identities: [{ provider: 'https://login.example.com', id: 'sub-1' }]
+        }
+      };
+      getUserFromAPIM.mockResolvedValue(existingUser);
+
+      await expect(
+        checkUserIdCollision('jane_contoso_com', { email: 'jane@contoso.com' }, identity, context)
+      ).resolves.toBe(existingUser);
+    });
+
+    test('should still throw when the user records another subject', async () => {
+      getUserFromAPIM.mockResolvedValue({
+        properties: {
+          email: 'jane@example.org',
+          identities: [{ provider: 'https://login.example.com', id: 'sub-2' }]
+        }
+      });
+
+      await expect(
+        checkUserIdCollision('jane_contoso_com', { email: 'jane@contoso.com' }, identity, context)
+      ).rejects.toMatchObject({ code: 'USER_ID_COLLISION' });
+    });
+
+    test('should allow email changes with the subject strategy', async () => {
+      process.env.APIM_USER_ID_STRATEGY = 'subject';
+      getUserFromAPIM.mockResolvedValue({ properties: { email: 'old@contoso.com' } });
+
+      await expect(
+        checkUserIdCollision('abc', { email: 'new@contoso.com' }, {}, context)
+      ).resolves.toBeTruthy();
+    });
+
+    test('should return null for a new user', async () => {
+      getUserFromAPIM.mockResolvedValue(null);
+
+      await expect(
+        checkUserIdCollision('new_user', { email: 'a@b.com' }, {}, context)
+      ).resolves.toBeNull();
+    });
+  });
+});
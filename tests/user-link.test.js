@@ -0,0 +1,264 @@
+jest.mock('../shared/apim-helper');
+
+const { getUserFromAPIM, findUsersByEmail } = require('../shared/apim-helper');
+const { getStateStore, clearStateStores } = require('../shared/state-store');
+const { setApimInstance } = require('../shared/apim-instances');
+const { hashId } = require('../shared/logger');
+const { resolveApimUser, linkIdentity } = require('../shared/user-link');
+
+describe('User Links', () => {
+  const originalEnv = process.env;
+  const identity = { issuer: 'https://login.example.com', subject: 'sub-1' };
+  const userData = { email: 'jane.new@contoso.com' };
+  let context;
+
+  beforeEach(() => {
+    context = createMockContext();
+    process.env = { ...originalEnv };
+    delete process.env.APIM_INSTANCES;
+    delete process.env.APIM_LINK_BY_EMAIL;
+    delete process.env.APIM_USER_ID_STRATEGY;
+    delete process.env.STATE_STORE_TYPE;
+    clearStateStores();
+    jest.clearAllMocks();
+    getUserFromAPIM.mockResolvedValue(null);
+    findUsersByEmail.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should use the APIM user linked to the identity', async () => {
+    const linkedUser = {
+      name: 'jane_old_contoso_com',
+      properties: { email: 'jane.old@contoso.com' }
+    };
+    getUserFromAPIM.mockResolvedValue(linkedUser);
+    await linkIdentity(identity, 'jane_old_contoso_com', context);
+
+    const result = await resolveApimUser(
+      { defaultUserId: 'jane_new_contoso_com', userData, identity },
+      context
+    );
+
+    expect(result).toEqual({
+      userId: 'jane_old_contoso_com',
+      existingUser: linkedUser,
+      matchedBy: 'identity'
+    });
+    expect(getUserFromAPIM).toHaveBeenCalledWith('jane_old_contoso_com', context);
+  });
+
+  test('should fall back to the user ID when the linked user was deleted', async () => {
+    await linkIdentity(identity, 'deleted_user', context);
+
+    const result = await resolveApimUser(
+      { defaultUserId: 'jane_new_contoso_com', userData, identity },
+      context
+    );
+
+    expect(result).toEqual({
+      userId: 'jane_new_contoso_com',
+      existingUser: null,
+      matchedBy: 'userId'
+    });
+    expect(getLogEntries(context, 'warn')).toContainEqual(
+      expect.objectContaining({
+        message: 'Linked APIM user no longer exists:',
+        data: hashId('deleted_user')
+      })
+    );
+  });
+
+  test('should keep links apart per APIM instance', async () => {
+    process.env.APIM_INSTANCES = 'dev,prod';
+    getUserFromAPIM.mockResolvedValue({ name: 'linked' });
+    await linkIdentity(identity, 'linked', context);
+
+    const prodContext = createMockContext();
+    setApimInstance(prodContext, 'prod');
+    const result = await resolveApimUser(
+      { defaultUserId: 'jane_new_contoso_com', userData, identity },
+      prodContext
+    );
+
+    expect(result.userId).toBe('jane_new_contoso_com');
+  });
+
+  test('should not match users by email unless APIM_LINK_BY_EMAIL is true', async () => {
+    await resolveApimUser({ defaultUserId: 'jane_new_contoso_com', userData, identity }, context);
+
+    expect(findUsersByEmail).not.toHaveBeenCalled();
+  });
+
+  test('should match the APIM user with the same email when enabled', async () => {
+    process.env.APIM_LINK_BY_EMAIL = 'true';
+    const user = { name: 'legacy-id', properties: { email: 'jane.new@contoso.com' } };
+    findUsersByEmail.mockResolvedValue([user]);
+
+    const result = await resolveApimUser(
+      { defaultUserId: 'jane_new_contoso_com', userData, identity },
+      context
+    );
+
+    expect(findUsersByEmail).toHaveBeenCalledWith('jane.new@contoso.com', context);
+    expect(result).toEqual({ userId: 'legacy-id', existingUser: user, matchedBy: 'email' });
+  });
+
+  test('should not match users recorded with another identity from the issuer', async () => {
+    process.env.APIM_LINK_BY_EMAIL = 'true';
+    findUsersByEmail.mockResolvedValue([
+      {
+        name: 'someone-else',
+        properties: { identities: [{ provider: 'https://login.example.com', id: 'sub-2' }] }
+      }
+    ]);
+
+    const result = await resolveApimUser(
+      { defaultUserId: 'jane_new_contoso_com', userData, identity },
+      context
+    );
+
+    expect(result.matchedBy).toBe('userId');
+  });
+
+  test('should not match users recorded with an identity from another issuer', async () => {
+    process.env.APIM_LINK_BY_EMAIL = 'true';
+    findUsersByEmail.mockResolvedValue([
+      {
+        name: 'jane-entra',
+        properties: {
+          email: 'jane.new@contoso.com',
+          identities: [{ provider: 'https://login.microsoftonline.com/tenant/v2.0', id: 'oid-1' }]
+        }
+      }
+    ]);
+
+    await expect(
+      resolveApimUser({ defaultUserId: 'jane_new_contoso_com', userData, identity }, context)
+    ).resolves.toMatchObject({ matchedBy: 'userId', existingUser: null });
+  });
+
+  test('should match users with only APIM identities by email', async () => {
+    process.env.APIM_LINK_BY_EMAIL = 'true';
+    const user = {
+      name: 'legacy-id',
+      properties: {
+        email: 'jane.new@contoso.com',
+        identities: [{ provider: 'Basic', id: 'jane.new@contoso.com' }]
+      }
+    };
+    findUsersByEmail.mockResolvedValue([user]);
+
+    const result = await resolveApimUser(
+      { defaultUserId: 'jane_new_contoso_com', userData, identity },
+      context
+    );
+
+    expect(result).toEqual({ userId: 'legacy-id', existingUser: user, matchedBy: 'email' });
+  });
+
+  test('should not match an email shared by several users', async () => {
+    process.env.APIM_LINK_BY_EMAIL = 'true';
+    findUsersByEmail.mockResolvedValue([{ name: 'one' }, { name: 'two' }]);
+
+    const result = await resolveApimUser(
+      { defaultUserId: 'jane_new_contoso_com', userData, identity },
+      context
+    );
+
+    expect(result.matchedBy).toBe('userId');
+    expect(getLogEntries(context, 'warn')).toContainEqual(
+      expect.objectContaining({ message: 'Several APIM users share the email, not linking:' })
+    );
+  });
+
+  test('should still detect user ID collisions for unlinked users', async () => {
+    getUserFromAPIM.mockResolvedValue({ properties: { email: 'jane_new@contoso.com' } });
+
+    await expect(
+      resolveApimUser({ defaultUserId: 'jane_new_contoso_com', userData, identity }, context)
+    ).rejects.toMatchObject({ code: 'USER_ID_COLLISION' });
+  });
+
+  test('should not use the user ID of another identity from the issuer', async () => {
+    getUserFromAPIM.mockResolvedValue({
+      properties: {
+        email: 'jane.new@contoso.com',
+        identities: [{ provider: 'https://login.example.com', id: 'sub-2' }]
+      }
+    });
+
+    await expect(
+      resolveApimUser({ defaultUserId: 'jane_new_contoso_com', userData, identity }, context)
+    ).rejects.toMatchObject({ code: 'USER_ID_COLLISION' });
+    expect(getLogEntries(context, 'error')).toContainEqual(
+      expect.objectContaining({
+        message: 'APIM user ID belongs to another identity:',
+        data: hashId('jane_new_contoso_com')
+      })
+    );
+  });
+
+  test('should not use the user ID of a user recorded by another issuer', async () => {
+    // jane@contoso.com signed up through Entra; an Okta sign-in asserting the
+    // same email derives the same ID
+    getUserFromAPIM.mockResolvedValue({
+      name: 'jane_new_contoso_com',
+      properties: {
+        email: 'jane.new@contoso.com',
+        identities: [{ provider: 'https://login.microsoftonline.com/tenant/v2.0', id: 'oid-1' }]
+      }
+    });
+
+    await expect(
+      resolveApimUser({ defaultUserId: 'jane_new_contoso_com', userData, identity }, context)
+    ).rejects.toMatchObject({ code: 'USER_ID_COLLISION' });
+  });
+
+  test('should use the user ID of a user recorded with the same identity', async () => {
+    const user = {
+      properties: {
+        email: 'jane.new@contoso.com',
+        identities: [{ provider: 'https://login.example.com', id: 'sub-1' }]
+      }
+    };
+    getUserFromAPIM.mockResolvedValue(user);
+
+    const result = await resolveApimUser(
+      { defaultUserId: 'jane_new_contoso_com', userData, identity },
+      context
+    );
+
+    expect(result).toEqual({
+      userId: 'jane_new_contoso_com',
+      existingUser: user,
+      matchedBy: 'userId'
+    });
+  });
+
+  test('should skip linking without an issuer or subject', async () => {
+    await linkIdentity({ issuer: 'https://login.example.com' }, 'jane', context);
+
+    const result = await resolveApimUser(
+      { defaultUserId: 'jane', userData, identity: { issuer: 'https://login.example.com' } },
+      context
+    );
+
+    expect(result.matchedBy).toBe('userId');
+    expect(getUserFromAPIM).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not fail the sign-in when the link cannot be stored', async () => {
+    jest.spyOn(getStateStore('links'), 'set').mockRejectedValue(new Error('HTTP 503'));
+
+    await expect(linkIdentity(identity, 'jane', context)).resolves.toBeUndefined();
+    expect(getLogEntries(context, 'warn')).toContainEqual(
+      expect.objectContaining({
+        message: 'Could not link the identity to the APIM user:',
+        data: 'HTTP 503'
+      })
+    );
+  });
+});